@@ -21,6 +21,7 @@ class BroadcastWSClient {
     this.reconnectDelay = 1000;
     this.isConnecting = false;
     this.messageQueue = []; // Queue messages while disconnected
+    this.topics = null; // Subscribed topics (null = everything)
 
     // Default handlers
     this.defaultHandlers = {
@@ -42,7 +43,15 @@ class BroadcastWSClient {
     // In development, always use port 8888 for WebSocket
     const wsPort = host === 'localhost' || host === '127.0.0.1' ? '8888' : port;
 
-    return `${protocol}//${host}:${wsPort}`;
+    // Pass the page's ?token= through so the socket is authenticated,
+    // and keep topic subscriptions across reconnects
+    const params = new URLSearchParams();
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (token) params.set('token', token);
+    if (this.topics) params.set('topics', this.topics.join(','));
+    const query = params.toString() ? `?${params}` : '';
+
+    return `${protocol}//${host}:${wsPort}${query}`;
   }
 
   /**
@@ -250,10 +259,10 @@ class BroadcastWSClient {
   }
 
   /**
-   * Disconnect from YouTube
+   * Disconnect from one YouTube stream (or all of them without a video ID)
    */
-  disconnectFromYouTube() {
-    return this.send('disconnect');
+  disconnectFromYouTube(videoId) {
+    return this.send('disconnect', videoId ? { videoId } : {});
   }
 
   /**
@@ -298,6 +307,14 @@ class BroadcastWSClient {
     return this.send('update_ticker', settings);
   }
 
+  /**
+   * Only receive messages for the given topics (e.g. ['chat', 'pin', 'nametag:3'])
+   */
+  subscribe(topics) {
+    this.topics = topics;
+    return this.send('subscribe', { topics });
+  }
+
   /**
    * Sync slideshow state
    */
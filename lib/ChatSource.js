@@ -0,0 +1,188 @@
+/**
+ * Chat Source
+ * Base class for live chat platforms (YouTube, Twitch, ...)
+ *
+ * Every source emits messages in the same normalized shape:
+ * {
+ *   id, type: 'message' | 'superchat', platform, stream, author, authorPhoto,
+ *   message, runs, timestamp, badges: ['owner' | 'moderator' | 'member' | ...],
+ *   isSuperchat, amount?, currency?, amountFormatted?, tier?,
+ *   convertedAmount?, baseCurrency?
+ * }
+ *
+ * `message` is plain text; `runs` is the same message as structured parts
+ * for overlays that render emoji images and highlight mentions:
+ *   { type: 'text', text } | { type: 'mention', text }
+ *   { type: 'emoji', text, url, alt } | { type: 'link', text, url }
+ * (`text` is always the plain-text form, so joining it gives `message`)
+ *
+ * Superchat amounts keep the original currency; convertedAmount is the same
+ * value in the configured base currency (see lib/currency.js).
+ *
+ * Other platform events (new members, deletions, polls...) go through
+ * emitEvent() as { type, platform, stream, ... }.
+ *
+ * Subclasses implement start() / stop() and call emitMessage(),
+ * emitSuperchat(), emitEvent() and emitError().
+ */
+
+const { convert, getBaseCurrency } = require('./currency');
+
+class ChatSource {
+  /**
+   * @param {string} platform - Platform identifier (e.g. 'youtube', 'twitch')
+   */
+  constructor(platform) {
+    this.platform = platform;
+    this.isRunning = false;
+    this.messageCallback = null;
+    this.superchatCallback = null;
+    this.eventCallback = null;
+    this.errorCallback = null;
+    this.statusCallback = null;
+  }
+
+  /**
+   * Point the source at a stream (video ID, channel, URL...)
+   * @param {string} target - Platform-specific identifier or URL
+   * @returns {string} - Normalized target
+   */
+  setTarget(target) {
+    throw new Error(`${this.constructor.name} must implement setTarget()`);
+  }
+
+  /**
+   * Start receiving chat
+   * @returns {Promise<boolean>} - Whether the source connected
+   */
+  async start() {
+    throw new Error(`${this.constructor.name} must implement start()`);
+  }
+
+  /**
+   * Stop receiving chat
+   */
+  stop() {
+    throw new Error(`${this.constructor.name} must implement stop()`);
+  }
+
+  /**
+   * What this source is connected to (video ID, channel name...)
+   * @returns {string|null}
+   */
+  get target() {
+    return null;
+  }
+
+  /**
+   * Get superchat tier based on amount
+   * Thresholds are in US dollars; other currencies are converted first
+   * (unknown currencies are tiered on the raw amount)
+   */
+  static getSuperchatTier(amount, currency = 'USD') {
+    amount = convert(amount, currency, 'USD') ?? amount;
+    if (amount >= 100) return { tier: 7, color: '#e62117', name: 'red' };
+    if (amount >= 50) return { tier: 6, color: '#e62117', name: 'red' };
+    if (amount >= 20) return { tier: 5, color: '#e91e63', name: 'magenta' };
+    if (amount >= 10) return { tier: 4, color: '#f57c00', name: 'orange' };
+    if (amount >= 5) return { tier: 3, color: '#ffb300', name: 'yellow' };
+    if (amount >= 2) return { tier: 2, color: '#00e5ff', name: 'teal' };
+    return { tier: 1, color: '#1e88e5', name: 'blue' };
+  }
+
+  getSuperchatTier(amount, currency) {
+    return ChatSource.getSuperchatTier(amount, currency);
+  }
+
+  /**
+   * Amount fields for a superchat: original amount, converted amount and tier
+   * @param {number} amount - Amount in `currency`
+   * @param {string} currency - ISO code
+   * @returns {{amount: number, currency: string, convertedAmount: number|null, baseCurrency: string, tier: object}}
+   */
+  static superchatAmount(amount, currency = 'USD') {
+    return {
+      amount,
+      currency,
+      convertedAmount: convert(amount, currency),
+      baseCurrency: getBaseCurrency(),
+      tier: ChatSource.getSuperchatTier(amount, currency)
+    };
+  }
+
+  /**
+   * Split plain text into text and @mention runs
+   * @param {string} text - Plain text
+   * @returns {Array<object>} - Runs
+   */
+  static textRuns(text) {
+    return String(text || '')
+      .split(/(@[\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*)/u)
+      .filter(Boolean)
+      .map(part => (part.startsWith('@') && part.length > 1
+        ? { type: 'mention', text: part }
+        : { type: 'text', text: part }));
+  }
+
+  /**
+   * Plain text of a runs array
+   * @param {Array<object>} runs - Message runs
+   * @returns {string}
+   */
+  static runsToText(runs) {
+    return (runs || []).map(run => run.text || '').join('');
+  }
+
+  /**
+   * Emit helpers for subclasses
+   * Messages are tagged with the stream they came from (video ID, channel...)
+   */
+  emitMessage(msg) {
+    if (this.messageCallback) this.messageCallback({ platform: this.platform, stream: this.target, ...msg });
+  }
+
+  emitSuperchat(superchat) {
+    if (this.superchatCallback) this.superchatCallback({ platform: this.platform, stream: this.target, ...superchat });
+  }
+
+  emitEvent(event) {
+    if (this.eventCallback) this.eventCallback({ platform: this.platform, stream: this.target, ...event });
+  }
+
+  emitError(error) {
+    if (this.errorCallback) this.errorCallback(error);
+  }
+
+  emitStatus(connected, reason = null, detail = {}) {
+    if (this.statusCallback) this.statusCallback({ platform: this.platform, connected, target: this.target, reason, ...detail });
+  }
+
+  /**
+   * Event callbacks
+   */
+  onMessage(callback) {
+    this.messageCallback = callback;
+  }
+
+  onSuperchat(callback) {
+    this.superchatCallback = callback;
+  }
+
+  onEvent(callback) {
+    this.eventCallback = callback;
+  }
+
+  onError(callback) {
+    this.errorCallback = callback;
+  }
+
+  onStatus(callback) {
+    this.statusCallback = callback;
+  }
+
+  get isConnected() {
+    return this.isRunning;
+  }
+}
+
+module.exports = ChatSource;
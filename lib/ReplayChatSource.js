@@ -0,0 +1,185 @@
+/**
+ * Replay Chat Source
+ * Plays a recorded chat session (see chatRecorder) back through the normal
+ * onMessage / onSuperchat / onEvent callbacks, at real or accelerated speed.
+ *
+ * Replayed messages keep their original platform and stream, get fresh ids
+ * and timestamps, and are marked `replayed: true`.
+ *
+ * No network is involved, so it can drive the pipeline in tests:
+ *   const source = new ReplayChatSource({ events, speed: 0 });
+ *   source.onMessage(msg => ...);
+ *   await source.start();
+ */
+
+const ChatSource = require('./ChatSource');
+const chatRecorder = require('./chatRecorder');
+
+const MAX_SPEED = 100;
+const LOOP_PAUSE = 1000; // ms between passes, so max-speed loops can't spin
+
+class ReplayChatSource extends ChatSource {
+  /**
+   * @param {object} options
+   * @param {Array} options.events - Recorded events to play instead of a saved recording
+   * @param {string} options.file - Path to a .jsonl recording to play
+   * @param {number} options.speed - Playback speed (1 = real time, 0 = as fast as possible)
+   * @param {boolean} options.loop - Start over (after a short pause) when the recording ends
+   */
+  constructor(options = {}) {
+    super('replay');
+    this.events = options.events || null;
+    this.file = options.file || null;
+    this.name = options.file ? 'file' : (options.events ? 'events' : null);
+    this.speed = 1;
+    this.loop = false;
+    this.setOptions(options);
+
+    this.queue = [];
+    this.index = 0;
+    this.runId = null;
+    this.plays = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Recording being played
+   */
+  get target() {
+    return this.name;
+  }
+
+  /**
+   * Play a saved recording by name
+   */
+  setTarget(name) {
+    const safeName = chatRecorder.sanitizeName(name);
+    if (!safeName) {
+      throw new Error('No recording name given');
+    }
+    this.name = safeName;
+    this.events = null;
+    this.file = null;
+    return safeName;
+  }
+
+  /**
+   * Change playback speed and looping
+   * @param {object} options - { speed?, loop? }
+   */
+  setOptions({ speed, loop } = {}) {
+    if (speed !== undefined) {
+      const value = Number(speed);
+      this.speed = Number.isFinite(value) && value >= 0 ? Math.min(value, MAX_SPEED) : 1;
+    }
+    if (loop !== undefined) {
+      this.loop = Boolean(loop);
+    }
+  }
+
+  /**
+   * Load the events to play
+   */
+  loadEvents() {
+    if (this.events) return this.events;
+    if (this.file) return chatRecorder.loadFile(this.file);
+    if (this.name) return chatRecorder.load(this.name);
+    throw new Error('No recording selected');
+  }
+
+  /**
+   * Start playback
+   */
+  async start() {
+    if (this.isRunning) {
+      console.log('[ReplayChatSource] Already running');
+      return false;
+    }
+
+    try {
+      this.queue = this.loadEvents();
+    } catch (error) {
+      this.emitError(error);
+      return false;
+    }
+
+    if (this.queue.length === 0) {
+      this.emitError(new Error(`Recording "${this.name}" has no events`));
+      return false;
+    }
+
+    this.isRunning = true;
+    this.index = 0;
+    this.runId = Date.now().toString(36);
+    this.plays = 0;
+    console.log(`[ReplayChatSource] Playing ${this.name} (${this.queue.length} events, ${this.speed ? `${this.speed}x` : 'max speed'}${this.loop ? ', looping' : ''})`);
+    this.scheduleNext();
+    return true;
+  }
+
+  /**
+   * Wait until the next event is due, then emit it
+   * @param {number} minDelay - Wait at least this long (ms)
+   */
+  scheduleNext(minDelay = 0) {
+    // Gaps are measured between events, so playback starts with the first message
+    const event = this.queue[this.index];
+    const previous = this.index > 0 ? this.queue[this.index - 1].offset : event.offset;
+    const gap = Math.max(0, event.offset - previous);
+    const delay = Math.max(minDelay, this.speed > 0 ? gap / this.speed : 0);
+
+    this.timer = setTimeout(() => {
+      if (!this.isRunning) return;
+      this.replayEvent(event);
+      this.index++;
+
+      if (this.index < this.queue.length) {
+        this.scheduleNext();
+      } else if (this.loop) {
+        this.index = 0;
+        this.plays++;
+        this.scheduleNext(LOOP_PAUSE);
+      } else {
+        console.log(`[ReplayChatSource] Finished ${this.name}`);
+        this.timer = null;
+        this.isRunning = false;
+        this.emitStatus(false);
+      }
+    }, delay);
+  }
+
+  /**
+   * Re-emit a recorded event as if it just arrived
+   */
+  replayEvent({ kind, data }) {
+    // Fresh ids so a session can be replayed (or looped) without clashing in the queue
+    const replayId = (id) => `replay_${this.runId}.${this.plays}_${id}`;
+    const msg = {
+      ...data,
+      timestamp: Date.now(),
+      replayed: true
+    };
+    if (data.id) msg.id = replayId(data.id);
+    if (data.messageIds) msg.messageIds = data.messageIds.map(replayId);
+
+    if (kind === 'event') {
+      this.emitEvent(msg);
+    } else if (kind === 'superchat') {
+      this.emitSuperchat(msg);
+    } else {
+      this.emitMessage(msg);
+    }
+  }
+
+  /**
+   * Stop playback
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.isRunning = false;
+    console.log('[ReplayChatSource] Stopped');
+  }
+}
+
+module.exports = ReplayChatSource;
@@ -0,0 +1,333 @@
+/**
+ * Twitch Chat Source
+ * Reads Twitch chat over IRC-over-WebSocket (anonymous, read-only)
+ */
+
+const WebSocket = require('ws');
+const ChatSource = require('./ChatSource');
+
+const DEFAULT_SERVER_URL = 'wss://irc-ws.chat.twitch.tv:443';
+const JOIN_TIMEOUT = 10000; // ms
+const EMOTE_CDN = 'https://static-cdn.jtvnw.net/emoticons/v2';
+
+// Twitch badge name -> normalized badge
+const BADGE_MAP = {
+  broadcaster: 'owner',
+  moderator: 'moderator',
+  subscriber: 'member',
+  founder: 'member',
+  vip: 'vip',
+  partner: 'verified'
+};
+
+class TwitchChatSource extends ChatSource {
+  /**
+   * @param {object} options
+   * @param {string} options.serverUrl - IRC WebSocket URL (override for local testing)
+   */
+  constructor(options = {}) {
+    super('twitch');
+    this.serverUrl = options.serverUrl || process.env.TWITCH_IRC_URL || DEFAULT_SERVER_URL;
+    this.channel = null;
+    this.socket = null;
+    this.pendingJoin = null; // Settles the start() in progress, if any
+  }
+
+  /**
+   * Channel this source is attached to
+   */
+  get target() {
+    return this.channel;
+  }
+
+  /**
+   * Extract channel name from a twitch.tv URL or plain name
+   */
+  static extractChannel(urlOrName) {
+    if (!urlOrName) return null;
+
+    let name = String(urlOrName).trim();
+    try {
+      const url = new URL(name);
+      if (url.hostname.endsWith('twitch.tv')) {
+        name = url.pathname.split('/')[1] || '';
+      }
+    } catch (e) {
+      // Not a URL - treat as channel name
+    }
+
+    name = name.replace(/^#/, '').toLowerCase();
+    return /^[a-z0-9_]{3,25}$/.test(name) ? name : null;
+  }
+
+  /**
+   * Set channel to join
+   */
+  setTarget(urlOrName) {
+    const channel = TwitchChatSource.extractChannel(urlOrName);
+    if (!channel) {
+      throw new Error('Invalid Twitch channel name or URL');
+    }
+    this.channel = channel;
+    return channel;
+  }
+
+  /**
+   * Parse IRCv3 tags (@key=value;key=value)
+   */
+  static parseTags(raw) {
+    const tags = {};
+    for (const pair of raw.split(';')) {
+      const index = pair.indexOf('=');
+      const key = index === -1 ? pair : pair.slice(0, index);
+      const value = index === -1 ? '' : pair.slice(index + 1);
+      tags[key] = value
+        .replace(/\\s/g, ' ')
+        .replace(/\\:/g, ';')
+        .replace(/\\r/g, '\r')
+        .replace(/\\n/g, '\n')
+        .replace(/\\\\/g, '\\');
+    }
+    return tags;
+  }
+
+  /**
+   * Parse a single IRC line into { tags, prefix, command, params, trailing }
+   */
+  static parseLine(line) {
+    let rest = line;
+    let tags = {};
+    let prefix = null;
+
+    if (rest.startsWith('@')) {
+      const space = rest.indexOf(' ');
+      tags = TwitchChatSource.parseTags(rest.slice(1, space));
+      rest = rest.slice(space + 1);
+    }
+
+    if (rest.startsWith(':')) {
+      const space = rest.indexOf(' ');
+      prefix = rest.slice(1, space);
+      rest = rest.slice(space + 1);
+    }
+
+    let trailing = null;
+    const trailingIndex = rest.indexOf(' :');
+    if (trailingIndex !== -1) {
+      trailing = rest.slice(trailingIndex + 2);
+      rest = rest.slice(0, trailingIndex);
+    }
+
+    const [command, ...params] = rest.split(' ').filter(Boolean);
+    return { tags, prefix, command, params, trailing };
+  }
+
+  /**
+   * Map Twitch badges (broadcaster/1,subscriber/12) to normalized badges
+   */
+  parseBadges(rawBadges) {
+    const badges = [];
+    for (const badge of (rawBadges || '').split(',')) {
+      const mapped = BADGE_MAP[badge.split('/')[0]];
+      if (mapped && !badges.includes(mapped)) {
+        badges.push(mapped);
+      }
+    }
+    return badges;
+  }
+
+  /**
+   * Build message runs from the text and the `emotes` tag
+   * ("25:0-4,12-16/1902:6-10" - emote id : character ranges)
+   */
+  static parseRuns(text, emotesTag) {
+    const chars = Array.from(text || '');
+    const emotes = [];
+    for (const entry of (emotesTag || '').split('/')) {
+      const [id, ranges] = entry.split(':');
+      if (!id || !ranges) continue;
+      for (const range of ranges.split(',')) {
+        const [start, end] = range.split('-').map(Number);
+        if (Number.isInteger(start) && Number.isInteger(end)) emotes.push({ id, start, end });
+      }
+    }
+    emotes.sort((a, b) => a.start - b.start);
+
+    const runs = [];
+    let position = 0;
+    for (const { id, start, end } of emotes) {
+      if (start < position) continue;
+      runs.push(...ChatSource.textRuns(chars.slice(position, start).join('')));
+      const name = chars.slice(start, end + 1).join('');
+      runs.push({ type: 'emoji', text: name, url: `${EMOTE_CDN}/${id}/default/dark/1.0`, alt: name });
+      position = end + 1;
+    }
+    runs.push(...ChatSource.textRuns(chars.slice(position).join('')));
+    return runs;
+  }
+
+  /**
+   * Convert a PRIVMSG into a normalized message (bits become superchats)
+   */
+  parsePrivmsg(parsed) {
+    const { tags, prefix, trailing } = parsed;
+    const nick = prefix ? prefix.split('!')[0] : 'unknown';
+    const bits = parseInt(tags.bits) || 0;
+    const amount = bits / 100; // 100 bits = $1.00
+
+    const msg = {
+      id: tags.id || `tw_${Date.now()}_${Math.random()}`,
+      type: bits > 0 ? 'superchat' : 'message',
+      platform: this.platform,
+      author: tags['display-name'] || nick,
+      authorChannelId: tags['user-id'] || null,
+      authorPhoto: '',
+      message: trailing || '',
+      runs: TwitchChatSource.parseRuns(trailing, tags.emotes),
+      timestamp: parseInt(tags['tmi-sent-ts']) || Date.now(),
+      badges: this.parseBadges(tags.badges),
+      isSuperchat: bits > 0
+    };
+
+    if (bits > 0) {
+      Object.assign(msg, ChatSource.superchatAmount(amount, 'USD'));
+      msg.amountFormatted = `${bits} bits`;
+      msg.bits = bits;
+    }
+
+    return msg;
+  }
+
+  /**
+   * Handle a raw frame (may hold several IRC lines)
+   */
+  handleFrame(frame, onJoined) {
+    for (const line of frame.toString().split('\r\n')) {
+      if (!line) continue;
+      const parsed = TwitchChatSource.parseLine(line);
+
+      switch (parsed.command) {
+        case 'PING':
+          this.socket.send(`PONG :${parsed.trailing || 'tmi.twitch.tv'}`);
+          break;
+
+        case 'JOIN':
+        case 'ROOMSTATE':
+          onJoined(true);
+          break;
+
+        case 'NOTICE':
+          if (/login|authentication/i.test(parsed.trailing || '')) {
+            this.emitError(new Error(`Twitch: ${parsed.trailing}`));
+            onJoined(false);
+          }
+          break;
+
+        case 'PRIVMSG': {
+          const msg = this.parsePrivmsg(parsed);
+          this.emitMessage(msg);
+          if (msg.isSuperchat) {
+            this.emitSuperchat(msg);
+          }
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Connect and join the channel
+   */
+  start() {
+    if (this.isRunning) {
+      console.log('[TwitchChatSource] Already running');
+      return Promise.resolve(false);
+    }
+
+    if (!this.channel) {
+      throw new Error('No Twitch channel set');
+    }
+
+    // A newer start() replaces a join still in progress
+    if (this.pendingJoin) {
+      this.stop();
+    }
+
+    console.log(`[TwitchChatSource] Joining #${this.channel}`);
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const finish = (joined) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        if (this.pendingJoin === finish) this.pendingJoin = null;
+        if (joined) {
+          this.isRunning = true;
+          console.log(`[TwitchChatSource] Joined #${this.channel}`);
+        } else if (this.socket) {
+          this.socket.close();
+        }
+        resolve(joined);
+      };
+
+      const timeout = setTimeout(() => {
+        this.emitError(new Error('Timed out joining Twitch chat'));
+        finish(false);
+      }, JOIN_TIMEOUT);
+      this.pendingJoin = finish;
+
+      const socket = new WebSocket(this.serverUrl);
+      this.socket = socket;
+
+      socket.on('open', () => {
+        socket.send('CAP REQ :twitch.tv/tags twitch.tv/commands');
+        socket.send('PASS SCHMOOPIIE');
+        socket.send(`NICK justinfan${Math.floor(Math.random() * 80000) + 1000}`);
+        socket.send(`JOIN #${this.channel}`);
+      });
+
+      socket.on('message', (frame) => {
+        if (this.socket === socket) this.handleFrame(frame, finish);
+      });
+
+      socket.on('error', (error) => {
+        // Closing a socket that is still connecting errors too - stop() meant that
+        if (this.socket !== socket) return;
+        console.error('[TwitchChatSource] Socket error:', error.message);
+        this.emitError(error);
+        finish(false);
+      });
+
+      socket.on('close', () => {
+        if (this.socket !== socket) return;
+        this.socket = null;
+        finish(false);
+        if (this.isRunning) {
+          this.isRunning = false;
+          console.log('[TwitchChatSource] Connection closed');
+          this.emitStatus(false);
+        }
+      });
+    });
+  }
+
+  /**
+   * Leave the channel and close the socket
+   * A start() still joining resolves false, without reporting an error
+   */
+  stop() {
+    const socket = this.socket;
+    this.socket = null;
+    this.isRunning = false;
+    if (this.pendingJoin) {
+      this.pendingJoin(false);
+    }
+    if (socket) {
+      socket.close();
+    }
+    console.log('[TwitchChatSource] Stopped');
+  }
+}
+
+module.exports = TwitchChatSource;
@@ -1,23 +1,66 @@
 /**
  * YouTube Chat Scraper
  * Scrapes live chat messages from YouTube livestreams
+ *
+ * Besides chat messages and superchats it parses Super Stickers (emitted as
+ * superchats), memberships, gifted memberships, YouTube polls and deletions;
+ * the non-message ones go out through emitEvent() as { type: ... }:
+ *   membership, membership_gift, gift_redemption, youtube_poll,
+ *   message_deleted ({ messageIds }), author_removed ({ authorChannelId })
+ *
+ * Polling follows YouTube's own timeoutMs hints, backs off exponentially
+ * when requests fail, and re-runs fetchInitialData() when the continuation
+ * goes bad (expired token, stream restarted). Every change is reported via
+ * emitStatus() with one of the STATUS reason codes below.
  */
 
 const fetch = require('node-fetch');
+const ChatSource = require('./ChatSource');
+const { parseAmount } = require('./currency');
+
+const DEFAULT_POLL_DELAY = 2500; // ms, when YouTube gives no timeoutMs
+const MIN_POLL_DELAY = 1000;
+const MAX_POLL_DELAY = 10000;
+const BACKOFF_BASE = 2000; // ms, doubled per consecutive failure
+const MAX_BACKOFF = 60000;
+const FAILURES_BEFORE_REINIT = 3; // Consecutive failures before re-fetching the page
+
+// Status reason codes
+const STATUS = {
+  CONNECTED: 'connected',                       // Polling normally
+  FETCH_FAILED: 'fetch_failed',                 // A poll failed, retrying with backoff
+  CONTINUATION_EXPIRED: 'continuation_expired', // Token rejected or missing, re-initializing
+  RECONNECTING: 'reconnecting',                 // Re-fetching the watch page
+  RECONNECT_FAILED: 'reconnect_failed',         // Re-initialization failed, will retry
+  RECOVERED: 'recovered',                       // Back to normal after failures
+  STOPPED: 'stopped'
+};
 
-class YouTubeChatScraper {
+/**
+ * Error for a continuation YouTube no longer accepts
+ */
+class ContinuationError extends Error {}
+
+class YouTubeChatScraper extends ChatSource {
   constructor() {
+    super('youtube');
     this.videoId = null;
     this.continuation = null;
     this.apiKey = null;
-    this.isRunning = false;
-    this.pollInterval = null;
-    this.messageCallback = null;
-    this.superchatCallback = null;
-    this.errorCallback = null;
+    this.pollTimer = null;
+    this.pollDelay = DEFAULT_POLL_DELAY;
+    this.failures = 0;
+    this.status = null;
     this.seenMessageIds = new Set();
   }
 
+  /**
+   * Video ID this scraper is attached to
+   */
+  get target() {
+    return this.videoId;
+  }
+
   /**
    * Extract video ID from various YouTube URL formats
    */
@@ -62,11 +105,16 @@ class YouTubeChatScraper {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
           'Accept-Language': 'en-US,en;q=0.9'
-        }
+        },
+        timeout: 15000
       });
 
       const html = await response.text();
 
+      // Start from scratch so a stale token never survives a re-init
+      this.apiKey = null;
+      this.continuation = null;
+
       // Extract API key
       const apiKeyMatch = html.match(/"INNERTUBE_API_KEY":"([^"]+)"/);
       if (apiKeyMatch) {
@@ -95,88 +143,257 @@ class YouTubeChatScraper {
       return true;
     } catch (error) {
       console.error('[YouTubeChatScraper] Failed to fetch initial data:', error.message);
-      if (this.errorCallback) this.errorCallback(error);
+      this.emitError(error);
       return false;
     }
   }
 
   /**
    * Fetch chat messages from YouTube's internal API
+   * Throws on network/HTTP errors; a ContinuationError means the
+   * continuation token is no longer usable.
    */
   async fetchMessages() {
     if (!this.apiKey || !this.continuation) {
-      return [];
+      throw new ContinuationError('No continuation token');
     }
 
-    try {
-      const response = await fetch(`https://www.youtube.com/youtubei/v1/live_chat/get_live_chat?key=${this.apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    const response = await fetch(`https://www.youtube.com/youtubei/v1/live_chat/get_live_chat?key=${this.apiKey}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+      },
+      body: JSON.stringify({
+        context: {
+          client: {
+            clientName: 'WEB',
+            clientVersion: '2.20231219.04.00'
+          }
         },
-        body: JSON.stringify({
-          context: {
-            client: {
-              clientName: 'WEB',
-              clientVersion: '2.20231219.04.00'
-            }
-          },
-          continuation: this.continuation
-        })
-      });
+        continuation: this.continuation
+      }),
+      timeout: 15000
+    });
+
+    // 4xx means YouTube rejected the token (expired, stream restarted)
+    if (response.status >= 400 && response.status < 500) {
+      throw new ContinuationError(`Continuation rejected (HTTP ${response.status})`);
+    }
+    if (!response.ok) {
+      throw new Error(`Chat request failed (HTTP ${response.status})`);
+    }
 
-      const data = await response.json();
+    const data = await response.json();
+    const liveChat = data.continuationContents?.liveChatContinuation;
+    if (!liveChat) {
+      throw new ContinuationError('Response has no live chat continuation');
+    }
 
-      // Update continuation token for next request
-      const continuations = data.continuationContents?.liveChatContinuation?.continuations;
-      if (continuations && continuations.length > 0) {
-        const newContinuation = continuations[0].invalidationContinuationData?.continuation ||
-                               continuations[0].timedContinuationData?.continuation ||
-                               continuations[0].reloadContinuationData?.continuation;
-        if (newContinuation) {
-          this.continuation = newContinuation;
+    // Update continuation token and poll delay for the next request
+    const continuations = liveChat.continuations || [];
+    const next = continuations[0]?.invalidationContinuationData ||
+                 continuations[0]?.timedContinuationData ||
+                 continuations[0]?.reloadContinuationData;
+    if (!next?.continuation) {
+      throw new ContinuationError('Response has no next continuation');
+    }
+    this.continuation = next.continuation;
+    this.pollDelay = next.timeoutMs
+      ? Math.min(MAX_POLL_DELAY, Math.max(MIN_POLL_DELAY, Number(next.timeoutMs)))
+      : DEFAULT_POLL_DELAY;
+
+    // Parse messages
+    const actions = liveChat.actions || [];
+    const messages = [];
+
+    for (const wrapper of actions) {
+      const action = wrapper.replayChatItemAction?.actions?.[0] || wrapper;
+
+      // Deletions, bans, polls...
+      if (this.handleAction(action)) continue;
+
+      const item = action.addChatItemAction?.item;
+      if (!item) continue;
+
+      // Regular chat message
+      if (item.liveChatTextMessageRenderer) {
+        const msg = this.parseTextMessage(item.liveChatTextMessageRenderer);
+        if (msg && !this.seenMessageIds.has(msg.id)) {
+          this.seenMessageIds.add(msg.id);
+          messages.push(msg);
         }
       }
 
-      // Parse messages
-      const actions = data.continuationContents?.liveChatContinuation?.actions || [];
-      const messages = [];
+      // Superchat
+      if (item.liveChatPaidMessageRenderer) {
+        const superchat = this.parseSuperchat(item.liveChatPaidMessageRenderer);
+        if (superchat && !this.seenMessageIds.has(superchat.id)) {
+          this.seenMessageIds.add(superchat.id);
+          messages.push(superchat);
+          this.emitSuperchat(superchat);
+        }
+      }
 
-      for (const action of actions) {
-        const item = action.replayChatItemAction?.actions?.[0]?.addChatItemAction?.item ||
-                    action.addChatItemAction?.item;
+      // Super Sticker (a superchat with a sticker instead of text)
+      if (item.liveChatPaidStickerRenderer) {
+        const sticker = this.parseSuperSticker(item.liveChatPaidStickerRenderer);
+        if (sticker && !this.seenMessageIds.has(sticker.id)) {
+          this.seenMessageIds.add(sticker.id);
+          messages.push(sticker);
+          this.emitSuperchat(sticker);
+        }
+      }
 
-        if (!item) continue;
+      // New member / membership milestone
+      if (item.liveChatMembershipItemRenderer) {
+        this.emitEventOnce(this.parseMembership(item.liveChatMembershipItemRenderer));
+      }
 
-        // Regular chat message
-        if (item.liveChatTextMessageRenderer) {
-          const msg = this.parseTextMessage(item.liveChatTextMessageRenderer);
-          if (msg && !this.seenMessageIds.has(msg.id)) {
-            this.seenMessageIds.add(msg.id);
-            messages.push(msg);
-          }
-        }
+      // Someone gifted memberships
+      if (item.liveChatSponsorshipsGiftPurchaseAnnouncementRenderer) {
+        this.emitEventOnce(this.parseMembershipGift(item.liveChatSponsorshipsGiftPurchaseAnnouncementRenderer));
+      }
 
-        // Superchat
-        if (item.liveChatPaidMessageRenderer) {
-          const superchat = this.parseSuperchat(item.liveChatPaidMessageRenderer);
-          if (superchat && !this.seenMessageIds.has(superchat.id)) {
-            this.seenMessageIds.add(superchat.id);
-            messages.push(superchat);
-            if (this.superchatCallback) {
-              this.superchatCallback(superchat);
-            }
-          }
-        }
+      // Someone received a gifted membership
+      if (item.liveChatSponsorshipsGiftRedemptionAnnouncementRenderer) {
+        this.emitEventOnce(this.parseGiftRedemption(item.liveChatSponsorshipsGiftRedemptionAnnouncementRenderer));
       }
+    }
 
-      return messages;
-    } catch (error) {
-      console.error('[YouTubeChatScraper] Error fetching messages:', error.message);
-      if (this.errorCallback) this.errorCallback(error);
-      return [];
+    return messages;
+  }
+
+  /**
+   * Handle non-item actions (deletions, bans, polls)
+   * @returns {boolean} - Whether the action was one of these
+   */
+  handleAction(action) {
+    // A moderator deleted a message
+    const removed = action.removeChatItemAction || action.markChatItemAsDeletedAction;
+    if (removed?.targetItemId) {
+      this.emitEvent({ type: 'message_deleted', messageIds: [removed.targetItemId] });
+      return true;
+    }
+
+    // An author was banned / timed out - all their messages go
+    const byAuthor = action.removeChatItemByAuthorAction || action.markChatItemsByAuthorAsDeletedAction;
+    if (byAuthor?.externalChannelId) {
+      this.emitEvent({ type: 'author_removed', authorChannelId: byAuthor.externalChannelId });
+      return true;
+    }
+
+    // YouTube poll shown or updated
+    const pollRenderer = action.showLiveChatActionPanelAction?.panelToShow?.liveChatActionPanelRenderer?.contents?.pollRenderer ||
+                         action.updateLiveChatPollAction?.pollToUpdate?.pollRenderer;
+    if (pollRenderer) {
+      this.emitEvent({ type: 'youtube_poll', poll: this.parsePoll(pollRenderer) });
+      return true;
+    }
+
+    // Poll panel closed
+    if (action.closeLiveChatActionPanelAction) {
+      this.emitEvent({ type: 'youtube_poll', poll: null, closedPanelId: action.closeLiveChatActionPanelAction.targetPanelId || null });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Emit an item event unless it was already seen (continuations overlap)
+   */
+  emitEventOnce(event) {
+    if (!event || this.seenMessageIds.has(event.id)) return;
+    this.seenMessageIds.add(event.id);
+    this.emitEvent(event);
+  }
+
+  /**
+   * Text from a { simpleText } or { runs } field
+   */
+  static textOf(field) {
+    if (!field) return '';
+    if (field.simpleText) return field.simpleText;
+    return ChatSource.runsToText(YouTubeChatScraper.parseRuns(field.runs));
+  }
+
+  /**
+   * Convert YouTube message runs into normalized runs
+   * Custom (member) emoji become images with their :shortcut: as text;
+   * link runs keep their target URL.
+   */
+  static parseRuns(runs) {
+    const parsed = [];
+    for (const run of runs || []) {
+      if (run.emoji) {
+        const { emoji } = run;
+        const thumbnails = emoji.image?.thumbnails || [];
+        const shortcut = emoji.shortcuts?.[0] || emoji.searchTerms?.[0] || '';
+        const text = emoji.isCustomEmoji ? (shortcut || ':emoji:') : (emoji.emojiId || shortcut);
+        parsed.push({
+          type: 'emoji',
+          text,
+          url: thumbnails[thumbnails.length - 1]?.url || null,
+          alt: emoji.image?.accessibility?.accessibilityData?.label || shortcut || text
+        });
+        continue;
+      }
+
+      const url = run.navigationEndpoint?.urlEndpoint?.url;
+      if (url) {
+        parsed.push({ type: 'link', text: run.text || url, url: YouTubeChatScraper.unwrapRedirect(url) });
+        continue;
+      }
+
+      if (run.text) {
+        parsed.push(...ChatSource.textRuns(run.text));
+      }
     }
+    return parsed;
+  }
+
+  /**
+   * YouTube wraps chat links in /redirect?q=<url>
+   */
+  static unwrapRedirect(url) {
+    try {
+      const parsed = new URL(url, 'https://www.youtube.com');
+      if (parsed.pathname === '/redirect' && parsed.searchParams.get('q')) {
+        return parsed.searchParams.get('q');
+      }
+      return parsed.href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * Normalize author badges (member, moderator, owner, verified)
+   */
+  static parseBadges(authorBadges) {
+    const badges = [];
+    for (const badge of authorBadges || []) {
+      const badgeRenderer = badge.liveChatAuthorBadgeRenderer;
+      if (badgeRenderer?.icon?.iconType) {
+        badges.push(badgeRenderer.icon.iconType.toLowerCase());
+      }
+      if (badgeRenderer?.customThumbnail) {
+        badges.push('member');
+      }
+    }
+    return badges;
+  }
+
+  /**
+   * Author fields shared by every renderer
+   */
+  static parseAuthor(renderer) {
+    return {
+      author: renderer.authorName?.simpleText || 'Unknown',
+      authorPhoto: renderer.authorPhoto?.thumbnails?.[0]?.url || '',
+      authorChannelId: renderer.authorExternalChannelId || null
+    };
   }
 
   /**
@@ -186,30 +403,23 @@ class YouTubeChatScraper {
     try {
       const authorName = renderer.authorName?.simpleText || 'Unknown';
       const authorPhoto = renderer.authorPhoto?.thumbnails?.[0]?.url || '';
-      const messageText = renderer.message?.runs?.map(r => r.text || r.emoji?.emojiId || '').join('') || '';
+      const runs = YouTubeChatScraper.parseRuns(renderer.message?.runs);
+      const messageText = ChatSource.runsToText(runs);
       const id = renderer.id || `msg_${Date.now()}_${Math.random()}`;
       const timestamp = parseInt(renderer.timestampUsec) / 1000 || Date.now();
 
       // Check for badges (member, moderator, owner)
-      const badges = [];
-      if (renderer.authorBadges) {
-        for (const badge of renderer.authorBadges) {
-          const badgeRenderer = badge.liveChatAuthorBadgeRenderer;
-          if (badgeRenderer?.icon?.iconType) {
-            badges.push(badgeRenderer.icon.iconType.toLowerCase());
-          }
-          if (badgeRenderer?.customThumbnail) {
-            badges.push('member');
-          }
-        }
-      }
+      const badges = YouTubeChatScraper.parseBadges(renderer.authorBadges);
 
       return {
         id,
         type: 'message',
+        platform: this.platform,
         author: authorName,
         authorPhoto,
+        authorChannelId: renderer.authorExternalChannelId || null,
         message: messageText,
+        runs,
         timestamp,
         badges,
         isSuperchat: false
@@ -226,30 +436,31 @@ class YouTubeChatScraper {
     try {
       const authorName = renderer.authorName?.simpleText || 'Unknown';
       const authorPhoto = renderer.authorPhoto?.thumbnails?.[0]?.url || '';
-      const messageText = renderer.message?.runs?.map(r => r.text || r.emoji?.emojiId || '').join('') || '';
+      const runs = YouTubeChatScraper.parseRuns(renderer.message?.runs);
+      const messageText = ChatSource.runsToText(runs);
       const id = renderer.id || `sc_${Date.now()}_${Math.random()}`;
       const timestamp = parseInt(renderer.timestampUsec) / 1000 || Date.now();
 
-      // Parse purchase amount
+      // Parse purchase amount ("$5.00", "1.234,56 €", "PHP 100.00"...)
       const purchaseAmount = renderer.purchaseAmountText?.simpleText || '$0.00';
-      const amountMatch = purchaseAmount.match(/[\d,.]+/);
-      const amount = amountMatch ? parseFloat(amountMatch[0].replace(/,/g, '')) : 0;
-
-      // Determine superchat tier based on amount
-      const tier = this.getSuperchatTier(amount);
+      // Tier on the base-currency value so ¥500 isn't tiered like $500
+      const { amount, currency } = parseAmount(purchaseAmount);
+      const pricing = ChatSource.superchatAmount(amount, currency);
 
       return {
         id,
         type: 'superchat',
+        platform: this.platform,
         author: authorName,
         authorPhoto,
+        authorChannelId: renderer.authorExternalChannelId || null,
         message: messageText,
+        runs,
         timestamp,
-        badges: [],
+        badges: YouTubeChatScraper.parseBadges(renderer.authorBadges),
         isSuperchat: true,
-        amount,
+        ...pricing,
         amountFormatted: purchaseAmount,
-        tier,
         backgroundColor: renderer.bodyBackgroundColor,
         headerBackgroundColor: renderer.headerBackgroundColor
       };
@@ -259,16 +470,123 @@ class YouTubeChatScraper {
   }
 
   /**
-   * Get superchat tier based on amount
+   * Parse a Super Sticker (emitted like a superchat, with a sticker image)
+   */
+  parseSuperSticker(renderer) {
+    try {
+      const purchaseAmount = YouTubeChatScraper.textOf(renderer.purchaseAmountText) || '$0.00';
+      const { amount, currency } = parseAmount(purchaseAmount);
+      const thumbnails = renderer.sticker?.thumbnails || [];
+      const label = renderer.sticker?.accessibility?.accessibilityData?.label || 'Super Sticker';
+      let url = thumbnails[thumbnails.length - 1]?.url || '';
+      if (url.startsWith('//')) url = `https:${url}`;
+
+      return {
+        id: renderer.id || `sticker_${Date.now()}_${Math.random()}`,
+        type: 'superchat',
+        platform: this.platform,
+        ...YouTubeChatScraper.parseAuthor(renderer),
+        message: '',
+        runs: [],
+        timestamp: parseInt(renderer.timestampUsec) / 1000 || Date.now(),
+        badges: YouTubeChatScraper.parseBadges(renderer.authorBadges),
+        isSuperchat: true,
+        ...ChatSource.superchatAmount(amount, currency),
+        amountFormatted: purchaseAmount,
+        sticker: { url, label },
+        backgroundColor: renderer.backgroundColor || renderer.moneyChipBackgroundColor
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse a new member / membership milestone announcement
    */
-  getSuperchatTier(amount) {
-    if (amount >= 100) return { tier: 7, color: '#e62117', name: 'red' };
-    if (amount >= 50) return { tier: 6, color: '#e62117', name: 'red' };
-    if (amount >= 20) return { tier: 5, color: '#e91e63', name: 'magenta' };
-    if (amount >= 10) return { tier: 4, color: '#f57c00', name: 'orange' };
-    if (amount >= 5) return { tier: 3, color: '#ffb300', name: 'yellow' };
-    if (amount >= 2) return { tier: 2, color: '#00e5ff', name: 'teal' };
-    return { tier: 1, color: '#1e88e5', name: 'blue' };
+  parseMembership(renderer) {
+    try {
+      // Milestones have a "Member for N months" header and an optional message
+      const header = YouTubeChatScraper.textOf(renderer.headerPrimaryText);
+      const subtext = YouTubeChatScraper.textOf(renderer.headerSubtext);
+      const months = header ? parseInt(header.match(/\d+/)?.[0]) || null : null;
+      const badgeTooltip = renderer.authorBadges?.find(b => b.liveChatAuthorBadgeRenderer?.customThumbnail)
+        ?.liveChatAuthorBadgeRenderer.tooltip || null;
+
+      return {
+        id: renderer.id || `member_${Date.now()}_${Math.random()}`,
+        type: 'membership',
+        ...YouTubeChatScraper.parseAuthor(renderer),
+        timestamp: parseInt(renderer.timestampUsec) / 1000 || Date.now(),
+        isMilestone: Boolean(header),
+        months,
+        level: header ? subtext : badgeTooltip,
+        headline: header || subtext,
+        message: YouTubeChatScraper.textOf(renderer.message),
+        runs: YouTubeChatScraper.parseRuns(renderer.message?.runs)
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse a "Gifted N memberships" announcement
+   */
+  parseMembershipGift(renderer) {
+    try {
+      const header = renderer.header?.liveChatSponsorshipsHeaderRenderer || {};
+      const headline = YouTubeChatScraper.textOf(header.primaryText);
+
+      return {
+        id: renderer.id || `gift_${Date.now()}_${Math.random()}`,
+        type: 'membership_gift',
+        ...YouTubeChatScraper.parseAuthor(header),
+        authorChannelId: renderer.authorExternalChannelId || null,
+        timestamp: parseInt(renderer.timestampUsec) / 1000 || Date.now(),
+        count: parseInt(headline.match(/\d+/)?.[0]) || 1,
+        headline
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse a "received a gift membership by X" announcement
+   */
+  parseGiftRedemption(renderer) {
+    try {
+      const runs = renderer.message?.runs || [];
+
+      return {
+        id: renderer.id || `redeem_${Date.now()}_${Math.random()}`,
+        type: 'gift_redemption',
+        ...YouTubeChatScraper.parseAuthor(renderer),
+        timestamp: parseInt(renderer.timestampUsec) / 1000 || Date.now(),
+        giftedBy: runs.length > 1 ? runs[runs.length - 1].text : null,
+        headline: YouTubeChatScraper.textOf(renderer.message)
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse a YouTube poll panel
+   */
+  parsePoll(renderer) {
+    const header = renderer.header?.pollHeaderRenderer || {};
+    return {
+      id: renderer.liveChatPollId || null,
+      question: YouTubeChatScraper.textOf(header.pollQuestion),
+      status: YouTubeChatScraper.textOf(header.metadataText),
+      choices: (renderer.choices || []).map(choice => ({
+        text: YouTubeChatScraper.textOf(choice.text),
+        percentage: choice.votePercentage ? parseFloat(YouTubeChatScraper.textOf(choice.votePercentage)) || 0 : null,
+        selected: Boolean(choice.selected)
+      }))
+    };
   }
 
   /**
@@ -286,6 +604,102 @@ class YouTubeChatScraper {
     return videoId;
   }
 
+  /**
+   * ChatSource interface - same as setVideoId
+   */
+  setTarget(urlOrId) {
+    return this.setVideoId(urlOrId);
+  }
+
+  /**
+   * Report a status change (only when the reason changes)
+   * @param {string} reason - One of STATUS
+   * @param {object} detail - Extra info (retryInMs, message...)
+   */
+  setStatus(reason, detail = {}) {
+    const isRetry = reason === STATUS.FETCH_FAILED || reason === STATUS.RECONNECT_FAILED;
+    if (this.status === reason && !isRetry) return;
+    this.status = reason;
+    const connected = reason === STATUS.CONNECTED || reason === STATUS.RECOVERED;
+    this.emitStatus(connected, reason, detail);
+  }
+
+  /**
+   * Delay before the next attempt after `failures` consecutive failures
+   */
+  static backoffDelay(failures) {
+    const delay = Math.min(MAX_BACKOFF, BACKOFF_BASE * 2 ** Math.max(0, failures - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4)); // +/-20% jitter
+  }
+
+  /**
+   * Schedule the next poll
+   */
+  schedulePoll(delay) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.poll(), delay);
+  }
+
+  /**
+   * One polling cycle: re-initialize if needed, fetch, emit, reschedule
+   */
+  async poll() {
+    this.pollTimer = null;
+    if (!this.isRunning) return;
+
+    try {
+      if (!this.continuation) {
+        this.setStatus(STATUS.RECONNECTING);
+        const initialized = await this.fetchInitialData();
+        if (!this.isRunning) return;
+        if (!initialized) {
+          this.failures++;
+          const retryInMs = YouTubeChatScraper.backoffDelay(this.failures);
+          this.setStatus(STATUS.RECONNECT_FAILED, { retryInMs, failures: this.failures });
+          this.schedulePoll(retryInMs);
+          return;
+        }
+        // Failures are kept until a fetch succeeds, so a token that dies
+        // straight after re-initializing still backs off
+      }
+
+      const messages = await this.fetchMessages();
+      if (!this.isRunning) return;
+      this.failures = 0;
+
+      if (this.status !== STATUS.CONNECTED) {
+        console.log(`[YouTubeChatScraper] Recovered ${this.videoId}`);
+        this.setStatus(STATUS.RECOVERED);
+        this.status = STATUS.CONNECTED;
+      }
+
+      for (const msg of messages) {
+        this.emitMessage(msg);
+      }
+      this.schedulePoll(this.pollDelay);
+    } catch (error) {
+      if (!this.isRunning) return;
+      this.failures++;
+
+      if (error instanceof ContinuationError || this.failures >= FAILURES_BEFORE_REINIT) {
+        // Throw away the token; the next poll re-fetches the watch page
+        console.warn(`[YouTubeChatScraper] ${error.message} - re-initializing ${this.videoId}`);
+        this.continuation = null;
+        this.setStatus(STATUS.CONTINUATION_EXPIRED, { message: error.message });
+        // Only a token that was working gets an immediate re-init; once a
+        // re-init has happened since the last good fetch, back off
+        this.schedulePoll(error instanceof ContinuationError && this.failures === 1 ? 0 : YouTubeChatScraper.backoffDelay(this.failures));
+        return;
+      }
+
+      const retryInMs = YouTubeChatScraper.backoffDelay(this.failures);
+      console.error(`[YouTubeChatScraper] Error fetching messages (retry in ${retryInMs}ms):`, error.message);
+      if (this.failures === 1) this.emitError(error);
+      this.setStatus(STATUS.FETCH_FAILED, { retryInMs, failures: this.failures, message: error.message });
+      this.schedulePoll(retryInMs);
+    }
+  }
+
   /**
    * Start scraping
    */
@@ -307,16 +721,9 @@ class YouTubeChatScraper {
     }
 
     this.isRunning = true;
-
-    // Poll for messages every 2.5 seconds
-    this.pollInterval = setInterval(async () => {
-      const messages = await this.fetchMessages();
-      for (const msg of messages) {
-        if (this.messageCallback) {
-          this.messageCallback(msg);
-        }
-      }
-    }, 2500);
+    this.failures = 0;
+    this.status = STATUS.CONNECTED;
+    this.schedulePoll(0);
 
     return true;
   }
@@ -325,32 +732,14 @@ class YouTubeChatScraper {
    * Stop scraping
    */
   stop() {
-    if (this.pollInterval) {
-      clearInterval(this.pollInterval);
-      this.pollInterval = null;
-    }
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
     this.isRunning = false;
+    this.status = STATUS.STOPPED;
     console.log('[YouTubeChatScraper] Stopped');
   }
-
-  /**
-   * Event callbacks
-   */
-  onMessage(callback) {
-    this.messageCallback = callback;
-  }
-
-  onSuperchat(callback) {
-    this.superchatCallback = callback;
-  }
-
-  onError(callback) {
-    this.errorCallback = callback;
-  }
-
-  get isConnected() {
-    return this.isRunning;
-  }
 }
 
+YouTubeChatScraper.STATUS = STATUS;
+
 module.exports = YouTubeChatScraper;
@@ -0,0 +1,398 @@
+/**
+ * Chat Analytics
+ * Rolling message rate, unique chatters, superchat revenue and trending
+ * terms, fed by every chat source.
+ *
+ * Live numbers come from 10-second buckets (the last two hours are kept);
+ * the session keeps per-minute totals for the end-of-stream report, which
+ * can be exported as JSON or CSV. state.analytics holds the latest snapshot
+ * and is broadcast as `analytics_update` every few seconds while it changes.
+ */
+
+const { broadcast } = require('./broadcast');
+const { convert, getBaseCurrency } = require('./currency');
+const ChatSource = require('./ChatSource');
+const { authorId } = require('./authors');
+
+const BUCKET_MS = 10 * 1000;
+const MAX_BUCKETS = 720;      // 2 hours of 10s buckets
+const WINDOW_MINUTES = 5;     // Rolling window for unique chatters, terms and revenue
+const SERIES_MINUTES = 30;    // Per-minute history in the live snapshot
+const TOP_COUNT = 10;
+const MAX_TERMS = 5000;       // Session term table is pruned beyond this
+const SPIKE_RATIO = 2;        // Messages/min at least this many times the window average...
+const SPIKE_MIN_RATE = 10;    // ...and at least this many messages/min
+const UPDATE_INTERVAL = 5000; // ms
+
+// Words too common to be worth trending
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'you', 'your', 'are', 'was', 'but', 'not', 'this', 'that', 'with',
+  'have', 'has', 'had', 'just', 'what', 'when', 'they', 'them', 'his', 'her', 'she', 'him',
+  'its', 'it\'s', 'i\'m', 'all', 'can', 'get', 'got', 'out', 'our', 'who', 'how', 'why',
+  'too', 'now', 'one', 'yes', 'yeah', 'from', 'will', 'would', 'there', 'their', 'then',
+  'than', 'been', 'were', 'about', 'like', 'dont', 'don\'t', 'also', 'some', 'any', 'more',
+  'very', 'much', 'here', 'into', 'only', 'off', 'over', 'did', 'does', 'let', 'see', 'lol'
+]);
+
+let session = null;
+let updateTimer = null;
+let dirty = false;
+let lastTick = null;
+
+/**
+ * Fresh session
+ * @returns {object}
+ */
+function emptySession() {
+  return {
+    startedAt: Date.now(),
+    messages: 0,
+    superchats: 0,
+    revenue: 0,
+    peak: { messages: 0, at: null },
+    buckets: [],         // [{ start, messages, superchats, revenue, chatters: Map, terms: Map }]
+    minutes: new Map(),  // minute start -> { messages, superchats, revenue, chatters: Set }
+    chatters: new Map(), // author key -> { author, platform, messages, superchats, revenue }
+    terms: new Map()     // term -> count
+  };
+}
+
+/**
+ * Terms worth counting in a message (each counted once per message)
+ * Emoji, links and mentions are left out.
+ * @param {object} msg - Normalized chat message
+ * @returns {Set<string>}
+ */
+function extractTerms(msg) {
+  const runs = msg.runs || ChatSource.textRuns(msg.message);
+  const text = runs.filter(run => run.type === 'text').map(run => run.text).join(' ');
+  const terms = new Set();
+
+  for (const raw of text.toLowerCase().replace(/https?:\/\/\S+/g, ' ').split(/[^\p{L}\p{N}'#]+/u)) {
+    const term = raw.replace(/^'+|'+$/g, '');
+    if (term.length < 3 || /^\d+$/.test(term) || STOPWORDS.has(term)) continue;
+    terms.add(term);
+  }
+  return terms;
+}
+
+/**
+ * Bucket for a timestamp, creating it (and dropping old ones) as needed
+ * @param {number} timestamp - ms
+ * @returns {object}
+ */
+function bucketFor(timestamp) {
+  const start = timestamp - (timestamp % BUCKET_MS);
+  const buckets = session.buckets;
+  let bucket = buckets[buckets.length - 1];
+  if (!bucket || bucket.start < start) {
+    bucket = { start, messages: 0, superchats: 0, revenue: 0, chatters: new Map(), terms: new Map() };
+    buckets.push(bucket);
+    if (buckets.length > MAX_BUCKETS) buckets.shift();
+  }
+  return bucket;
+}
+
+/**
+ * Per-minute session entry for a timestamp
+ * @param {number} timestamp - ms
+ * @returns {object}
+ */
+function minuteFor(timestamp) {
+  const start = timestamp - (timestamp % 60000);
+  let minute = session.minutes.get(start);
+  if (!minute) {
+    minute = { messages: 0, superchats: 0, revenue: 0, chatters: new Set() };
+    session.minutes.set(start, minute);
+  }
+  return minute;
+}
+
+/**
+ * Chatter entry for a message's author
+ * @param {object} msg - Normalized chat message
+ * @returns {object}
+ */
+function chatterFor(msg) {
+  const key = authorId(msg);
+  let chatter = session.chatters.get(key);
+  if (!chatter) {
+    chatter = { author: msg.author, platform: msg.platform || 'manual', messages: 0, superchats: 0, revenue: 0 };
+    session.chatters.set(key, chatter);
+  }
+  chatter.author = msg.author || chatter.author;
+  return chatter;
+}
+
+/**
+ * Drop the rarest terms once the session table is too big
+ */
+function pruneTerms() {
+  if (session.terms.size <= MAX_TERMS) return;
+  for (const [term, count] of session.terms) {
+    if (count <= 1) session.terms.delete(term);
+  }
+}
+
+/**
+ * Count a chat message (superchats included)
+ * @param {object} msg - Normalized chat message
+ */
+function recordMessage(msg) {
+  const now = Date.now();
+  const key = authorId(msg);
+  const bucket = bucketFor(now);
+  const minute = minuteFor(now);
+
+  bucket.messages++;
+  bucket.chatters.set(key, (bucket.chatters.get(key) || 0) + 1);
+  minute.messages++;
+  minute.chatters.add(key);
+  session.messages++;
+  chatterFor(msg).messages++;
+
+  for (const term of extractTerms(msg)) {
+    bucket.terms.set(term, (bucket.terms.get(term) || 0) + 1);
+    session.terms.set(term, (session.terms.get(term) || 0) + 1);
+  }
+  pruneTerms();
+  dirty = true;
+}
+
+/**
+ * Count superchat revenue (in the base currency)
+ * @param {object} superchat - Normalized superchat
+ */
+function recordSuperchat(superchat) {
+  if (!(superchat.amount > 0)) return;
+
+  const now = Date.now();
+  const revenue = convert(superchat.amount, superchat.currency || 'USD') || 0;
+  const bucket = bucketFor(now);
+  const minute = minuteFor(now);
+  const chatter = chatterFor(superchat);
+
+  bucket.superchats++;
+  bucket.revenue += revenue;
+  minute.superchats++;
+  minute.revenue += revenue;
+  session.superchats++;
+  session.revenue += revenue;
+  chatter.superchats++;
+  chatter.revenue += revenue;
+  dirty = true;
+}
+
+/**
+ * Top entries of a count map
+ * @param {Map<string, number>} counts
+ * @param {number} limit
+ * @returns {Array<[string, number]>}
+ */
+function top(counts, limit = TOP_COUNT) {
+  return [...counts].sort((a, b) => b[1] - a[1]).slice(0, limit);
+}
+
+/**
+ * Round money to 2dp
+ */
+function money(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Live snapshot for overlays and the control panel
+ * @returns {object}
+ */
+function getSnapshot() {
+  const now = Date.now();
+  const minuteAgo = now - 60000;
+  const windowStart = now - WINDOW_MINUTES * 60000;
+
+  let messagesPerMinute = 0;
+  const windowTotals = { messages: 0, superchats: 0, revenue: 0 };
+  const windowChatters = new Map();
+  const windowTerms = new Map();
+
+  for (const bucket of session.buckets) {
+    if (bucket.start + BUCKET_MS <= windowStart) continue;
+    if (bucket.start + BUCKET_MS > minuteAgo) messagesPerMinute += bucket.messages;
+    windowTotals.messages += bucket.messages;
+    windowTotals.superchats += bucket.superchats;
+    windowTotals.revenue += bucket.revenue;
+    for (const [key, count] of bucket.chatters) windowChatters.set(key, (windowChatters.get(key) || 0) + count);
+    for (const [term, count] of bucket.terms) windowTerms.set(term, (windowTerms.get(term) || 0) + count);
+  }
+
+  // Spike: the last minute is well above the window's average
+  const windowMinutes = Math.max(1, Math.min(WINDOW_MINUTES, (now - session.startedAt) / 60000));
+  const averagePerMinute = windowTotals.messages / windowMinutes;
+  const spike = messagesPerMinute >= SPIKE_MIN_RATE && messagesPerMinute >= averagePerMinute * SPIKE_RATIO;
+
+  const series = [];
+  const currentMinute = now - (now % 60000);
+  for (let start = currentMinute - (SERIES_MINUTES - 1) * 60000; start <= currentMinute; start += 60000) {
+    if (start + 60000 <= session.startedAt) continue;
+    const minute = session.minutes.get(start);
+    series.push({
+      at: start,
+      messages: minute ? minute.messages : 0,
+      chatters: minute ? minute.chatters.size : 0,
+      superchats: minute ? minute.superchats : 0,
+      revenue: minute ? money(minute.revenue) : 0
+    });
+  }
+
+  return {
+    updatedAt: now,
+    baseCurrency: getBaseCurrency(),
+    messagesPerMinute,
+    averagePerMinute: Math.round(averagePerMinute * 10) / 10,
+    spike,
+    window: {
+      minutes: WINDOW_MINUTES,
+      messages: windowTotals.messages,
+      uniqueChatters: windowChatters.size,
+      superchats: windowTotals.superchats,
+      revenue: money(windowTotals.revenue),
+      topTerms: top(windowTerms).map(([term, count]) => ({ term, count })),
+      topChatters: top(windowChatters).map(([key, count]) => ({ author: session.chatters.get(key)?.author || key, messages: count }))
+    },
+    series,
+    session: {
+      startedAt: session.startedAt,
+      messages: session.messages,
+      uniqueChatters: session.chatters.size,
+      superchats: session.superchats,
+      revenue: money(session.revenue),
+      peak: session.peak
+    }
+  };
+}
+
+/**
+ * Recompute the snapshot and broadcast it if anything moved
+ * Runs on a timer; rates decay even when chat is quiet, so a new bucket
+ * also counts as a change.
+ * @param {object} state - Application state
+ * @param {boolean} force - Broadcast even if nothing changed
+ */
+function update(state, force = false) {
+  const now = Date.now();
+  const tick = now - (now % BUCKET_MS);
+  if (!force && !dirty && tick === lastTick) return;
+  dirty = false;
+  lastTick = tick;
+
+  const snapshot = getSnapshot();
+  if (snapshot.messagesPerMinute > session.peak.messages) {
+    session.peak = { messages: snapshot.messagesPerMinute, at: now };
+    snapshot.session.peak = session.peak;
+  }
+  state.analytics = snapshot;
+  broadcast('analytics_update', { analytics: snapshot });
+}
+
+/**
+ * End-of-stream report
+ * @returns {object} - Session totals, top chatters/terms and the per-minute timeline
+ */
+function getReport() {
+  const endedAt = Date.now();
+  const chatters = [...session.chatters.values()]
+    .sort((a, b) => b.messages - a.messages || b.revenue - a.revenue)
+    .slice(0, 50)
+    .map(chatter => ({ ...chatter, revenue: money(chatter.revenue) }));
+
+  return {
+    startedAt: new Date(session.startedAt).toISOString(),
+    endedAt: new Date(endedAt).toISOString(),
+    durationMinutes: Math.round((endedAt - session.startedAt) / 60000),
+    baseCurrency: getBaseCurrency(),
+    messages: session.messages,
+    uniqueChatters: session.chatters.size,
+    superchats: session.superchats,
+    revenue: money(session.revenue),
+    peak: {
+      messagesPerMinute: session.peak.messages,
+      at: session.peak.at ? new Date(session.peak.at).toISOString() : null
+    },
+    topChatters: chatters,
+    topTerms: top(session.terms, 50).map(([term, count]) => ({ term, count })),
+    minutes: [...session.minutes]
+      .sort((a, b) => a[0] - b[0])
+      .map(([start, minute]) => ({
+        minute: new Date(start).toISOString(),
+        messages: minute.messages,
+        uniqueChatters: minute.chatters.size,
+        superchats: minute.superchats,
+        revenue: money(minute.revenue)
+      }))
+  };
+}
+
+/**
+ * Quote a CSV field when needed
+ * Text starting like a formula (=, +, -, @, tab, CR) gets a leading ' so
+ * spreadsheets show chatter names and terms instead of running them
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Report as CSV: the per-minute timeline, then top chatters and terms
+ * @param {object} report - From getReport()
+ * @returns {string}
+ */
+function reportToCsv(report) {
+  const lines = [
+    ['minute', 'messages', 'unique_chatters', 'superchats', `revenue_${report.baseCurrency}`].join(','),
+    ...report.minutes.map(row => [row.minute, row.messages, row.uniqueChatters, row.superchats, row.revenue].map(csvField).join(',')),
+    '',
+    ['author', 'platform', 'messages', 'superchats', `revenue_${report.baseCurrency}`].join(','),
+    ...report.topChatters.map(row => [row.author, row.platform, row.messages, row.superchats, row.revenue].map(csvField).join(',')),
+    '',
+    ['term', 'count'].join(','),
+    ...report.topTerms.map(row => [row.term, row.count].map(csvField).join(','))
+  ];
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Start a new session
+ * @param {object} state - Application state
+ * @returns {object} - Report of the session that ended
+ */
+function reset(state) {
+  const report = getReport();
+  session = emptySession();
+  update(state, true);
+  console.log(`[Analytics] New session (previous: ${report.messages} messages, ${report.uniqueChatters} chatters)`);
+  return report;
+}
+
+/**
+ * Start the periodic snapshot broadcast
+ * @param {object} state - Application state
+ */
+function start(state) {
+  if (updateTimer) return;
+  update(state, true);
+  updateTimer = setInterval(() => update(state), UPDATE_INTERVAL);
+  updateTimer.unref();
+}
+
+session = emptySession();
+
+module.exports = {
+  recordMessage,
+  recordSuperchat,
+  getSnapshot,
+  getReport,
+  reportToCsv,
+  reset,
+  start
+};
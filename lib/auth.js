@@ -0,0 +1,279 @@
+/**
+ * Authentication & Roles
+ * Shared-token access control for the REST API and WebSocket
+ *
+ * Tokens live in data/auth.json. When no tokens are configured auth is
+ * disabled and every client is treated as a producer (local-only setups).
+ * Pages authenticate with ?token=... in their URL; the token is also
+ * remembered in a cookie so the control panel's fetch calls carry it.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, writeJsonAtomic, readJson } = require('./persistence');
+
+const AUTH_FILE = path.join(DATA_DIR, 'auth.json');
+const TOKEN_COOKIE = 'broadcast_token';
+
+// Permissions granted to each role
+const ROLES = {
+  producer: ['read', 'chat', 'control', 'admin'], // Everything
+  moderator: ['read', 'chat'],                    // Chat queue, pinning and moderation
+  overlay: ['read']                               // Read-only OBS sources
+};
+
+// WebSocket message types a chat moderator may send
+const CHAT_MESSAGE_TYPES = [
+  'pin_message',
+  'unpin',
+  'add_to_queue',
+  'remove_from_queue',
+  'clear_queue',
+  'approve_message',
+  'reject_message',
+  'pin_playlist_update',
+  'pin_playlist_play'
+];
+
+// API path prefixes a chat moderator may change: moderation rules, the held
+// queue and approved authors (pinning itself goes over the WebSocket)
+const CHAT_API_PATHS = ['/moderation'];
+
+// WebSocket message types that only request state
+const READ_MESSAGE_TYPES = ['slideshow_get', 'sports_ticker_get', 'subscribe'];
+
+// API paths reachable without a token (Electron health check)
+const PUBLIC_API_PATHS = ['/health'];
+
+let tokens = [];
+
+/**
+ * Load tokens from disk (plus the BROADCAST_TOKEN env bootstrap token)
+ */
+function loadTokens() {
+  const config = readJson(AUTH_FILE);
+  tokens = Array.isArray(config?.tokens) ? config.tokens : [];
+
+  if (process.env.BROADCAST_TOKEN && !tokens.some(t => t.token === process.env.BROADCAST_TOKEN)) {
+    tokens.push({ id: 'env', name: 'Environment', role: 'producer', token: process.env.BROADCAST_TOKEN });
+  }
+
+  if (tokens.length === 0) {
+    console.log('[Auth] No tokens configured - authentication disabled');
+  } else {
+    console.log(`[Auth] ${tokens.length} token(s) loaded - authentication enabled`);
+  }
+}
+
+/**
+ * Save tokens to disk (the env token is never written)
+ */
+function saveTokens() {
+  writeJsonAtomic(AUTH_FILE, { tokens: tokens.filter(t => t.id !== 'env') });
+}
+
+/**
+ * Check whether authentication is enforced
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return tokens.length > 0;
+}
+
+/**
+ * Resolve a token to its account
+ * @param {string} token - Raw token
+ * @returns {object|null} - { id, name, role } or null if unknown
+ */
+function resolveToken(token) {
+  if (!isEnabled()) {
+    return { id: 'local', name: 'Local', role: 'producer' };
+  }
+  if (!token) return null;
+
+  const supplied = Buffer.from(String(token));
+  const match = tokens.find(t => {
+    const expected = Buffer.from(t.token);
+    return expected.length === supplied.length && crypto.timingSafeEqual(expected, supplied);
+  });
+
+  return match ? { id: match.id, name: match.name, role: match.role } : null;
+}
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return (ROLES[role] || []).includes(permission);
+}
+
+/**
+ * Get the permission needed to send a WebSocket message type
+ * @param {string} type - WebSocket message type
+ * @returns {string}
+ */
+function permissionForMessage(type) {
+  if (READ_MESSAGE_TYPES.includes(type)) return 'read';
+  if (CHAT_MESSAGE_TYPES.includes(type)) return 'chat';
+  return 'control';
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} header - Raw Cookie header
+ * @returns {object} - Cookie name/value map
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (e) {
+      // Malformed %-escape - skip this cookie
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Extract a token from an HTTP or WebSocket upgrade request
+ * Order: ?token= query, Authorization: Bearer, X-Broadcast-Token, cookie
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.searchParams.get('token')) return url.searchParams.get('token');
+
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) return authHeader.slice(7).trim();
+
+  if (req.headers['x-broadcast-token']) return req.headers['x-broadcast-token'];
+
+  return parseCookies(req.headers.cookie)[TOKEN_COOKIE] || null;
+}
+
+/**
+ * Express middleware: remember a ?token= from page URLs in a cookie
+ */
+function rememberToken(req, res, next) {
+  if (req.method === 'GET' && req.query.token && resolveToken(req.query.token)) {
+    res.cookie(TOKEN_COOKIE, req.query.token, { httpOnly: true, sameSite: 'strict' });
+  }
+  next();
+}
+
+/**
+ * Express middleware: authenticate API requests and attach req.account
+ * GET requests need 'read', chat moderation changes need 'chat' and
+ * everything else needs 'control'
+ */
+function apiMiddleware(req, res, next) {
+  if (PUBLIC_API_PATHS.includes(req.path)) return next();
+
+  const account = resolveToken(getRequestToken(req));
+  if (!account) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let permission = 'control';
+  if (req.method === 'GET') {
+    permission = 'read';
+  } else if (CHAT_API_PATHS.some(prefix => req.path === prefix || req.path.startsWith(`${prefix}/`))) {
+    permission = 'chat';
+  }
+  if (!hasPermission(account.role, permission)) {
+    return res.status(403).json({ error: `Role "${account.role}" cannot perform this action` });
+  }
+
+  req.account = account;
+  next();
+}
+
+/**
+ * Express middleware factory: require a specific permission
+ * @param {string} permission - Permission name
+ * @returns {Function}
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const account = req.account || resolveToken(getRequestToken(req));
+    if (!account) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasPermission(account.role, permission)) {
+      return res.status(403).json({ error: `Role "${account.role}" cannot perform this action` });
+    }
+    req.account = account;
+    next();
+  };
+}
+
+/**
+ * List configured tokens
+ * @returns {Array}
+ */
+function listTokens() {
+  return tokens.map(t => ({ ...t }));
+}
+
+/**
+ * Create a new token
+ * The first token must be a producer so enabling auth can't lock everyone out
+ * @param {string} name - Account or device name
+ * @param {string} role - Role name
+ * @returns {object|null} - Created token, or null if the role isn't allowed
+ */
+function createToken(name, role) {
+  if (!ROLES[role]) return null;
+  if (!isEnabled() && role !== 'producer') return null;
+
+  const entry = {
+    id: crypto.randomBytes(4).toString('hex'),
+    name: name || role,
+    role,
+    token: crypto.randomBytes(24).toString('base64url')
+  };
+  tokens.push(entry);
+  saveTokens();
+  console.log(`[Auth] Created ${role} token "${entry.name}"`);
+  return { ...entry };
+}
+
+/**
+ * Revoke a token
+ * @param {string} id - Token id
+ * @returns {boolean} - Whether a token was revoked
+ */
+function revokeToken(id) {
+  const index = tokens.findIndex(t => t.id === id && t.id !== 'env');
+  if (index === -1) return false;
+  const [removed] = tokens.splice(index, 1);
+  saveTokens();
+  console.log(`[Auth] Revoked token "${removed.name}"`);
+  return true;
+}
+
+loadTokens();
+
+module.exports = {
+  ROLES,
+  CHAT_MESSAGE_TYPES,
+  isEnabled,
+  resolveToken,
+  hasPermission,
+  permissionForMessage,
+  getRequestToken,
+  rememberToken,
+  apiMiddleware,
+  requirePermission,
+  listTokens,
+  createToken,
+  revokeToken
+};
@@ -0,0 +1,280 @@
+/**
+ * Chat Author Index
+ * Per-author profiles built from every chat message and superchat the
+ * sources emit (not just the last 100 kept in state.queue): first/last seen,
+ * message history, badges and superchat spend, plus operator notes and a
+ * VIP flag that overlays can style.
+ *
+ * Authors are keyed by platform + channel/user id (YouTube, Twitch) or
+ * lowercase name (manual) and persisted to data/authors.json.
+ */
+
+const path = require('path');
+const { DATA_DIR, writeJsonAtomic, writeJsonAtomicAsync, readJson } = require('./persistence');
+const { convert, getBaseCurrency } = require('./currency');
+const { broadcast } = require('./broadcast');
+
+const AUTHORS_FILE = path.join(DATA_DIR, 'authors.json');
+const MAX_HISTORY = 100;   // Messages kept per author
+const MAX_AUTHORS = 5000;  // Least recently seen authors are dropped beyond this
+const SAVE_DELAY = 2000;   // ms
+
+let authors = readJson(AUTHORS_FILE) || {};
+let saveTimeout = null;
+let writing = Promise.resolve(); // Chain of background writes
+
+/**
+ * Index key for a message's author
+ * @param {object} msg - Normalized chat message
+ * @returns {string} - e.g. "youtube:UCabc..." or "twitch:12345678"
+ */
+function authorId(msg) {
+  const platform = msg.platform || 'manual';
+  const handle = msg.authorChannelId || String(msg.author || '').trim().toLowerCase();
+  return `${platform}:${handle}`;
+}
+
+/**
+ * Write the index to disk after a quiet period
+ * The index can hold thousands of histories, so it's written compact and in
+ * the background, one write at a time
+ */
+function scheduleSave() {
+  if (saveTimeout) return;
+  saveTimeout = setTimeout(() => {
+    saveTimeout = null;
+    writing = writing
+      .then(() => writeJsonAtomicAsync(AUTHORS_FILE, authors))
+      .catch(error => console.error('[Authors] Failed to save:', error.message));
+  }, SAVE_DELAY);
+}
+
+/**
+ * Write any pending changes now (on shutdown)
+ */
+function flush() {
+  if (!saveTimeout) return;
+  clearTimeout(saveTimeout);
+  saveTimeout = null;
+  writeJsonAtomic(AUTHORS_FILE, authors, { compact: true });
+}
+
+/**
+ * Drop the least recently seen authors once the index is too big
+ * VIPs and authors with notes are kept.
+ */
+function prune() {
+  const ids = Object.keys(authors);
+  if (ids.length <= MAX_AUTHORS) return;
+
+  const removable = ids
+    .filter(id => !authors[id].vip && !authors[id].notes)
+    .sort((a, b) => authors[a].lastSeen - authors[b].lastSeen);
+  for (const id of removable.slice(0, ids.length - MAX_AUTHORS)) {
+    delete authors[id];
+  }
+}
+
+/**
+ * Get or create the profile for a message's author
+ * @param {object} msg - Normalized chat message
+ * @returns {object} - Profile
+ */
+function ensureAuthor(msg) {
+  const id = authorId(msg);
+  let profile = authors[id];
+  if (!profile) {
+    profile = {
+      id,
+      platform: msg.platform || 'manual',
+      channelId: msg.authorChannelId || null,
+      name: msg.author,
+      photo: msg.authorPhoto || '',
+      badges: [],
+      firstSeen: msg.timestamp || Date.now(),
+      lastSeen: msg.timestamp || Date.now(),
+      messageCount: 0,
+      superchatCount: 0,
+      superchatTotals: {}, // Per original currency
+      notes: '',
+      vip: false,
+      history: []
+    };
+    authors[id] = profile;
+    prune();
+  }
+
+  // Names, photos and badges change over time - keep the latest
+  profile.name = msg.author || profile.name;
+  if (msg.authorPhoto) profile.photo = msg.authorPhoto;
+  if (msg.badges && msg.badges.length) profile.badges = [...new Set(msg.badges)];
+  profile.lastSeen = Math.max(profile.lastSeen, msg.timestamp || Date.now());
+  return profile;
+}
+
+/**
+ * Record a chat message (superchats included) in its author's history
+ * @param {object} msg - Normalized chat message
+ * @returns {object} - Author profile
+ */
+function recordMessage(msg) {
+  const profile = ensureAuthor(msg);
+  profile.messageCount++;
+  profile.history.unshift({
+    id: msg.id,
+    message: msg.message,
+    timestamp: msg.timestamp || Date.now(),
+    stream: msg.stream || null,
+    isSuperchat: Boolean(msg.isSuperchat),
+    amountFormatted: msg.amountFormatted || null
+  });
+  profile.history.length = Math.min(profile.history.length, MAX_HISTORY);
+  scheduleSave();
+  return profile;
+}
+
+/**
+ * Add a superchat to its author's spend
+ * @param {object} superchat - Normalized superchat
+ */
+function recordSuperchat(superchat) {
+  if (!(superchat.amount > 0)) return;
+
+  const profile = ensureAuthor(superchat);
+  const currency = superchat.currency || 'USD';
+  profile.superchatCount++;
+  profile.superchatTotals[currency] = Math.round(((profile.superchatTotals[currency] || 0) + superchat.amount) * 100) / 100;
+  scheduleSave();
+}
+
+/**
+ * Total superchat spend in the base currency
+ * @param {object} profile - Author profile
+ * @returns {number}
+ */
+function totalSpend(profile) {
+  let total = 0;
+  for (const [currency, amount] of Object.entries(profile.superchatTotals)) {
+    total += convert(amount, currency) || 0;
+  }
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Profile summary (no history) for lists
+ * @param {object} profile - Author profile
+ * @returns {object}
+ */
+function summarize(profile) {
+  const { history, ...summary } = profile;
+  return { ...summary, superchatTotal: totalSpend(profile), baseCurrency: getBaseCurrency() };
+}
+
+/**
+ * Full profile including message history
+ * @param {string} id - Author id
+ * @returns {object|null}
+ */
+function getAuthor(id) {
+  const profile = authors[id];
+  if (!profile) return null;
+  return { ...summarize(profile), history: profile.history };
+}
+
+/**
+ * Search / list authors
+ * @param {object} options
+ * @param {string} options.q - Name filter (case-insensitive substring)
+ * @param {boolean} options.vip - Only VIPs
+ * @param {string} options.sort - 'recent' (default), 'messages' or 'spend'
+ * @param {number} options.limit - Max results (default 50)
+ * @returns {Array<object>} - Profile summaries
+ */
+function listAuthors({ q, vip, sort = 'recent', limit = 50 } = {}) {
+  const query = String(q || '').trim().toLowerCase();
+  let list = Object.values(authors);
+  if (query) list = list.filter(profile => String(profile.name).toLowerCase().includes(query));
+  if (vip) list = list.filter(profile => profile.vip);
+
+  const summaries = list.map(summarize);
+  const sorters = {
+    recent: (a, b) => b.lastSeen - a.lastSeen,
+    messages: (a, b) => b.messageCount - a.messageCount,
+    spend: (a, b) => b.superchatTotal - a.superchatTotal
+  };
+  return summaries.sort(sorters[sort] || sorters.recent).slice(0, Math.max(1, Math.min(Number(limit) || 50, 500)));
+}
+
+/**
+ * Update operator fields
+ * A VIP change is applied to the author's messages already in the queue
+ * and the pin so overlays restyle them straight away.
+ * @param {object} state - Application state
+ * @param {string} id - Author id
+ * @param {object} updates - { notes?, vip? }
+ * @returns {object|null} - Updated summary, or null if unknown
+ */
+function updateAuthor(state, id, { notes, vip } = {}) {
+  const profile = authors[id];
+  if (!profile) return null;
+  if (notes !== undefined) profile.notes = String(notes).slice(0, 2000);
+
+  if (vip !== undefined && Boolean(vip) !== profile.vip) {
+    profile.vip = Boolean(vip);
+    let queueChanged = false;
+    for (const msg of state.queue) {
+      if (msg.authorId === id) {
+        msg.vip = profile.vip;
+        queueChanged = true;
+      }
+    }
+    if (queueChanged) {
+      broadcast('queue_update', { queue: state.queue });
+    }
+    if (state.pinnedMessage && state.pinnedMessage.authorId === id) {
+      state.pinnedMessage.vip = profile.vip;
+      broadcast('pin', { message: state.pinnedMessage, expiresAt: state.pinExpiresAt });
+    }
+    console.log(`[Authors] ${profile.name} ${profile.vip ? 'marked' : 'unmarked'} VIP`);
+  }
+
+  scheduleSave();
+  const summary = summarize(profile);
+  broadcast('author_update', { author: summary });
+  return summary;
+}
+
+/**
+ * Forget an author entirely
+ * @param {string} id - Author id
+ * @returns {boolean} - Whether the author existed
+ */
+function forgetAuthor(id) {
+  if (!authors[id]) return false;
+  delete authors[id];
+  scheduleSave();
+  return true;
+}
+
+/**
+ * Stamp a message with its author id and VIP flag
+ * @param {object} msg - Normalized chat message (modified in place)
+ * @returns {object} - The same message
+ */
+function tagMessage(msg) {
+  msg.authorId = authorId(msg);
+  msg.vip = Boolean(authors[msg.authorId]?.vip);
+  return msg;
+}
+
+module.exports = {
+  authorId,
+  recordMessage,
+  recordSuperchat,
+  getAuthor,
+  listAuthors,
+  updateAuthor,
+  forgetAuthor,
+  tagMessage,
+  flush
+};
@@ -1,6 +1,10 @@
 /**
  * WebSocket Broadcasting Utilities
- * Message batching and delta state updates for performance
+ * Message batching, delta state updates and topic subscriptions for performance
+ *
+ * Clients that subscribe to topics (via ?topics= on the socket URL or a
+ * `subscribe` message) only receive messages for those topics; clients that
+ * never subscribe keep receiving everything.
  */
 
 const WebSocket = require('ws');
@@ -19,24 +23,220 @@ const messageBatch = {
 // Track last sent state for delta comparison
 let lastBroadcastState = {};
 
+// Topic each message type belongs to (types not listed go to every client)
+const TOPIC_BY_TYPE = {
+  message: 'chat',
+  superchat: 'chat',
+  queue_update: 'chat',
+  message_add: 'chat',
+  message_remove: 'chat',
+  chat_sources_update: 'chat',
+  held_update: 'chat',
+  recording_update: 'chat',
+  message_deleted: 'chat',
+  membership: 'chat',
+  membership_gift: 'chat',
+  gift_redemption: 'chat',
+  youtube_poll: 'chat',
+  author_update: 'chat',
+  pin: 'pin',
+  pin_playlist_update: 'pin',
+  donation_update: 'donations',
+  analytics_update: 'analytics',
+  poll_update: 'poll',
+  questions_update: 'questions',
+  ticker_update: 'ticker',
+  ticker_breaking: 'breaking',
+  feeds_update: 'feeds',
+  sports_ticker_update: 'sports_ticker',
+  slideshow_update: 'slideshow',
+  nametag_update: 'nametag',
+  social_update: 'social',
+  lower_third_update: 'lower_third',
+  agenda_update: 'agenda',
+  topic_card_update: 'topic_card'
+};
+
+// State keys included in `init` for each topic
+const INIT_KEYS_BY_TOPIC = {
+  chat: ['queue', 'heldMessages', 'chatSources', 'recording', 'recordings'],
+  pin: ['pinnedMessage', 'pinExpiresAt', 'pinPlaylist'],
+  donations: ['donations'],
+  analytics: ['analytics'],
+  poll: ['poll'],
+  questions: ['questions'],
+  ticker: ['tickerItems', 'activeTickerItems', 'tickerSpeed', 'showTicker', 'tickerFeeds', 'tickerStyle', 'sportsTicker'],
+  sports_ticker: ['sportsTicker'],
+  breaking: ['tickerBreaking'],
+  feeds: [],          // Feed list is fetched from /api/feeds
+  slideshow: ['slideshow'],
+  nametag: ['nametags'],
+  social: ['socialAccounts', 'socialRotationSpeed', 'showSocials'],
+  lower_third: ['lowerThird'],
+  agenda: ['agendaItems', 'agendaTitle', 'showAgenda'],
+  topic_card: ['topicCard']
+};
+
+// Keys every client gets in `init` regardless of topics
+const GLOBAL_INIT_KEYS = ['isConnected', 'videoId', 'streams'];
+
+// Keys in the full `init` sent to unsubscribed clients
+const FULL_INIT_KEYS = [
+  'queue', 'heldMessages', 'pinnedMessage', 'pinExpiresAt', 'pinPlaylist', 'isConnected', 'videoId', 'streams', 'chatSources', 'recording', 'recordings', 'donations', 'analytics', 'poll', 'questions',
+  'tickerItems', 'activeTickerItems', 'tickerSpeed', 'showTicker', 'tickerFeeds', 'tickerBreaking', 'tickerStyle', 'sportsTicker',
+  'nametags', 'socialAccounts', 'socialRotationSpeed', 'showSocials',
+  'lowerThird', 'agendaItems', 'agendaTitle', 'showAgenda', 'topicCard'
+];
+
 /**
- * Flush batched messages to all clients
+ * Parse a topic list from a query string value or message array
+ * Accepts known topics plus `nametag:N` for a single slot; `*` means everything
+ * @param {string|Array<string>} topics - e.g. "chat,pin" or ['nametag:3']
+ * @returns {Set<string>|null} - Topic set, or null for "everything"
  */
-function flushBatch() {
-  if (messageBatch.queue.length === 0) return;
+function parseTopics(topics) {
+  const list = Array.isArray(topics) ? topics : String(topics || '').split(',');
+  const parsed = new Set();
 
-  // Combine messages into single payload
-  const batchPayload = JSON.stringify({
-    type: 'batch',
-    messages: messageBatch.queue
-  });
+  for (const raw of list) {
+    const topic = String(raw).trim().toLowerCase();
+    if (!topic) continue;
+    if (topic === '*') return null;
+    if (INIT_KEYS_BY_TOPIC[topic] || /^nametag:\d+$/.test(topic)) {
+      parsed.add(topic);
+    } else {
+      console.log('[Broadcast] Ignoring unknown topic:', topic);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Set a client's topic subscriptions
+ * @param {WebSocket} ws - WebSocket client
+ * @param {string|Array<string>} topics - Topics to subscribe to
+ */
+function setSubscriptions(ws, topics) {
+  const parsed = parseTopics(topics);
+  if (parsed) {
+    ws.topics = parsed;
+  } else {
+    delete ws.topics;
+  }
+}
+
+/**
+ * Get the nametag slots a topic set asks for individually
+ * @param {Set<string>} topics - Client topics
+ * @returns {Array<string>} - Slot numbers as strings
+ */
+function nametagSlots(topics) {
+  return [...topics]
+    .filter(topic => topic.startsWith('nametag:'))
+    .map(topic => topic.split(':')[1]);
+}
+
+/**
+ * Filter a message for a client's subscriptions
+ * @param {WebSocket} client - WebSocket client
+ * @param {object} message - { type, data }
+ * @returns {object|null} - Message to send (trimmed for nametag slots), or null to skip
+ */
+function filterForClient(client, message) {
+  if (!client.topics) return message;
+
+  const topic = TOPIC_BY_TYPE[message.type];
+  if (!topic || client.topics.has(topic)) return message;
+
+  if (topic === 'nametag') {
+    const slots = nametagSlots(client.topics);
+    if (slots.length === 0) return null;
+    const data = {};
+    for (const slot of slots) {
+      if (message.data[slot] !== undefined) data[slot] = message.data[slot];
+    }
+    return { type: message.type, data };
+  }
+
+  return null;
+}
+
+/**
+ * Send messages to every open client, filtered by subscription
+ * Payloads are serialized once per distinct subscription set
+ * @param {Array<object>} messages - Messages to send
+ * @param {boolean} asBatch - Wrap in a `batch` frame
+ */
+function sendToClients(messages, asBatch) {
+  const payloads = new Map();
 
-  // Send to all clients
   for (const client of clients) {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(batchPayload);
+    if (client.readyState !== WebSocket.OPEN) continue;
+
+    const key = client.topics ? [...client.topics].sort().join(',') : '*';
+    if (!payloads.has(key)) {
+      const filtered = messages.map(m => filterForClient(client, m)).filter(Boolean);
+      let payload = null;
+      if (filtered.length > 0) {
+        payload = asBatch
+          ? JSON.stringify({ type: 'batch', messages: filtered })
+          : JSON.stringify(filtered[0]);
+      }
+      payloads.set(key, payload);
+    }
+
+    const payload = payloads.get(key);
+    if (payload) {
+      client.send(payload);
     }
   }
+}
+
+/**
+ * Build the `init` payload for a client's subscriptions
+ * @param {object} state - Application state
+ * @param {Set<string>} [topics] - Client topics (omit for the full payload)
+ * @returns {object}
+ */
+function buildInitData(state, topics) {
+  // Server clock, for clients timing absolute deadlines (tickerBreaking.endsAt)
+  const data = { serverNow: Date.now() };
+
+  if (!topics) {
+    for (const key of FULL_INIT_KEYS) data[key] = state[key];
+    return data;
+  }
+
+  for (const key of GLOBAL_INIT_KEYS) data[key] = state[key];
+  for (const topic of topics) {
+    for (const key of INIT_KEYS_BY_TOPIC[topic] || []) {
+      data[key] = state[key];
+    }
+  }
+
+  // Single-slot nametag subscribers only get their own slots
+  if (!topics.has('nametag')) {
+    const slots = nametagSlots(topics);
+    if (slots.length > 0) {
+      data.nametags = {};
+      for (const slot of slots) {
+        if (state.nametags[slot] !== undefined) data.nametags[slot] = state.nametags[slot];
+      }
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Flush batched messages to all clients
+ */
+function flushBatch() {
+  if (messageBatch.queue.length === 0) return;
+
+  // Combine messages into single payload per subscription set
+  sendToClients(messageBatch.queue, true);
 
   // Clear batch
   messageBatch.queue = [];
@@ -53,7 +253,7 @@ function broadcast(type, data, options = {}) {
   const message = { type, data };
 
   // Some messages should be sent immediately (e.g., connection status, pin updates, slideshow sync, widget updates)
-  const immediateTypes = ['status', 'error', 'init', 'slideshow_init', 'slideshow_update', 'sports_ticker_init', 'sports_ticker_update', 'state_delta', 'pin', 'queue_update', 'nametag_update', 'social_update', 'lower_third_update', 'agenda_update', 'topic_card_update'];
+  const immediateTypes = ['status', 'error', 'init', 'slideshow_init', 'slideshow_update', 'sports_ticker_init', 'sports_ticker_update', 'state_delta', 'pin', 'pin_playlist_update', 'queue_update', 'nametag_update', 'social_update', 'lower_third_update', 'agenda_update', 'topic_card_update'];
   const shouldBatch = !options.immediate && !immediateTypes.includes(type);
 
   if (shouldBatch && messageBatch.BATCH_DELAY > 0) {
@@ -72,12 +272,7 @@ function broadcast(type, data, options = {}) {
     }
   } else {
     // Send immediately
-    const payload = JSON.stringify(message);
-    for (const client of clients) {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(payload);
-      }
-    }
+    sendToClients([message], false);
   }
 }
 
@@ -186,6 +381,58 @@ function broadcastTopicCardUpdate(data) {
   broadcast('topic_card_update', data, { immediate: true });
 }
 
+/**
+ * Send several messages to all clients in a single batch frame
+ * Clients apply the whole batch in one pass, so nothing renders half-updated
+ * @param {Array<{type: string, data: object}>} messages - Messages to send
+ */
+function broadcastBatch(messages) {
+  if (messages.length === 0) return;
+  sendToClients(messages, true);
+}
+
+/**
+ * Broadcast every widget's current state at once (e.g. after loading a show profile)
+ * @param {object} state - Application state
+ */
+function broadcastAllWidgets(state) {
+  broadcastBatch([
+    {
+      type: 'ticker_update',
+      data: {
+        tickerItems: state.tickerItems,
+        activeTickerItems: state.activeTickerItems,
+        tickerSpeed: state.tickerSpeed,
+        showTicker: state.showTicker,
+        tickerFeeds: state.tickerFeeds,
+        tickerStyle: state.tickerStyle,
+        sportsTicker: state.sportsTicker
+      }
+    },
+    { type: 'sports_ticker_update', data: state.sportsTicker },
+    { type: 'slideshow_update', data: state.slideshow },
+    { type: 'nametag_update', data: state.nametags },
+    {
+      type: 'social_update',
+      data: {
+        socialAccounts: state.socialAccounts,
+        socialRotationSpeed: state.socialRotationSpeed,
+        showSocials: state.showSocials
+      }
+    },
+    { type: 'lower_third_update', data: state.lowerThird },
+    {
+      type: 'agenda_update',
+      data: {
+        agendaItems: state.agendaItems,
+        agendaTitle: state.agendaTitle,
+        showAgenda: state.showAgenda
+      }
+    },
+    { type: 'topic_card_update', data: state.topicCard }
+  ]);
+}
+
 /**
  * Add a client to the broadcast list
  * @param {WebSocket} ws - WebSocket client
@@ -202,6 +449,24 @@ function removeClient(ws) {
   clients.delete(ws);
 }
 
+/**
+ * Close the clients that match a test (e.g. those signed in with a revoked token)
+ * @param {Function} predicate - (ws) => boolean
+ * @param {number} code - WebSocket close code
+ * @param {string} reason - Close reason
+ * @returns {number} - Number of clients closed
+ */
+function closeClients(predicate, code, reason) {
+  let closed = 0;
+  for (const client of [...clients]) {
+    if (!predicate(client)) continue;
+    clients.delete(client);
+    client.close(code, reason);
+    closed++;
+  }
+  return closed;
+}
+
 /**
  * Get number of connected clients
  * @returns {number}
@@ -212,6 +477,10 @@ function getClientCount() {
 
 module.exports = {
   clients,
+  TOPIC_BY_TYPE,
+  parseTopics,
+  setSubscriptions,
+  buildInitData,
   broadcast,
   broadcastState,
   broadcastDelta,
@@ -223,7 +492,10 @@ module.exports = {
   broadcastLowerThirdUpdate,
   broadcastAgendaUpdate,
   broadcastTopicCardUpdate,
+  broadcastBatch,
+  broadcastAllWidgets,
   addClient,
   removeClient,
+  closeClients,
   getClientCount
 };
@@ -0,0 +1,186 @@
+/**
+ * Chat Recorder
+ * Records live chat sessions to JSONL so they can be replayed later
+ * (see ReplayChatSource) for rehearsals and tests.
+ *
+ * Files live in data/recordings/<name>.jsonl, one event per line:
+ *   { "offset": 1520, "kind": "message" | "superchat" | "event", "data": { ...normalized message or event } }
+ * `offset` is milliseconds since the recording started.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./persistence');
+
+const RECORDINGS_DIR = path.join(DATA_DIR, 'recordings');
+const KINDS = ['message', 'superchat', 'event'];
+
+let current = null; // { name, file, startedAt, events }
+
+/**
+ * Make a recording name safe to use as a file name
+ * @param {string} name - Requested name
+ * @returns {string}
+ */
+function sanitizeName(name) {
+  return String(name || '').trim().replace(/\.jsonl$/, '').replace(/[^\w.-]+/g, '-').replace(/^[.-]+/, '').slice(0, 80);
+}
+
+/**
+ * Path of a recording in the recordings directory
+ * @param {string} name - Recording name
+ * @returns {string}
+ */
+function fileFor(name) {
+  return path.join(RECORDINGS_DIR, `${sanitizeName(name)}.jsonl`);
+}
+
+/**
+ * Start recording chat events
+ * Any recording in progress is stopped first.
+ * @param {string} name - Recording name (defaults to a timestamp)
+ * @returns {object} - Recording status
+ */
+function start(name) {
+  if (current) stop();
+
+  const safeName = sanitizeName(name) || `session-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+  const file = fileFor(safeName);
+
+  current = {
+    name: safeName,
+    file,
+    startedAt: Date.now(),
+    events: 0
+  };
+
+  console.log(`[Recorder] Recording to ${file}`);
+  return getStatus();
+}
+
+/**
+ * Stop the current recording
+ * @returns {object|null} - Final status of the stopped recording, or null if none
+ */
+function stop() {
+  if (!current) return null;
+
+  const finished = { ...getStatus(), active: false };
+  console.log(`[Recorder] Stopped ${current.name} (${current.events} events)`);
+  current = null;
+  return finished;
+}
+
+/**
+ * Append a chat event to the current recording (no-op when not recording)
+ * Written synchronously so a crash mid-show keeps everything up to that point.
+ * @param {string} kind - 'message', 'superchat' or 'event'
+ * @param {object} data - Normalized message or platform event
+ */
+function record(kind, data) {
+  if (!current || !KINDS.includes(kind)) return;
+
+  const line = JSON.stringify({ offset: Date.now() - current.startedAt, kind, data });
+  try {
+    fs.appendFileSync(current.file, line + '\n');
+    current.events++;
+  } catch (error) {
+    console.error('[Recorder] Write failed:', error.message);
+  }
+}
+
+/**
+ * Whether a recording is in progress
+ * @returns {boolean}
+ */
+function isRecording() {
+  return current !== null;
+}
+
+/**
+ * Current recording status
+ * @returns {{active: boolean, name: string|null, startedAt: number|null, events: number}}
+ */
+function getStatus() {
+  if (!current) return { active: false, name: null, startedAt: null, events: 0 };
+  return { active: true, name: current.name, startedAt: current.startedAt, events: current.events };
+}
+
+/**
+ * Read a recording file back
+ * Malformed lines (e.g. a half-written last line after a crash) are skipped.
+ * @param {string} file - Path to a .jsonl recording
+ * @returns {Array<{offset: number, kind: string, data: object}>}
+ */
+function loadFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const events = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const event = JSON.parse(line);
+      if (KINDS.includes(event.kind) && event.data) events.push(event);
+    } catch (e) {
+      // Skip partial lines
+    }
+  }
+  return events.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Read a saved recording by name
+ * @param {string} name - Recording name
+ * @returns {Array<{offset: number, kind: string, data: object}>}
+ */
+function load(name) {
+  const file = fileFor(name);
+  if (!sanitizeName(name) || !fs.existsSync(file)) {
+    throw new Error(`Recording not found: ${name}`);
+  }
+  return loadFile(file);
+}
+
+/**
+ * List saved recordings, newest first
+ * @returns {Array<{name: string, size: number, modifiedAt: number}>}
+ */
+function list() {
+  if (!fs.existsSync(RECORDINGS_DIR)) return [];
+
+  return fs.readdirSync(RECORDINGS_DIR)
+    .filter(file => file.endsWith('.jsonl'))
+    .map(file => {
+      const stats = fs.statSync(path.join(RECORDINGS_DIR, file));
+      return { name: file.slice(0, -'.jsonl'.length), size: stats.size, modifiedAt: stats.mtimeMs };
+    })
+    .sort((a, b) => b.modifiedAt - a.modifiedAt);
+}
+
+/**
+ * Delete a saved recording
+ * @param {string} name - Recording name
+ * @returns {boolean} - Whether a file was removed
+ */
+function remove(name) {
+  if (!sanitizeName(name)) return false;
+  const file = fileFor(name);
+  if (current && current.file === file) return false;
+  if (!fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
+
+module.exports = {
+  RECORDINGS_DIR,
+  start,
+  stop,
+  record,
+  isRecording,
+  getStatus,
+  sanitizeName,
+  loadFile,
+  load,
+  list,
+  remove
+};
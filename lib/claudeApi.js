@@ -4,6 +4,7 @@
  */
 
 const https = require('https');
+const { getProfile, currentManager } = require('./teamProfile');
 
 // Load API key from environment
 let apiKey = process.env.ANTHROPIC_API_KEY;
@@ -97,45 +98,45 @@ async function callClaude(prompt) {
  * @returns {Promise<{title: string, content: string}>} - Generated title and cleaned content
  */
 async function generateTickerContent(headline, content) {
-  const prompt = `You are a knowledgeable Manchester United reporter writing ticker content for a Red Devils fan broadcast. You have deep knowledge of the club and write with subtle United bias, but your content is NEWS-FOCUSED and factual.
+  const team = getProfile();
+  const club = team.shortName;
+  const nickname = team.nicknames[0] ? `the ${team.nicknames[0]}` : '';
+  const titleNickname = (team.nicknames[0] || club).toUpperCase();
+  const month = new Date().toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+
+  const terminology = [
+    `- Use "${club}"${nickname ? ` or "${nickname}"` : ''}${team.aliases.length ? ` - NEVER ${team.aliases.map(alias => `"${alias}"`).join(' or ')}` : ''}`,
+    team.stadium.name && team.stadium.nickname ? `- ${team.stadium.name} = "the ${team.stadium.nickname}" (use sparingly)` : '',
+    ...team.terminology.map(({ from, to }) => `- Write "${to}" for "${from}"`),
+    `- Keep it professional but with ${club} perspective`
+  ].filter(Boolean).join('\n');
+  const keyPlayers = team.people
+    .filter(person => person.role === 'squad' && person.note)
+    .map(person => `- ${person.name} - ${person.note}`)
+    .join('\n');
+
+  const prompt = `You are a knowledgeable ${team.name} reporter writing ticker content for a ${team.nicknames[1] || team.name} fan broadcast. You have deep knowledge of the club and write with subtle ${club} bias, but your content is NEWS-FOCUSED and factual.
 
 TERMINOLOGY:
-- Use "United" or "the Reds" - NEVER "Man Utd" or "Manchester United"
-- Old Trafford = "the Theatre of Dreams" (use sparingly)
-- Keep it professional but with United perspective
-
-CURRENT CONTEXT (January 2026):
-- Manager: Michael Carrick (interim) after Amorim sacked
-- Recent: Beat City 2-0 in derby
-- Position: Fighting for top 4
-- Owners: INEOS/Ratcliffe running football ops
-
-KEY PLAYERS:
-- Bruno Fernandes - Captain
-- Kobbie Mainoo - Academy star, Napoli interested
-- Amad Diallo - Breakthrough season
-- Marcus Rashford - Academy product
-- Lisandro Martinez - "The Butcher"
-- Casemiro - Aging, likely leaving
-
-2025 SIGNINGS: Sesko (£65m), Cunha (£60m), Mbeumo (£55m), Lammens (£12m), Dorgu (£30m)
-
-TARGETS: Elliott Anderson (Forest, top choice), Adam Wharton (Palace), Ruben Neves
+${terminology}
 
+CURRENT CONTEXT (${month}):
+${team.promptContext || `- Manager: ${team.manager || 'unknown'}`}
+${keyPlayers ? `\nKEY PLAYERS:\n${keyPlayers}\n` : ''}
 BIAS GUIDELINES:
-- United interest in players = positive framing
+- ${club} interest in players = positive framing
 - Players leaving = neutral unless deadwood (then good riddance)
-- Rival news = factual but with United angle
+- Rival news = factual but with ${club} angle
 - Academy players = emphasize homegrown talent
 - DON'T be overly emotional or use exclamation marks
 - DON'T use phrases like "we'll fight tooth and nail" or hyperbolic language
-- DO report facts with subtle United-positive spin
+- DO report facts with subtle ${club}-positive spin
 
 Given this news article, provide:
 
-1. A SHORT PUNCHY TITLE (2-3 words max, ALL CAPS) - news-style, not emotional. Examples: "REDS TARGET", "EXIT LOOMS", "FEE AGREED", "MAINOO STAYS", "CARRICK ERA", "DEAL CLOSE", "NAPOLI BID"
+1. A SHORT PUNCHY TITLE (2-3 words max, ALL CAPS) - news-style, not emotional. Examples: "${titleNickname} TARGET", "EXIT LOOMS", "FEE AGREED", "STAYING PUT", "NEW ERA", "DEAL CLOSE", "RIVAL BID"
 
-2. A 1-2 sentence FACTUAL summary (max 280 chars) with subtle United bias. Report the news, don't editorialize heavily. No exclamation marks. Use "United" not "we/our".
+2. A 1-2 sentence FACTUAL summary (max 280 chars) with subtle ${club} bias. Report the news, don't editorialize heavily. No exclamation marks. Use "${club}" not "we/our".
 
 HEADLINE: ${headline}
 
@@ -197,7 +198,15 @@ async function generateImageSuggestions(tickerItems) {
     `${i + 1}. TITLE: "${item.title}" | CONTENT: "${item.content}"`
   ).join('\n\n');
 
-  const prompt = `You are creating image search queries for a Manchester United broadcast. Current date: January 2026.
+  const team = getProfile();
+  const club = team.name;
+  const boss = currentManager(team);
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = now.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+  const examples = team.people.filter(person => person.role === 'squad').slice(0, 4).map(person => person.name).join(', ');
+
+  const prompt = `You are creating image search queries for a ${club} broadcast. Current date: ${month}.
 
 ANALYZE each ticker item and create a SPECIFIC search query for the EXACT subject mentioned:
 
@@ -206,29 +215,28 @@ ${itemsText}
 CRITICAL RULES - FOLLOW EXACTLY:
 
 1. IDENTIFY THE MAIN SUBJECT from the content - READ THE CONTENT CAREFULLY:
-   - If a SPECIFIC PLAYER NAME is mentioned (Casemiro, Mainoo, Rashford, Amass, Harry Amass, etc.) → search for THAT EXACT PLAYER
-   - If MICHAEL CARRICK is mentioned → search for "Michael Carrick Manchester United 2026"
-   - If a SPECIFIC MANAGER is mentioned → search for that manager
+   - If a SPECIFIC PLAYER NAME is mentioned${examples ? ` (${examples}, etc.)` : ''} → search for THAT EXACT PLAYER
+${boss ? `   - If ${boss.name.toUpperCase()} is mentioned → search for "${boss.name} ${club} ${year}"\n` : ''}   - If a SPECIFIC MANAGER is mentioned → search for that manager
    - If about a CLUB or TRANSFER TARGET → search for that specific person/club
    - If about STADIUM/VENUE → search for that location
 
-2. ALWAYS include "Manchester United" for United players to ensure photos show them IN THE UNITED KIT
+2. ALWAYS include "${club}" for ${team.shortName} players to ensure photos show them IN THE ${team.shortName.toUpperCase()} KIT
 
-3. ALWAYS include "2026" for RECENT high-quality photos (we are in January 2026)
+3. ALWAYS include "${year}" for RECENT high-quality photos (we are in ${month})
 
-4. **CRITICAL**: NEVER default to Ruben Amorim. Only use Amorim if "Amorim" is EXPLICITLY written in the ticker content. If the content mentions "Carrick" - search for CARRICK, not Amorim.
+4. **CRITICAL**: NEVER default to a former manager. Only use a manager if they are EXPLICITLY named in the ticker content.${boss ? ` If the content mentions ${boss.name} - search for ${boss.name.toUpperCase()}, not a former manager.` : ''}
 
-5. For player transfers/exits (like Casemiro), still show them in United kit: "Casemiro Manchester United 2026"
+5. For player transfers/exits, still show them in ${team.shortName} kit: "Player Name ${club} ${year}"
 
-6. For young/academy players (Harry Amass, Kobbie Mainoo), add "Manchester United" for better results
+6. For young/academy players, add "${club}" for better results
 
-7. For injuries/setbacks mentioning a manager, search for THAT MANAGER: "Michael Carrick Manchester United manager 2026"
+7. For injuries/setbacks mentioning a manager, search for THAT MANAGER: "Manager Name ${club} manager ${year}"
 
-8. **NEVER** use generic "Manchester United" without a specific subject - always identify WHO the article is about
+8. **NEVER** use generic "${club}" without a specific subject - always identify WHO the article is about
 
 REQUIRED FORMAT - Return ONLY this JSON array with EXACTLY ${tickerItems.length} items (one per ticker):
 [
-  {"query": "EXACT person/subject name Manchester United 2026", "context": "TICKER TITLE"}
+  {"query": "EXACT person/subject name ${club} ${year}", "context": "TICKER TITLE"}
 ]
 
 READ EACH TICKER CONTENT WORD BY WORD. Find the subject. Search for THAT subject specifically.
@@ -0,0 +1,329 @@
+/**
+ * Chat Commands
+ * Viewer-triggered actions: a chat message starting with "!name" runs the
+ * configured command if the author's role allows it and it isn't cooling down.
+ *
+ * Each command runs one action (show the socials, agenda, topic card or
+ * lower third, or just reply) and can post a canned reply to the queue as a
+ * system message. Reply templates may use {user}, {args} and {commands}.
+ * Moderators and owners skip cooldowns.
+ *
+ * Commands live in data/commands.json and are managed through the API.
+ */
+
+const path = require('path');
+const { DATA_DIR, writeJsonAtomic, readJson, scheduleSave } = require('./persistence');
+const { broadcastSocialUpdate, broadcastAgendaUpdate, broadcastTopicCardUpdate, broadcastLowerThirdUpdate } = require('./broadcast');
+const moderation = require('./moderation');
+const pinning = require('./pinning');
+const ChatSource = require('./ChatSource');
+const { authorId } = require('./authors');
+
+const COMMANDS_FILE = path.join(DATA_DIR, 'commands.json');
+const NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const COMMAND_PATTERN = /^!([a-z][a-z0-9_-]{0,31})(?:\s+(.*))?$/is;
+const BOT_NAME = process.env.COMMAND_BOT_NAME || 'Chat Bot';
+
+// Required role -> rank; an author's rank comes from their badges
+const ROLES = ['everyone', 'member', 'moderator', 'owner'];
+const BADGE_RANK = { member: 1, moderator: 2, owner: 3 };
+
+const DEFAULT_COMMANDS = {
+  socials: { action: 'show_socials', duration: 30, cooldown: 60 },
+  agenda: { action: 'show_agenda', duration: 30, cooldown: 60 },
+  commands: { action: 'reply', reply: 'Commands: {commands}', cooldown: 60 }
+};
+
+let commands = {};
+
+// Last run per command, and per command + author
+const lastRun = new Map();
+// Auto-hide timers per action
+const hideTimers = new Map();
+
+// ============================================================================
+// Actions
+// ============================================================================
+
+/**
+ * Hide an overlay again after `duration` seconds (0 = leave it up)
+ * @param {object} state - Application state (saved once hidden)
+ * @param {string} action - Action name (one timer per action)
+ * @param {number} duration - Seconds
+ * @param {Function} hide - Called when the time is up
+ */
+function scheduleHide(state, action, duration, hide) {
+  clearTimeout(hideTimers.get(action));
+  hideTimers.delete(action);
+  if (!(duration > 0)) return;
+  hideTimers.set(action, setTimeout(() => {
+    hideTimers.delete(action);
+    hide();
+    scheduleSave(state);
+  }, duration * 1000));
+}
+
+/**
+ * Socials payload for broadcastSocialUpdate
+ */
+function socialData(state) {
+  return { socialAccounts: state.socialAccounts, socialRotationSpeed: state.socialRotationSpeed, showSocials: state.showSocials };
+}
+
+/**
+ * Agenda payload for broadcastAgendaUpdate
+ */
+function agendaData(state) {
+  return { agendaItems: state.agendaItems, agendaTitle: state.agendaTitle, showAgenda: state.showAgenda };
+}
+
+// Action name -> (state, command) => void
+const ACTIONS = {
+  reply: () => {},
+
+  show_socials: (state, command) => {
+    state.showSocials = true;
+    broadcastSocialUpdate(socialData(state));
+    scheduleHide(state, 'show_socials', command.duration, () => {
+      state.showSocials = false;
+      broadcastSocialUpdate(socialData(state));
+    });
+  },
+
+  show_agenda: (state, command) => {
+    state.showAgenda = true;
+    broadcastAgendaUpdate(agendaData(state));
+    scheduleHide(state, 'show_agenda', command.duration, () => {
+      state.showAgenda = false;
+      broadcastAgendaUpdate(agendaData(state));
+    });
+  },
+
+  show_topic_card: (state, command) => {
+    state.topicCard.visible = true;
+    if (command.title) state.topicCard.title = command.title;
+    if (command.subtitle) state.topicCard.subtitle = command.subtitle;
+    broadcastTopicCardUpdate(state.topicCard);
+    scheduleHide(state, 'show_topic_card', command.duration, () => {
+      state.topicCard.visible = false;
+      broadcastTopicCardUpdate(state.topicCard);
+    });
+  },
+
+  show_lower_third: (state, command) => {
+    state.lowerThird.visible = true;
+    if (command.title) state.lowerThird.headline = command.title;
+    if (command.subtitle) state.lowerThird.description = command.subtitle;
+    broadcastLowerThirdUpdate(state.lowerThird);
+    scheduleHide(state, 'show_lower_third', command.duration, () => {
+      state.lowerThird.visible = false;
+      broadcastLowerThirdUpdate(state.lowerThird);
+    });
+  }
+};
+
+// ============================================================================
+// Config
+// ============================================================================
+
+/**
+ * Validate and fill in a command definition
+ * @param {object} input - { action, reply?, role?, cooldown?, userCooldown?, duration?, title?, subtitle?, pin?, aliases?, enabled? }
+ * @returns {object|null} - Normalized command, or null if invalid
+ */
+function normalizeCommand(input) {
+  if (!input || typeof input !== 'object' || !ACTIONS[input.action]) return null;
+  const reply = String(input.reply || '').trim().slice(0, 300);
+  if (input.action === 'reply' && !reply) return null;
+
+  const seconds = (value, fallback) => Math.min(3600, Math.max(0, Number(value ?? fallback) || 0));
+  return {
+    action: input.action,
+    reply,
+    role: ROLES.includes(input.role) ? input.role : 'everyone',
+    cooldown: seconds(input.cooldown, 30),
+    userCooldown: seconds(input.userCooldown, 0),
+    duration: seconds(input.duration, 0),
+    title: String(input.title || ''),
+    subtitle: String(input.subtitle || ''),
+    pin: seconds(input.pin, 0),
+    aliases: Array.isArray(input.aliases)
+      ? input.aliases.map(alias => String(alias).toLowerCase().replace(/^!/, '')).filter(alias => NAME_PATTERN.test(alias))
+      : [],
+    enabled: input.enabled !== false
+  };
+}
+
+/**
+ * Load commands from disk (defaults on first run)
+ */
+function loadCommands() {
+  const saved = readJson(COMMANDS_FILE) || DEFAULT_COMMANDS;
+  commands = {};
+  for (const [name, input] of Object.entries(saved)) {
+    const command = normalizeCommand(input);
+    if (NAME_PATTERN.test(name) && command) commands[name] = command;
+  }
+}
+
+/**
+ * Save commands to disk
+ */
+function saveCommands() {
+  writeJsonAtomic(COMMANDS_FILE, commands);
+}
+
+/**
+ * List configured commands
+ * @returns {object} - { name: command }
+ */
+function listCommands() {
+  return JSON.parse(JSON.stringify(commands));
+}
+
+/**
+ * Create or replace a command
+ * @param {string} name - Command name without "!"
+ * @param {object} input - Command definition
+ * @returns {object|null} - Saved command, or null if invalid
+ */
+function setCommand(name, input) {
+  const key = String(name || '').toLowerCase().replace(/^!/, '');
+  const command = normalizeCommand(input);
+  if (!NAME_PATTERN.test(key) || !command) return null;
+  commands[key] = command;
+  saveCommands();
+  console.log(`[Commands] Saved !${key} (${command.action})`);
+  return command;
+}
+
+/**
+ * Delete a command
+ * @param {string} name - Command name
+ * @returns {boolean} - Whether it existed
+ */
+function removeCommand(name) {
+  const key = String(name || '').toLowerCase().replace(/^!/, '');
+  if (!commands[key]) return false;
+  delete commands[key];
+  saveCommands();
+  return true;
+}
+
+// ============================================================================
+// Matching
+// ============================================================================
+
+/**
+ * Find the command a name or alias refers to
+ * @param {string} name - Lowercase name
+ * @returns {[string, object]|null} - [name, command]
+ */
+function findCommand(name) {
+  if (commands[name]) return [name, commands[name]];
+  const entry = Object.entries(commands).find(([, command]) => command.aliases.includes(name));
+  return entry || null;
+}
+
+/**
+ * Highest role an author's badges give them
+ * @param {object} msg - Normalized chat message
+ * @returns {number} - Rank (0 = everyone)
+ */
+function authorRank(msg) {
+  return Math.max(0, ...(msg.badges || []).map(badge => BADGE_RANK[badge] || 0));
+}
+
+/**
+ * Fill in a reply template
+ * @param {string} template - e.g. "Thanks {user}!"
+ * @param {object} msg - Triggering message
+ * @param {string} args - Text after the command
+ * @returns {string}
+ */
+function renderReply(template, msg, args) {
+  const available = Object.entries(commands)
+    .filter(([, command]) => command.enabled && command.role === 'everyone')
+    .map(([name]) => `!${name}`)
+    .join(' ');
+  return template
+    .replace(/\{user\}/g, msg.author || '')
+    .replace(/\{args\}/g, args)
+    .replace(/\{commands\}/g, available);
+}
+
+/**
+ * Add a system message to the queue (optionally pinned for `pin` seconds)
+ * @param {object} state - Application state
+ * @param {string} text - Message text
+ * @param {number} pin - Seconds to pin it for (0 = don't pin)
+ * @returns {object} - The message
+ */
+function postReply(state, text, pin = 0) {
+  const msg = {
+    id: `system_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    type: 'system',
+    platform: 'system',
+    author: BOT_NAME,
+    authorPhoto: '',
+    message: text,
+    runs: ChatSource.textRuns(text),
+    timestamp: Date.now(),
+    badges: [],
+    isSuperchat: false,
+    isSystem: true
+  };
+  moderation.admitMessage(state, msg);
+  if (pin > 0) {
+    pinning.pinMessage(state, msg, { duration: pin });
+  }
+  return msg;
+}
+
+/**
+ * Run a chat message as a command if it is one
+ * @param {object} state - Application state
+ * @param {object} msg - Normalized chat message
+ * @returns {string|null} - Name of the command that ran, or null
+ */
+function handleMessage(state, msg) {
+  const match = String(msg.message || '').trim().match(COMMAND_PATTERN);
+  if (!match) return null;
+
+  const found = findCommand(match[1].toLowerCase());
+  if (!found) return null;
+  const [name, command] = found;
+  if (!command.enabled) return null;
+
+  const rank = authorRank(msg);
+  if (rank < ROLES.indexOf(command.role)) return null;
+
+  // Cooldowns (moderators and owners skip them)
+  const now = Date.now();
+  const userKey = `${name}:${authorId(msg)}`;
+  if (rank < BADGE_RANK.moderator) {
+    if (now - (lastRun.get(name) || 0) < command.cooldown * 1000) return null;
+    if (now - (lastRun.get(userKey) || 0) < command.userCooldown * 1000) return null;
+  }
+  lastRun.set(name, now);
+  lastRun.set(userKey, now);
+
+  ACTIONS[command.action](state, command);
+  if (command.reply) {
+    postReply(state, renderReply(command.reply, msg, (match[2] || '').trim()), command.pin);
+  }
+  console.log(`[Commands] !${name} by ${msg.author} (${command.action})`);
+  return name;
+}
+
+loadCommands();
+
+module.exports = {
+  ACTIONS: Object.keys(ACTIONS),
+  ROLES,
+  listCommands,
+  setCommand,
+  removeCommand,
+  handleMessage,
+  postReply
+};
@@ -0,0 +1,319 @@
+/**
+ * Currency Parsing & Conversion
+ * Turns YouTube's purchaseAmountText ("$5.00", "CA$10.00", "1.234,56 €",
+ * "PHP 100.00") into a numeric amount and an ISO currency code, and
+ * converts amounts into a base currency.
+ *
+ * Rates are "units per 1 base" (base USD: { JPY: 150 } means 1 USD = 150 JPY).
+ * The table is cached in data/currency-rates.json; it starts from built-in
+ * approximate rates, can be edited through the API, and is refreshed daily
+ * from CURRENCY_RATES_URL when that is set.
+ */
+
+const path = require('path');
+const fetch = require('node-fetch');
+const { DATA_DIR, writeJsonAtomic, readJson } = require('./persistence');
+
+const RATES_FILE = path.join(DATA_DIR, 'currency-rates.json');
+const RATES_MAX_AGE = 24 * 60 * 60 * 1000; // Refresh remote rates daily
+
+// Symbols YouTube uses, longest first so "CA$" wins over "$"
+const SYMBOLS = [
+  ['CA$', 'CAD'],
+  ['MX$', 'MXN'],
+  ['NZ$', 'NZD'],
+  ['HK$', 'HKD'],
+  ['NT$', 'TWD'],
+  ['CN¥', 'CNY'],
+  ['US$', 'USD'],
+  ['R$', 'BRL'],
+  ['A$', 'AUD'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['₩', 'KRW'],
+  ['₱', 'PHP'],
+  ['₪', 'ILS'],
+  ['₫', 'VND'],
+  ['₺', 'TRY'],
+  ['₽', 'RUB'],
+  ['zł', 'PLN']
+];
+
+const DEFAULT_CURRENCY = 'USD';
+
+// Shown without minor units, so "100.000" / "100,000" can only be thousands
+const ZERO_DECIMAL = ['JPY', 'KRW', 'VND', 'IDR', 'CLP', 'PYG', 'ISK', 'HUF', 'COP'];
+
+// Usually written with a decimal comma ("5,50 €"), so "1.000" is thousands
+const COMMA_DECIMAL = ['EUR', 'BRL', 'ARS', 'TRY', 'RUB', 'PLN', 'CZK', 'RON', 'DKK', 'NOK', 'SEK'];
+
+// Approximate fallback rates (units per 1 USD) so conversion works offline
+const DEFAULT_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  JPY: 150,
+  CNY: 7.2,
+  CAD: 1.36,
+  AUD: 1.52,
+  NZD: 1.65,
+  MXN: 17,
+  BRL: 5,
+  ARS: 900,
+  CLP: 930,
+  COP: 3900,
+  PEN: 3.7,
+  INR: 83,
+  KRW: 1350,
+  PHP: 56,
+  HKD: 7.8,
+  TWD: 32,
+  SGD: 1.35,
+  IDR: 16000,
+  THB: 36,
+  MYR: 4.7,
+  VND: 25000,
+  CHF: 0.88,
+  SEK: 10.5,
+  NOK: 10.6,
+  DKK: 6.9,
+  PLN: 4,
+  CZK: 23,
+  HUF: 360,
+  RON: 4.6,
+  TRY: 32,
+  RUB: 90,
+  ILS: 3.7,
+  SAR: 3.75,
+  AED: 3.67,
+  ZAR: 18.5
+};
+
+let rateTable = null;
+let refreshTimer = null;
+
+/**
+ * Detect the currency of an amount string
+ * @param {string} text - e.g. "CA$10.00" or "CHF 5.00"
+ * @returns {string|null} - ISO 4217 code, or null if none found
+ */
+function detectCurrency(text) {
+  const iso = String(text).match(/\b([A-Z]{3})\b/);
+  if (iso) return iso[1];
+
+  const symbol = SYMBOLS.find(([sign]) => text.includes(sign));
+  return symbol ? symbol[1] : null;
+}
+
+/**
+ * Parse the number out of an amount string, handling both
+ * "1,234.56" and "1.234,56" (and spaces as thousands separators)
+ * A lone "1.000" / "1,000" is read as thousands or a decimal depending on
+ * how the currency is usually written.
+ * @param {string} text - Amount string
+ * @param {string} currency - ISO code of the amount
+ * @returns {number} - Parsed amount (0 if none)
+ */
+function parseNumber(text, currency = DEFAULT_CURRENCY) {
+  const match = String(text).match(/\d[\d.,\s\u00a0\u202f]*/);
+  if (!match) return 0;
+
+  let number = match[0].replace(/[\s\u00a0\u202f]/g, '').replace(/[.,]+$/, '');
+  const lastComma = number.lastIndexOf(',');
+  const lastDot = number.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Both present: whichever comes last is the decimal separator
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    number = number.split(thousands).join('').replace(decimal, '.');
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    // One kind of separator: "1,000,000" and Indian "2,00,000" are thousands,
+    // "5,50" is a decimal
+    const separator = lastComma !== -1 ? ',' : '.';
+    const escaped = separator === '.' ? '\\.' : ',';
+    const isGrouped = new RegExp(`^\\d{1,3}(${escaped}\\d{3})+$`).test(number) ||
+      new RegExp(`^\\d{1,3}(${escaped}\\d{2})*${escaped}\\d{3}$`).test(number);
+    const isLoneGroup = /^\d{1,3}[.,]\d{3}$/.test(number);
+    const decimalSeparator = COMMA_DECIMAL.includes(currency) ? ',' : '.';
+    const isThousands = isGrouped &&
+      (!isLoneGroup || ZERO_DECIMAL.includes(currency) || decimalSeparator !== separator);
+    number = isThousands ? number.split(separator).join('') : number.replace(separator, '.');
+  }
+
+  const amount = parseFloat(number);
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+/**
+ * Parse an amount string into amount + currency
+ * @param {string} text - e.g. "£4.99"
+ * @returns {{amount: number, currency: string}}
+ */
+function parseAmount(text) {
+  const value = String(text || '');
+  const currency = detectCurrency(value) || DEFAULT_CURRENCY;
+  return { amount: parseNumber(value, currency), currency };
+}
+
+// ============================================================================
+// Rate Table
+// ============================================================================
+
+/**
+ * Load the cached rate table (or the built-in defaults)
+ */
+function loadRates() {
+  const cached = readJson(RATES_FILE);
+  if (cached && cached.base && cached.rates && typeof cached.rates === 'object') {
+    rateTable = cached;
+  } else {
+    rateTable = { base: DEFAULT_CURRENCY, rates: { ...DEFAULT_RATES }, updatedAt: null, source: 'default' };
+  }
+  rateTable.rates[rateTable.base] = 1;
+}
+
+/**
+ * Get the current rate table
+ * @returns {{base: string, rates: object, updatedAt: string|null, source: string}}
+ */
+function getRates() {
+  return JSON.parse(JSON.stringify(rateTable));
+}
+
+/**
+ * Get the base currency amounts are converted into
+ * @returns {string}
+ */
+function getBaseCurrency() {
+  return rateTable.base;
+}
+
+/**
+ * Replace or merge rates, optionally switching the base currency
+ * When only the base changes, existing rates are rebased onto it.
+ * @param {object} update - { base?, rates?, replace? }
+ * @returns {object|null} - New table, or null if invalid
+ */
+function setRates({ base, rates, replace = false, source = 'manual' } = {}) {
+  const nextBase = base || rateTable.base;
+  if (!/^[A-Z]{3}$/.test(nextBase)) return null;
+
+  let nextRates;
+  if (rates) {
+    if (typeof rates !== 'object') return null;
+    const cleaned = {};
+    for (const [code, rate] of Object.entries(rates)) {
+      if (/^[A-Z]{3}$/.test(code) && Number(rate) > 0) cleaned[code] = Number(rate);
+    }
+    nextRates = replace ? cleaned : { ...rateTable.rates, ...cleaned };
+  } else if (nextBase !== rateTable.base) {
+    const pivot = rateTable.rates[nextBase];
+    if (!pivot) return null;
+    nextRates = {};
+    for (const [code, rate] of Object.entries(rateTable.rates)) {
+      nextRates[code] = rate / pivot;
+    }
+  } else {
+    nextRates = { ...rateTable.rates };
+  }
+
+  nextRates[nextBase] = 1;
+  rateTable = { base: nextBase, rates: nextRates, updatedAt: new Date().toISOString(), source };
+  writeJsonAtomic(RATES_FILE, rateTable);
+  console.log(`[Currency] Rate table updated (${Object.keys(nextRates).length} currencies, base ${nextBase}, ${source})`);
+  return getRates();
+}
+
+/**
+ * Convert an amount between currencies
+ * @param {number} amount - Amount in `from`
+ * @param {string} from - ISO code of the amount
+ * @param {string} to - ISO code to convert into (default: base)
+ * @returns {number|null} - Converted amount (2dp), or null if a rate is missing
+ */
+function convert(amount, from, to = rateTable.base) {
+  if (from === to) return amount;
+  const fromRate = rateTable.rates[from];
+  const toRate = rateTable.rates[to];
+  if (!fromRate || !toRate) return null;
+  return Math.round(amount / fromRate * toRate * 100) / 100;
+}
+
+/**
+ * Parse an amount string and convert it to the base currency
+ * @param {string} text - e.g. "¥1,000"
+ * @returns {{amount: number, currency: string, convertedAmount: number|null, baseCurrency: string}}
+ */
+function normalizeAmount(text) {
+  const { amount, currency } = parseAmount(text);
+  return {
+    amount,
+    currency,
+    convertedAmount: convert(amount, currency),
+    baseCurrency: rateTable.base
+  };
+}
+
+/**
+ * Fetch fresh rates from CURRENCY_RATES_URL
+ * Accepts the common { base | base_code, rates } response shape.
+ * @returns {Promise<object|null>} - New table, or null if unavailable
+ */
+async function refreshRates() {
+  const url = process.env.CURRENCY_RATES_URL;
+  if (!url) return null;
+
+  try {
+    const response = await fetch(url, { timeout: 10000 });
+    const data = await response.json();
+    const base = data.base || data.base_code;
+    if (!base || !data.rates) {
+      throw new Error('Response has no base/rates');
+    }
+    return setRates({ base, rates: data.rates, replace: true, source: url });
+  } catch (error) {
+    console.error('[Currency] Failed to refresh rates:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Refresh remote rates now if the cache is stale, then once a day
+ * @param {Function} onRefresh - Called with the new table after each successful refresh
+ */
+function startAutoRefresh(onRefresh = () => {}) {
+  if (!process.env.CURRENCY_RATES_URL || refreshTimer) return;
+
+  const refresh = async () => {
+    const rates = await refreshRates();
+    if (rates) onRefresh(rates);
+  };
+
+  const age = rateTable.updatedAt ? Date.now() - new Date(rateTable.updatedAt).getTime() : Infinity;
+  if (rateTable.source !== process.env.CURRENCY_RATES_URL || age > RATES_MAX_AGE) {
+    refresh();
+  }
+
+  refreshTimer = setInterval(refresh, RATES_MAX_AGE);
+  refreshTimer.unref();
+}
+
+loadRates();
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  detectCurrency,
+  parseNumber,
+  parseAmount,
+  getRates,
+  getBaseCurrency,
+  setRates,
+  convert,
+  normalizeAmount,
+  refreshRates,
+  startAutoRefresh
+};
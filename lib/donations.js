@@ -0,0 +1,221 @@
+/**
+ * Superchat Donations
+ * Running totals per stream and currency, a donation goal and a
+ * top-donors leaderboard
+ *
+ * state.donations is what overlays render (goal, totals, leaderboard...);
+ * state.donors holds per-author totals, keyed by author id, and is only used
+ * to build the leaderboard.
+ * Totals are kept per original currency; the goal progress (donations.raised)
+ * and leaderboard ranking convert them into the goal's currency using the
+ * rate table in lib/currency.js.
+ */
+
+const { broadcast } = require('./broadcast');
+const { parseAmount, convert, DEFAULT_CURRENCY } = require('./currency');
+const { authorId } = require('./authors');
+
+const LEADERBOARD_SIZE = 10;
+const MAX_RECENT = 20;
+
+/**
+ * Fresh donation state (used on reset)
+ * @param {object} goal - Goal to keep
+ * @returns {object}
+ */
+function emptyDonations(goal) {
+  return {
+    goal: goal || { title: 'Superchat Goal', target: 100, currency: DEFAULT_CURRENCY },
+    totals: {},
+    raised: 0,
+    streams: {},
+    count: 0,
+    leaderboard: [],
+    recent: []
+  };
+}
+
+/**
+ * Add an amount to a per-currency totals object
+ * @param {object} totals - { USD: 12.5, ... }
+ * @param {string} currency - ISO code
+ * @param {number} amount - Amount to add
+ */
+function addTotal(totals, currency, amount) {
+  totals[currency] = Math.round(((totals[currency] || 0) + amount) * 100) / 100;
+}
+
+/**
+ * Sum per-currency totals in a single currency
+ * Currencies without a known rate are left out.
+ * @param {object} totals - { USD: 12.5, JPY: 500, ... }
+ * @param {string} currency - ISO code to sum in
+ * @returns {number}
+ */
+function sumTotals(totals, currency) {
+  let sum = 0;
+  for (const [code, amount] of Object.entries(totals)) {
+    sum += convert(amount, code, currency) || 0;
+  }
+  return Math.round(sum * 100) / 100;
+}
+
+/**
+ * Rebuild the goal progress and leaderboard from the totals
+ * @param {object} state - Application state
+ */
+function rebuildLeaderboard(state) {
+  const currency = state.donations.goal.currency;
+  state.donations.raised = sumTotals(state.donations.totals, currency);
+  state.donations.leaderboard = Object.values(state.donors)
+    .map(donor => ({
+      author: donor.author,
+      platform: donor.platform,
+      amount: sumTotals(donor.totals, currency),
+      currency,
+      count: donor.count
+    }))
+    .filter(donor => donor.amount > 0)
+    .sort((a, b) => b.amount - a.amount || b.count - a.count)
+    .slice(0, LEADERBOARD_SIZE);
+}
+
+/**
+ * Amount raised towards the goal, in the goal's currency
+ * @param {object} donations - state.donations
+ * @returns {number}
+ */
+function raised(donations) {
+  return sumTotals(donations.totals, donations.goal.currency);
+}
+
+/**
+ * Tell clients about the new totals
+ * @param {object} state - Application state
+ */
+function broadcastDonations(state) {
+  broadcast('donation_update', { donations: state.donations });
+}
+
+/**
+ * Record a superchat (or Twitch cheer / manual superchat)
+ * @param {object} state - Application state
+ * @param {object} superchat - Normalized superchat message
+ * @returns {object|null} - Recorded entry, or null if it had no amount
+ */
+function recordSuperchat(state, superchat) {
+  // Cheers already carry a dollar amount; everything else is parsed from the display text
+  const { amount, currency } = superchat.bits
+    ? { amount: superchat.amount, currency: 'USD' }
+    : superchat.currency
+      ? { amount: superchat.amount, currency: superchat.currency }
+      : parseAmount(superchat.amountFormatted || String(superchat.amount || ''));
+
+  if (!(amount > 0)) return null;
+
+  const donations = state.donations;
+  const streamKey = superchat.stream || superchat.platform || 'manual';
+  const stream = donations.streams[streamKey] || { totals: {}, count: 0 };
+  addTotal(stream.totals, currency, amount);
+  stream.count++;
+  donations.streams[streamKey] = stream;
+
+  addTotal(donations.totals, currency, amount);
+  donations.count++;
+
+  // Keyed by channel/user id so donors who share a name stay apart and renames don't split a donor
+  const donorKey = authorId(superchat);
+  const donor = state.donors[donorKey] || { author: superchat.author, platform: superchat.platform || 'manual', totals: {}, count: 0 };
+  donor.author = superchat.author; // Latest display name, for the leaderboard
+  addTotal(donor.totals, currency, amount);
+  donor.count++;
+  donor.lastAt = Date.now();
+  state.donors[donorKey] = donor;
+
+  const entry = {
+    id: superchat.id,
+    author: superchat.author,
+    amount,
+    currency,
+    convertedAmount: convert(amount, currency, donations.goal.currency),
+    amountFormatted: superchat.amountFormatted,
+    stream: streamKey,
+    timestamp: superchat.timestamp || Date.now()
+  };
+  donations.recent.unshift(entry);
+  donations.recent = donations.recent.slice(0, MAX_RECENT);
+
+  rebuildLeaderboard(state);
+  broadcastDonations(state);
+  console.log(`[Donations] ${entry.author} +${amount} ${currency} (${raised(donations)}/${donations.goal.target} ${donations.goal.currency})`);
+  return entry;
+}
+
+/**
+ * Update the goal
+ * @param {object} state - Application state
+ * @param {object} goal - { title?, target?, currency? }
+ * @returns {object|null} - New goal, or null if invalid
+ */
+function setGoal(state, { title, target, currency } = {}) {
+  const goal = { ...state.donations.goal };
+  if (title !== undefined) goal.title = String(title);
+  if (target !== undefined) {
+    const value = Number(target);
+    if (!Number.isFinite(value) || value <= 0) return null;
+    goal.target = value;
+  }
+  if (currency !== undefined) {
+    if (!/^[A-Z]{3}$/.test(currency)) return null;
+    goal.currency = currency;
+  }
+
+  state.donations.goal = goal;
+  rebuildLeaderboard(state);
+  broadcastDonations(state);
+  return goal;
+}
+
+/**
+ * Clear totals, donors and recent superchats (the goal is kept)
+ * @param {object} state - Application state
+ */
+function reset(state) {
+  state.donations = emptyDonations(state.donations.goal);
+  state.donors = {};
+  broadcastDonations(state);
+  console.log('[Donations] Totals reset');
+}
+
+/**
+ * Recompute converted totals (after the rate table changes)
+ * @param {object} state - Application state
+ */
+function refresh(state) {
+  rebuildLeaderboard(state);
+  broadcastDonations(state);
+}
+
+/**
+ * Summary for the API
+ * @param {object} state - Application state
+ * @returns {object}
+ */
+function getSummary(state) {
+  const donations = state.donations;
+  const amount = raised(donations);
+  return {
+    ...donations,
+    raised: amount,
+    percent: Math.min(100, Math.round(amount / donations.goal.target * 1000) / 10)
+  };
+}
+
+module.exports = {
+  emptyDonations,
+  recordSuperchat,
+  setGoal,
+  reset,
+  refresh,
+  getSummary
+};
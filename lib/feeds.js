@@ -0,0 +1,504 @@
+/**
+ * News Feeds
+ * Polls any number of RSS, Atom or JSON Feed URLs and turns new entries into
+ * ticker items - the generic counterpart to the team news scraper.
+ *
+ * Each feed has keyword filters (any of `keywords`, none of `exclude`), a
+ * polling interval, a title rule for the ticker label and a destination:
+ * straight into a ticker feed, or into a review queue an operator approves
+ * from. Items a feed delivers are tagged with its id, so each feed keeps at
+ * most `maxItems` of its own items in the target ticker feed.
+ *
+ * Feeds and the review queue live in data/feeds.json.
+ */
+
+const path = require('path');
+const { DATA_DIR, writeJsonAtomic, readJson, scheduleSave } = require('./persistence');
+const { broadcast } = require('./broadcast');
+const { fetchUrl, decodeHtmlEntities, extractContextualTitle } = require('./newsScraper');
+const ticker = require('./ticker');
+
+const FEEDS_FILE = path.join(DATA_DIR, 'feeds.json');
+const TICK_INTERVAL = 30 * 1000; // How often due feeds are checked
+const MIN_INTERVAL = 2; // minutes
+const MAX_REVIEW = 200;
+const MAX_SEEN = 300; // Entry ids remembered per feed
+
+const TITLE_RULES = ['auto', 'fixed', 'category'];
+const MODES = ['ticker', 'review'];
+
+let feeds = [];
+let review = [];
+let tickTimer = null;
+let polling = false;
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Text of the first matching XML element (CDATA unwrapped, tags stripped)
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Element name, e.g. "title" or "content:encoded"
+ * @returns {string}
+ */
+function tagText(xml, tag) {
+  const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i').exec(xml);
+  if (!match) return '';
+  const text = match[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1');
+  return decodeHtmlEntities(decodeHtmlEntities(text).replace(/<[^>]+>/g, ' '));
+}
+
+/**
+ * Strip markup from an HTML snippet
+ * @param {string} html - HTML
+ * @returns {string}
+ */
+function stripHtml(html) {
+  return decodeHtmlEntities(String(html || '').replace(/<[^>]+>/g, ' '));
+}
+
+/**
+ * Parse an RSS 2.0 document
+ * @param {string} xml - Feed body
+ * @returns {Array<object>} - Entries
+ */
+function parseRss(xml) {
+  return [...xml.matchAll(/<item[\s>]([\s\S]*?)<\/item>/gi)].map(([, item]) => ({
+    guid: tagText(item, 'guid') || tagText(item, 'link'),
+    headline: tagText(item, 'title'),
+    summary: tagText(item, 'description') || tagText(item, 'content:encoded'),
+    url: tagText(item, 'link'),
+    category: tagText(item, 'category'),
+    publishedAt: Date.parse(tagText(item, 'pubDate')) || null
+  }));
+}
+
+/**
+ * Parse an Atom document
+ * @param {string} xml - Feed body
+ * @returns {Array<object>} - Entries
+ */
+function parseAtom(xml) {
+  return [...xml.matchAll(/<entry[\s>]([\s\S]*?)<\/entry>/gi)].map(([, entry]) => {
+    // The article link is rel="alternate" (the default when rel is missing)
+    const links = [...entry.matchAll(/<link\b([^>]*)>/gi)].map(([, attrs]) => attrs);
+    const link = links.find(attrs => !/\brel="/.test(attrs) || /\brel="alternate"/.test(attrs)) || links[0] || '';
+    const href = /\bhref="([^"]+)"/.exec(link);
+    const category = /<category\b[^>]*?term="([^"]+)"/i.exec(entry);
+    const url = href ? decodeHtmlEntities(href[1]) : '';
+    return {
+      guid: tagText(entry, 'id') || url,
+      headline: tagText(entry, 'title'),
+      summary: tagText(entry, 'summary') || tagText(entry, 'content'),
+      url,
+      category: category ? decodeHtmlEntities(category[1]) : '',
+      publishedAt: Date.parse(tagText(entry, 'published') || tagText(entry, 'updated')) || null
+    };
+  });
+}
+
+/**
+ * Parse a JSON Feed (jsonfeed.org) document
+ * @param {object} json - Parsed body
+ * @returns {Array<object>} - Entries
+ */
+function parseJsonFeed(json) {
+  return (Array.isArray(json.items) ? json.items : []).map(item => ({
+    guid: String(item.id || item.url || ''),
+    headline: stripHtml(item.title),
+    summary: stripHtml(item.summary || item.content_text || item.content_html),
+    url: item.url || '',
+    category: Array.isArray(item.tags) ? String(item.tags[0] || '') : '',
+    publishedAt: Date.parse(item.date_published || item.date_modified) || null
+  }));
+}
+
+/**
+ * Parse a feed body of any supported format
+ * @param {string} body - Response body
+ * @param {string} format - 'auto', 'rss', 'atom' or 'json'
+ * @returns {Array<object>} - Entries with a headline, newest first
+ */
+function parseFeed(body, format = 'auto') {
+  const text = String(body || '').trim();
+  let entries;
+  if (format === 'json' || (format === 'auto' && text.startsWith('{'))) {
+    entries = parseJsonFeed(JSON.parse(text));
+  } else if (format === 'atom' || (format === 'auto' && /<feed[\s>]/i.test(text))) {
+    entries = parseAtom(text);
+  } else {
+    entries = parseRss(text);
+  }
+  return entries
+    .filter(entry => entry.headline)
+    .map(entry => ({ ...entry, guid: entry.guid || entry.headline }))
+    .sort((a, b) => (b.publishedAt || 0) - (a.publishedAt || 0));
+}
+
+// ============================================================================
+// Config
+// ============================================================================
+
+/**
+ * Validate and fill in a feed definition
+ * @param {object} input - { url, name?, format?, keywords?, exclude?, interval?, titleRule?, title?, content?, mode?, tickerFeed?, maxItems?, ttl?, enabled? }
+ * @param {object} existing - Feed being updated (keeps its id and poll state)
+ * @returns {object|null} - Normalized feed, or null if invalid
+ */
+function normalizeFeed(input, existing = {}) {
+  if (!input || typeof input !== 'object') return null;
+  const merged = { ...existing, ...input };
+  let url;
+  try {
+    url = new URL(String(merged.url || ''));
+  } catch (e) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+
+  const tickerFeed = String(merged.tickerFeed || ticker.DEFAULT_FEED);
+  if (!ticker.FEED_PATTERN.test(tickerFeed)) return null;
+
+  const words = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(word => String(word).trim().toLowerCase())
+    .filter(Boolean);
+  const number = (value, fallback, min, max) => Math.min(max, Math.max(min, Number(value ?? fallback) || fallback));
+
+  return {
+    id: existing.id || `feed_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    name: String(merged.name || url.hostname).trim().slice(0, 60),
+    url: url.toString(),
+    format: ['auto', 'rss', 'atom', 'json'].includes(merged.format) ? merged.format : 'auto',
+    keywords: words(merged.keywords),
+    exclude: words(merged.exclude),
+    interval: number(merged.interval, 15, MIN_INTERVAL, 24 * 60),
+    titleRule: TITLE_RULES.includes(merged.titleRule) ? merged.titleRule : 'auto',
+    title: String(merged.title || 'NEWS').trim().toUpperCase().slice(0, 30),
+    content: merged.content === 'summary' ? 'summary' : 'headline',
+    mode: MODES.includes(merged.mode) ? merged.mode : 'review',
+    tickerFeed,
+    maxItems: number(merged.maxItems, 5, 1, 50),
+    ttl: number(merged.ttl, 0, 0, 7 * 24 * 60),
+    enabled: merged.enabled !== false,
+    lastPolledAt: existing.lastPolledAt || null,
+    lastError: existing.lastError || null,
+    seen: Array.isArray(existing.seen) ? existing.seen : []
+  };
+}
+
+/**
+ * Load feeds and the review queue from disk
+ */
+function loadFeeds() {
+  const saved = readJson(FEEDS_FILE) || {};
+  feeds = (Array.isArray(saved.feeds) ? saved.feeds : [])
+    .map(feed => normalizeFeed(feed, feed))
+    .filter(Boolean);
+  review = Array.isArray(saved.review) ? saved.review : [];
+}
+
+/**
+ * Save feeds and the review queue to disk
+ */
+function saveFeeds() {
+  writeJsonAtomic(FEEDS_FILE, { feeds, review });
+}
+
+/**
+ * Feeds without their seen-id lists
+ * @returns {Array<object>}
+ */
+function publicFeeds() {
+  return feeds.map(({ seen, ...feed }) => feed);
+}
+
+/**
+ * Tell clients about feeds and the review queue
+ */
+function broadcastFeeds() {
+  broadcast('feeds_update', { feeds: publicFeeds(), review });
+}
+
+/**
+ * List feeds and the review queue
+ * @returns {{feeds: Array<object>, review: Array<object>}}
+ */
+function listFeeds() {
+  return { feeds: publicFeeds(), review };
+}
+
+/**
+ * Register a feed
+ * @param {object} input - Feed definition (url required)
+ * @returns {object|null} - The feed, or null if invalid (bad URL or ticker feed name)
+ */
+function addFeed(input) {
+  const feed = normalizeFeed(input);
+  if (!feed) return null;
+  feeds.push(feed);
+  saveFeeds();
+  broadcastFeeds();
+  console.log(`[Feeds] Added "${feed.name}" (${feed.url})`);
+  return publicFeeds().find(item => item.id === feed.id);
+}
+
+/**
+ * Change a feed's settings
+ * @param {string} id - Feed id
+ * @param {object} input - Fields to change
+ * @returns {object|null} - The feed, or null if not found / invalid
+ */
+function updateFeed(id, input) {
+  const index = feeds.findIndex(feed => feed.id === id);
+  if (index === -1) return null;
+  const feed = normalizeFeed(input, feeds[index]);
+  if (!feed) return null;
+  feeds[index] = feed;
+  saveFeeds();
+  broadcastFeeds();
+  return publicFeeds()[index];
+}
+
+/**
+ * Remove a feed (items it already delivered stay in the ticker)
+ * @param {string} id - Feed id
+ * @returns {boolean} - Whether it existed
+ */
+function removeFeed(id) {
+  const index = feeds.findIndex(feed => feed.id === id);
+  if (index === -1) return false;
+  feeds.splice(index, 1);
+  review = review.filter(entry => entry.item.source !== id);
+  saveFeeds();
+  broadcastFeeds();
+  return true;
+}
+
+// ============================================================================
+// Delivery
+// ============================================================================
+
+/**
+ * Whether an entry passes a feed's keyword filters
+ * @param {object} feed - Feed
+ * @param {object} entry - Parsed entry
+ * @returns {boolean}
+ */
+function matchesFilters(feed, entry) {
+  const text = `${entry.headline} ${entry.summary} ${entry.category}`.toLowerCase();
+  if (feed.exclude.some(word => text.includes(word))) return false;
+  return feed.keywords.length === 0 || feed.keywords.some(word => text.includes(word));
+}
+
+/**
+ * Ticker label for an entry under the feed's title rule
+ * @param {object} feed - Feed
+ * @param {object} entry - Parsed entry
+ * @returns {string}
+ */
+function titleFor(feed, entry) {
+  if (feed.titleRule === 'fixed') return feed.title;
+  if (feed.titleRule === 'category') return (entry.category || feed.title).toUpperCase().slice(0, 30);
+  // Rule-based title from the headline, falling back to the feed's label rather than the team's
+  return extractContextualTitle(entry.headline, feed.title);
+}
+
+/**
+ * Build a ticker item from an entry (its expiry is set when it is delivered)
+ * @param {object} feed - Feed
+ * @param {object} entry - Parsed entry
+ * @returns {object}
+ */
+function toTickerItem(feed, entry) {
+  let content = feed.content === 'summary' && entry.summary ? entry.summary : entry.headline;
+  if (content.length > 300) {
+    const cut = content.lastIndexOf('.', 300);
+    content = cut > 50 ? content.slice(0, cut + 1) : `${content.slice(0, 297)}...`;
+  }
+  return {
+    title: titleFor(feed, entry),
+    content,
+    url: entry.url,
+    source: feed.id,
+    guid: entry.guid
+  };
+}
+
+/**
+ * When an item delivered now should leave the ticker under the feed's ttl
+ * (counted from delivery, so reviewed items don't expire while they wait)
+ * @param {object} feed - Feed
+ * @returns {number|null} - Timestamp, or null to keep it
+ */
+function expiresAt(feed) {
+  return feed.ttl > 0 ? Date.now() + feed.ttl * 60 * 1000 : null;
+}
+
+/**
+ * Add items to a ticker feed, keeping the newest `maxItems` from this source
+ * @param {object} state - Application state
+ * @param {string} tickerFeed - Ticker feed id
+ * @param {object} feed - Source feed (for its id and maxItems)
+ * @param {Array<object>} items - Ticker items, newest first
+ * @returns {boolean} - Whether the ticker feed exists / could be created
+ */
+function deliver(state, tickerFeed, feed, items) {
+  const existing = (ticker.getFeed(state, tickerFeed) || { tickerItems: [] }).tickerItems;
+  const others = existing.filter(item => item.source !== feed.id);
+  const own = [...items, ...existing.filter(item => item.source === feed.id)].slice(0, feed.maxItems);
+  if (!ticker.updateFeed(state, tickerFeed, { items: [...others, ...own] })) return false;
+  ticker.broadcastTicker(state, tickerFeed);
+  scheduleSave(state);
+  return true;
+}
+
+/**
+ * Fetch a feed and deliver its new entries
+ * @param {object} state - Application state
+ * @param {string} id - Feed id
+ * @returns {Promise<number>} - Number of new items
+ */
+async function pollFeed(state, id) {
+  const feed = feeds.find(item => item.id === id);
+  if (!feed) throw new Error('Feed not found');
+
+  feed.lastPolledAt = Date.now();
+  let entries;
+  try {
+    entries = parseFeed(await fetchUrl(feed.url), feed.format);
+    feed.lastError = null;
+  } catch (error) {
+    feed.lastError = error.message;
+    saveFeeds();
+    broadcastFeeds();
+    console.error(`[Feeds] ${feed.name}: ${error.message}`);
+    throw error;
+  }
+
+  const seen = new Set(feed.seen);
+  const fresh = entries
+    .filter(entry => !seen.has(entry.guid))
+    .filter(entry => matchesFilters(feed, entry))
+    .slice(0, feed.maxItems);
+
+  if (fresh.length > 0) {
+    const items = fresh.map(entry => toTickerItem(feed, entry));
+    if (feed.mode === 'ticker') {
+      const endAt = expiresAt(feed);
+      // Leave the entries unseen so they are delivered once the ticker feed is fixed
+      if (!deliver(state, feed.tickerFeed, feed, items.map(item => ({ ...item, endAt })))) {
+        feed.lastError = `Invalid ticker feed "${feed.tickerFeed}"`;
+        saveFeeds();
+        broadcastFeeds();
+        console.error(`[Feeds] ${feed.name}: ${feed.lastError}`);
+        throw new Error(feed.lastError);
+      }
+    } else {
+      const queued = items.map(item => ({
+        id: `review_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        feedName: feed.name,
+        tickerFeed: feed.tickerFeed,
+        item
+      }));
+      review = [...queued, ...review].slice(0, MAX_REVIEW);
+    }
+    console.log(`[Feeds] ${feed.name}: ${fresh.length} new item${fresh.length === 1 ? '' : 's'} (${feed.mode})`);
+  }
+
+  // Remember everything in the document, not just what passed the filters
+  feed.seen = [...new Set([...entries.map(entry => entry.guid), ...feed.seen])].slice(0, MAX_SEEN);
+
+  saveFeeds();
+  broadcastFeeds();
+  return fresh.length;
+}
+
+/**
+ * Send a review item to its ticker feed
+ * @param {object} state - Application state
+ * @param {string} id - Review item id
+ * @param {object} edits - Optional { title, content } overrides
+ * @returns {object|null} - The ticker item, or null if not found / its ticker feed is invalid
+ */
+function approveReview(state, id, edits = {}) {
+  const index = review.findIndex(item => item.id === id);
+  if (index === -1) return null;
+  const [entry] = review.splice(index, 1);
+  const item = { ...entry.item };
+  if (typeof edits.title === 'string' && edits.title.trim()) item.title = edits.title.trim();
+  if (typeof edits.content === 'string' && edits.content.trim()) item.content = edits.content.trim();
+
+  const feed = feeds.find(source => source.id === item.source) || { id: item.source, maxItems: 50 };
+  item.endAt = expiresAt(feed);
+  if (!deliver(state, entry.tickerFeed, feed, [item])) {
+    review.splice(index, 0, entry);
+    return null;
+  }
+  saveFeeds();
+  broadcastFeeds();
+  return item;
+}
+
+/**
+ * Drop a review item
+ * @param {string} id - Review item id
+ * @returns {boolean} - Whether it existed
+ */
+function rejectReview(id) {
+  const index = review.findIndex(item => item.id === id);
+  if (index === -1) return false;
+  review.splice(index, 1);
+  saveFeeds();
+  broadcastFeeds();
+  return true;
+}
+
+// ============================================================================
+// Polling
+// ============================================================================
+
+/**
+ * Poll every enabled feed whose interval has passed, one at a time
+ * @param {object} state - Application state
+ */
+async function pollDue(state) {
+  if (polling) return;
+  polling = true;
+  try {
+    const now = Date.now();
+    const due = feeds.filter(feed => feed.enabled && now - (feed.lastPolledAt || 0) >= feed.interval * 60 * 1000);
+    for (const feed of due) {
+      await pollFeed(state, feed.id).catch(() => {});
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start polling
+ * @param {object} state - Application state
+ */
+function start(state) {
+  clearInterval(tickTimer);
+  tickTimer = setInterval(() => pollDue(state), TICK_INTERVAL);
+  tickTimer.unref();
+  pollDue(state);
+}
+
+loadFeeds();
+
+module.exports = {
+  TITLE_RULES,
+  MODES,
+  parseFeed,
+  listFeeds,
+  addFeed,
+  updateFeed,
+  removeFeed,
+  pollFeed,
+  approveReview,
+  rejectReview,
+  start
+};
@@ -3,18 +3,56 @@
  * Exports all modules for easy importing
  */
 
+const ChatSource = require('./ChatSource');
 const YouTubeChatScraper = require('./YouTubeChatScraper');
+const TwitchChatSource = require('./TwitchChatSource');
+const ReplayChatSource = require('./ReplayChatSource');
+const chatRecorder = require('./chatRecorder');
+const authors = require('./authors');
 const state = require('./state');
 const broadcast = require('./broadcast');
 const rateLimit = require('./rateLimit');
 const imageOptimizer = require('./imageOptimizer');
+const persistence = require('./persistence');
+const profiles = require('./profiles');
+const auth = require('./auth');
+const moderation = require('./moderation');
+const pinning = require('./pinning');
+const currency = require('./currency');
+const donations = require('./donations');
+const analytics = require('./analytics');
+const polls = require('./polls');
+const commands = require('./commands');
+const questions = require('./questions');
+const ticker = require('./ticker');
+const feeds = require('./feeds');
+const teamProfile = require('./teamProfile');
 const routes = require('./routes');
 
 module.exports = {
+  ChatSource,
   YouTubeChatScraper,
+  TwitchChatSource,
+  ReplayChatSource,
+  chatRecorder,
+  authors,
   state,
   broadcast,
   rateLimit,
   imageOptimizer,
+  persistence,
+  profiles,
+  auth,
+  moderation,
+  pinning,
+  currency,
+  donations,
+  analytics,
+  polls,
+  commands,
+  questions,
+  ticker,
+  feeds,
+  teamProfile,
   routes
 };
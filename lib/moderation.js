@@ -0,0 +1,492 @@
+/**
+ * Chat Moderation
+ * Rule pipeline run on every incoming chat message before it reaches the queue
+ *
+ * Rules: banned words (with * wildcards), blocked authors, duplicates,
+ * flooding, links and caps ratio. Each rule has an action:
+ * - hide: drop the message (kept in a short log for review)
+ * - flag: queue it, marked with the reasons so the operator thinks twice
+ * - hold: keep it out of the queue until a moderator approves it
+ *
+ * Blocked authors are listed by author id ('platform:channelId'), with their
+ * display name kept alongside as a label, so renaming doesn't get around a
+ * block and sharing a name doesn't cause one.
+ *
+ * Review mode holds every message for approval. Authors approved often
+ * enough (review.trustAfter) are remembered and skip review from then on.
+ *
+ * Config lives in data/moderation.json, approved authors in
+ * data/approved-authors.json.
+ */
+
+const path = require('path');
+const { DATA_DIR, writeJsonAtomic, readJson } = require('./persistence');
+const { broadcast } = require('./broadcast');
+const { authorId } = require('./authors');
+
+const CONFIG_FILE = path.join(DATA_DIR, 'moderation.json');
+const APPROVED_FILE = path.join(DATA_DIR, 'approved-authors.json');
+
+const ACTIONS = ['hide', 'hold', 'flag'];
+
+// Most severe action wins when several rules match
+const SEVERITY = { allow: 0, flag: 1, hold: 2, hide: 3 };
+
+const MAX_QUEUE = 100;
+const MAX_HELD = 200;
+const MAX_HIDDEN_LOG = 50;
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  exemptBadges: ['owner', 'moderator'],
+  review: { enabled: false, trustAfter: 3 },
+  words: { enabled: true, action: 'hide', list: [] },
+  blockedAuthors: { enabled: true, action: 'hide', list: [], names: {} },
+  duplicates: { enabled: true, action: 'hide', windowMs: 30000 },
+  flood: { enabled: true, action: 'hold', maxMessages: 5, windowMs: 10000 },
+  links: { enabled: false, action: 'flag', allowedDomains: ['youtube.com', 'youtu.be', 'twitch.tv'] },
+  caps: { enabled: false, action: 'flag', minLength: 12, ratio: 0.7 }
+};
+
+const RULES = Object.keys(DEFAULT_CONFIG).filter(key => typeof DEFAULT_CONFIG[key] === 'object' && !Array.isArray(DEFAULT_CONFIG[key]));
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|gg|tv|ly|me|co|uk|xyz|info|link)\b\S*/gi;
+
+let config = null;
+let wordPatterns = [];
+
+// Approval counts per author: { 'youtube:channelId': { author, platform, approvals, lastApprovedAt } }
+let approvedAuthors = {};
+
+// Recent activity per author for duplicate/flood detection
+const recentByAuthor = new Map();
+
+// Recently hidden messages, newest last
+const hiddenLog = [];
+
+/**
+ * Deep-copy a config, overlaying valid values rule by rule
+ * @param {object} base - Config to start from
+ * @param {object} saved - Config as read from disk or sent by the API
+ * @returns {object}
+ */
+function mergeConfig(base, saved) {
+  const merged = JSON.parse(JSON.stringify(base));
+  if (!saved || typeof saved !== 'object') return merged;
+
+  if (typeof saved.enabled === 'boolean') merged.enabled = saved.enabled;
+  if (Array.isArray(saved.exemptBadges)) merged.exemptBadges = saved.exemptBadges.map(String);
+
+  for (const rule of RULES) {
+    const patch = saved[rule];
+    if (!patch || typeof patch !== 'object') continue;
+    for (const [key, value] of Object.entries(patch)) {
+      if (!(key in merged[rule])) continue;
+      if (key === 'action' && !ACTIONS.includes(value)) continue;
+      if (typeof value !== typeof merged[rule][key] || Array.isArray(value) !== Array.isArray(merged[rule][key])) continue;
+      merged[rule][key] = Array.isArray(value) ? value.map(String) : value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Compile a word list entry into a regex
+ * `*` matches any run of letters/digits, so "spam*" catches "spammer"
+ * @param {string} word - Word or wildcard pattern
+ * @returns {RegExp|null}
+ */
+function compileWord(word) {
+  const trimmed = String(word).trim();
+  if (!trimmed) return null;
+  const body = trimmed
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[\\p{L}\\p{N}]*');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+/**
+ * Rebuild compiled word patterns from the config
+ */
+function compileWords() {
+  wordPatterns = config.words.list
+    .map(word => ({ word, pattern: compileWord(word) }))
+    .filter(entry => entry.pattern);
+}
+
+/**
+ * Load config from disk
+ */
+function loadConfig() {
+  config = mergeConfig(DEFAULT_CONFIG, readJson(CONFIG_FILE));
+  compileWords();
+  approvedAuthors = readJson(APPROVED_FILE) || {};
+}
+
+/**
+ * Save config to disk
+ */
+function saveConfig() {
+  writeJsonAtomic(CONFIG_FILE, config);
+}
+
+/**
+ * Get the current config
+ * @returns {object}
+ */
+function getConfig() {
+  return JSON.parse(JSON.stringify(config));
+}
+
+/**
+ * Update the config (partial, rule by rule)
+ * @param {object} patch - e.g. { caps: { enabled: true, ratio: 0.8 } }
+ * @returns {object} - New config
+ */
+function updateConfig(patch) {
+  config = mergeConfig(config, patch);
+  compileWords();
+  saveConfig();
+  console.log('[Moderation] Config updated');
+  return getConfig();
+}
+
+/**
+ * Add an entry to a list rule (words or blockedAuthors)
+ * @param {string} rule - 'words' or 'blockedAuthors'
+ * @param {string} value - Word, or author id ('platform:channelId') for blockedAuthors
+ * @param {string} label - Display name to show for a blocked author
+ * @returns {boolean} - Whether the entry was added
+ */
+function addToList(rule, value, label) {
+  const entry = typeof value === 'string' ? value.trim() : '';
+  if (!entry) return false;
+  const list = config[rule].list;
+  if (list.some(item => item.toLowerCase() === entry.toLowerCase())) return false;
+  list.push(entry);
+  if (rule === 'words') compileWords();
+  if (rule === 'blockedAuthors' && label) config.blockedAuthors.names[entry] = String(label);
+  saveConfig();
+  return true;
+}
+
+/**
+ * Remove an entry from a list rule (words or blockedAuthors)
+ * @param {string} rule - 'words' or 'blockedAuthors'
+ * @param {string} value - Entry to remove
+ * @returns {boolean} - Whether the entry was removed
+ */
+function removeFromList(rule, value) {
+  const list = config[rule].list;
+  const index = list.findIndex(item => item.toLowerCase() === String(value).trim().toLowerCase());
+  if (index === -1) return false;
+  const [entry] = list.splice(index, 1);
+  if (rule === 'words') compileWords();
+  if (rule === 'blockedAuthors') delete config.blockedAuthors.names[entry];
+  saveConfig();
+  return true;
+}
+
+/**
+ * Check whether a message comes from a badge holder that skips moderation
+ * @param {object} msg - Chat message
+ * @returns {boolean}
+ */
+function isExempt(msg) {
+  return (msg.badges || []).some(badge => config.exemptBadges.includes(badge));
+}
+
+/**
+ * Record a message for duplicate/flood tracking and return the author's history
+ * @param {object} msg - Chat message
+ * @param {boolean} record - Whether to add this message to the history
+ * @returns {Array<{text: string, timestamp: number}>} - History before this message
+ */
+function authorHistory(msg, record) {
+  const key = authorId(msg);
+  const now = Date.now();
+  const keepFor = Math.max(config.duplicates.windowMs, config.flood.windowMs);
+  const history = (recentByAuthor.get(key) || []).filter(entry => now - entry.timestamp < keepFor);
+
+  if (record) {
+    recentByAuthor.set(key, [...history, { text: normalizeText(msg.message), timestamp: now }]);
+  }
+
+  // Drop idle authors now and then so the map doesn't grow all show
+  if (recentByAuthor.size > 5000) {
+    for (const [otherKey, entries] of recentByAuthor) {
+      if (!entries.length || now - entries[entries.length - 1].timestamp >= keepFor) {
+        recentByAuthor.delete(otherKey);
+      }
+    }
+  }
+
+  return history;
+}
+
+/**
+ * Normalize text for duplicate comparison
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find links that aren't on the allowed domain list
+ * @param {string} text - Message text
+ * @returns {Array<string>}
+ */
+function findLinks(text) {
+  const allowed = config.links.allowedDomains.map(domain => domain.toLowerCase());
+  return (String(text || '').match(LINK_PATTERN) || []).filter(link => {
+    const host = link.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0];
+    return !allowed.some(domain => host === domain || host.endsWith(`.${domain}`));
+  });
+}
+
+/**
+ * Run the rules against a message
+ * @param {object} msg - Normalized chat message
+ * @param {object} options
+ * @param {boolean} options.record - Track the message for duplicate/flood rules (false for dry runs)
+ * @returns {{action: string, reasons: Array<{rule: string, action: string, detail: string}>}}
+ */
+function moderate(msg, { record = true } = {}) {
+  const verdict = { action: 'allow', reasons: [] };
+  if (!config.enabled || isExempt(msg)) return verdict;
+
+  const text = String(msg.message || '');
+  const match = (rule, detail) => {
+    const action = config[rule].action;
+    verdict.reasons.push({ rule, action, detail });
+    if (SEVERITY[action] > SEVERITY[verdict.action]) {
+      verdict.action = action;
+    }
+  };
+
+  const history = authorHistory(msg, record);
+  const now = Date.now();
+
+  if (config.blockedAuthors.enabled) {
+    const id = authorId(msg).toLowerCase();
+    if (config.blockedAuthors.list.some(entry => entry.toLowerCase() === id)) {
+      match('blockedAuthors', msg.author);
+    }
+  }
+
+  if (config.words.enabled) {
+    const hit = wordPatterns.find(entry => entry.pattern.test(text));
+    if (hit) match('words', hit.word);
+  }
+
+  if (config.duplicates.enabled) {
+    const normalized = normalizeText(text);
+    if (normalized && history.some(entry => entry.text === normalized && now - entry.timestamp < config.duplicates.windowMs)) {
+      match('duplicates', 'Repeated message');
+    }
+  }
+
+  if (config.flood.enabled) {
+    const recent = history.filter(entry => now - entry.timestamp < config.flood.windowMs).length + 1;
+    if (recent > config.flood.maxMessages) {
+      match('flood', `${recent} messages in ${Math.round(config.flood.windowMs / 1000)}s`);
+    }
+  }
+
+  if (config.links.enabled) {
+    const links = findLinks(text);
+    if (links.length > 0) match('links', links[0]);
+  }
+
+  if (config.caps.enabled) {
+    const letters = text.replace(/[^\p{L}]/gu, '');
+    const upper = letters.replace(/[^\p{Lu}]/gu, '');
+    if (letters.length >= config.caps.minLength && upper.length / letters.length >= config.caps.ratio) {
+      match('caps', `${Math.round(upper.length / letters.length * 100)}% caps`);
+    }
+  }
+
+  return verdict;
+}
+
+/**
+ * Add a message to the chat queue and tell clients
+ * @param {object} state - Application state
+ * @param {object} msg - Chat message
+ */
+function admitMessage(state, msg) {
+  state.queue.push(msg);
+  // Keep queue to last 100 messages
+  if (state.queue.length > MAX_QUEUE) {
+    state.queue = state.queue.slice(-MAX_QUEUE);
+  }
+  broadcast('message', { message: msg });
+  broadcast('queue_update', { queue: state.queue });
+}
+
+/**
+ * Run a message through moderation and route it to the queue, held list or hidden log
+ * @param {object} state - Application state
+ * @param {object} msg - Normalized chat message
+ * @returns {object} - Verdict from moderate()
+ */
+function processMessage(state, msg) {
+  const verdict = moderate(msg);
+
+  // Review mode: anything that would reach the queue waits for a moderator
+  if (config.enabled && config.review.enabled && SEVERITY[verdict.action] < SEVERITY.hold &&
+      !isExempt(msg) && !isTrusted(msg)) {
+    verdict.action = 'hold';
+    verdict.reasons.push({ rule: 'review', action: 'hold', detail: 'Awaiting review' });
+  }
+
+  const summary = verdict.reasons.map(reason => reason.rule).join(', ');
+
+  switch (verdict.action) {
+    case 'hide':
+      console.log(`[Moderation] Hidden ${msg.author} (${summary})`);
+      hiddenLog.push({ ...msg, moderation: verdict });
+      if (hiddenLog.length > MAX_HIDDEN_LOG) hiddenLog.shift();
+      break;
+
+    case 'hold':
+      console.log(`[Moderation] Held ${msg.author} (${summary})`);
+      state.heldMessages.push({ ...msg, moderation: verdict });
+      if (state.heldMessages.length > MAX_HELD) {
+        state.heldMessages = state.heldMessages.slice(-MAX_HELD);
+      }
+      broadcast('held_update', { heldMessages: state.heldMessages });
+      break;
+
+    case 'flag':
+      admitMessage(state, { ...msg, moderation: verdict });
+      break;
+
+    default:
+      admitMessage(state, msg);
+  }
+
+  return verdict;
+}
+
+/**
+ * Check whether an author has been approved often enough to skip review
+ * @param {object} msg - Chat message
+ * @returns {boolean}
+ */
+function isTrusted(msg) {
+  const entry = approvedAuthors[authorId(msg)];
+  return Boolean(entry && entry.approvals >= config.review.trustAfter);
+}
+
+/**
+ * Remember that a moderator approved this author
+ * @param {object} msg - Approved chat message
+ * @param {boolean} trust - Trust the author straight away
+ */
+function recordApproval(msg, trust) {
+  const key = authorId(msg);
+  const entry = approvedAuthors[key] || { author: msg.author, platform: msg.platform || 'youtube', approvals: 0 };
+  entry.author = msg.author; // Latest display name, for the approved list
+  entry.approvals = Math.max(entry.approvals + 1, trust ? config.review.trustAfter : 0);
+  entry.lastApprovedAt = Date.now();
+  approvedAuthors[key] = entry;
+  writeJsonAtomic(APPROVED_FILE, approvedAuthors);
+}
+
+/**
+ * Approve a held message into the queue
+ * @param {object} state - Application state
+ * @param {string} id - Message id
+ * @param {object} options
+ * @param {boolean} options.trust - Trust the author straight away
+ * @returns {object|null} - Approved message, or null if not held
+ */
+function approveHeld(state, id, { trust = false } = {}) {
+  const index = state.heldMessages.findIndex(m => m.id === id);
+  if (index === -1) return null;
+  const [held] = state.heldMessages.splice(index, 1);
+
+  // A person has looked at it, so it goes in clean
+  const { moderation: _verdict, ...msg } = held;
+  recordApproval(msg, trust);
+
+  admitMessage(state, msg);
+  broadcast('held_update', { heldMessages: state.heldMessages });
+  console.log(`[Moderation] Approved ${msg.author}`);
+  return msg;
+}
+
+/**
+ * Reject a held message
+ * @param {object} state - Application state
+ * @param {string} id - Message id
+ * @param {object} options
+ * @param {boolean} options.block - Also add the author to the blocklist
+ * @returns {boolean} - Whether a message was rejected
+ */
+function rejectHeld(state, id, { block = false } = {}) {
+  const index = state.heldMessages.findIndex(m => m.id === id);
+  if (index === -1) return false;
+  const [msg] = state.heldMessages.splice(index, 1);
+  if (block) {
+    addToList('blockedAuthors', authorId(msg), msg.author);
+  }
+  broadcast('held_update', { heldMessages: state.heldMessages });
+  console.log(`[Moderation] Rejected ${msg.author}${block ? ' (blocked)' : ''}`);
+  return true;
+}
+
+/**
+ * List remembered authors with their approval counts
+ * @returns {Array}
+ */
+function listApprovedAuthors() {
+  return Object.entries(approvedAuthors).map(([key, entry]) => ({
+    key,
+    ...entry,
+    trusted: entry.approvals >= config.review.trustAfter
+  }));
+}
+
+/**
+ * Forget an approved author so their messages are reviewed again
+ * @param {string} key - Author key ('platform:channelId', or 'platform:name' without an id)
+ * @returns {boolean} - Whether the author was known
+ */
+function forgetApprovedAuthor(key) {
+  if (!approvedAuthors[key]) return false;
+  delete approvedAuthors[key];
+  writeJsonAtomic(APPROVED_FILE, approvedAuthors);
+  return true;
+}
+
+/**
+ * Recently hidden messages, newest first
+ * @returns {Array}
+ */
+function getHidden() {
+  return [...hiddenLog].reverse();
+}
+
+loadConfig();
+
+module.exports = {
+  ACTIONS,
+  getConfig,
+  updateConfig,
+  addToList,
+  removeFromList,
+  moderate,
+  admitMessage,
+  processMessage,
+  approveHeld,
+  rejectHeld,
+  listApprovedAuthors,
+  forgetApprovedAuthor,
+  getHidden
+};
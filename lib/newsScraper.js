@@ -1,13 +1,20 @@
 /**
  * News Scraper Module
- * Fetches Manchester United news from Stretty News RSS (primary)
- * with Daily Mail as fallback
+ * Fetches news for the club in the team profile from its RSS feed (primary)
+ * with Daily Mail and Google News as fallbacks
  *
- * Uses Claude API for intelligent title/description generation when available
+ * Uses Claude API for intelligent title/description generation when available;
+ * both that and the rule-based titles run off the team profile
  */
 
 const https = require('https');
 const http = require('http');
+const { getProfile, currentManager } = require('./teamProfile');
+
+const FETCH_TIMEOUT = 15000; // ms, per-socket idle timeout
+const FETCH_DEADLINE = 30000; // ms, whole fetch including redirects
+const MAX_REDIRECTS = 5;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
 
 // Claude API integration (optional, falls back to rule-based generation)
 let claudeApi;
@@ -24,11 +31,82 @@ try {
   claudeApi = null;
 }
 
+// ============================================================================
+// Team Profile Helpers
+// ============================================================================
+
+const aliasPatterns = new Map();
+
+/**
+ * Escape a string for use in a RegExp
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Position of a whole-word alias in text
+ * @param {string} text - Text to search (any case)
+ * @param {string} alias - Word or phrase
+ * @returns {number} - Index, or -1
+ */
+function findAlias(text, alias) {
+  let pattern = aliasPatterns.get(alias);
+  if (!pattern) {
+    pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(alias)}(?![\\p{L}\\p{N}])`, 'iu');
+    aliasPatterns.set(alias, pattern);
+  }
+  return text.search(pattern);
+}
+
+/**
+ * Whether text mentions any of the aliases
+ * @param {string} text - Text to search
+ * @param {Array<string>} aliases - Words or phrases
+ * @returns {boolean}
+ */
+function mentions(text, aliases) {
+  return aliases.some(alias => findAlias(text, alias) !== -1);
+}
+
+/**
+ * People in the profile with a given role
+ * @param {object} team - Team profile
+ * @param {string} role - 'squad', 'target', 'legend', 'manager' or 'womens'
+ * @returns {Array<object>}
+ */
+function peopleWithRole(team, role) {
+  return team.people.filter(person => person.role === role);
+}
+
+/**
+ * The club's nickname as used in titles, e.g. "REDS"
+ * @param {object} team - Team profile
+ * @returns {string}
+ */
+function nicknameTitle(team) {
+  return (team.nicknames[0] || team.shortName).toUpperCase();
+}
+
 /**
- * Fetch HTML content from a URL
- * @param {string} url - URL to fetch
- * @returns {Promise<string>} - HTML content
+ * Rewrite the club's aliases to its short name and apply terminology substitutions
+ * @param {string} text - Headline or article text
+ * @param {object} team - Team profile
+ * @returns {string}
  */
+function applyTerminology(text, team) {
+  let result = text;
+  for (const alias of team.aliases) {
+    result = result.replace(new RegExp(escapeRegExp(alias), 'gi'), () => team.shortName);
+  }
+  for (const { from, to } of team.terminology) {
+    result = result.replace(new RegExp(escapeRegExp(from), 'gi'), () => to);
+  }
+  return result;
+}
+
 /**
  * Decode HTML entities
  * @param {string} text - Text with HTML entities
@@ -50,9 +128,30 @@ function decodeHtmlEntities(text) {
     .trim();
 }
 
+/**
+ * Fetch a URL as text, following redirects. Gives up after MAX_REDIRECTS hops,
+ * MAX_BODY_BYTES of body, or FETCH_DEADLINE overall (the socket timeout alone
+ * only catches idle connections, not slow-drip ones)
+ * @param {string} url - http(s) URL to fetch
+ * @returns {Promise<string>} Response body
+ */
 function fetchUrl(url) {
   return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
+    let req = null;
+    let settled = false;
+
+    const finish = (err, body) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(deadline);
+      if (err) {
+        if (req) req.destroy();
+        reject(err);
+      } else {
+        resolve(body);
+      }
+    };
+    const deadline = setTimeout(() => finish(new Error('Request timed out')), FETCH_DEADLINE);
 
     const options = {
       headers: {
@@ -65,25 +164,61 @@ function fetchUrl(url) {
       }
     };
 
-    protocol.get(url, options, (res) => {
-      // Handle redirects
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        const redirectUrl = res.headers.location.startsWith('http')
-          ? res.headers.location
-          : `https://www.dailymail.co.uk${res.headers.location}`;
-        return fetchUrl(redirectUrl).then(resolve).catch(reject);
-      }
-
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}`));
-        return;
+    const get = (target, redirects) => {
+      try {
+        const protocol = target.startsWith('https') ? https : http;
+        req = protocol.get(target, options, (res) => {
+          // Handle redirects (relative locations resolve against the requested URL)
+          if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+            res.resume();
+            if (redirects >= MAX_REDIRECTS) {
+              finish(new Error('Too many redirects'));
+              return;
+            }
+            let redirectUrl;
+            try {
+              redirectUrl = new URL(res.headers.location, target).toString();
+            } catch (e) {
+              finish(new Error(`Invalid redirect location: ${res.headers.location}`));
+              return;
+            }
+            get(redirectUrl, redirects + 1);
+            return;
+          }
+
+          if (res.statusCode !== 200) {
+            res.resume();
+            finish(new Error(`HTTP ${res.statusCode}`));
+            return;
+          }
+
+          if (Number(res.headers['content-length']) > MAX_BODY_BYTES) {
+            finish(new Error('Response too large'));
+            return;
+          }
+
+          const chunks = [];
+          let size = 0;
+          res.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+              finish(new Error('Response too large'));
+              return;
+            }
+            chunks.push(chunk);
+          });
+          res.on('end', () => finish(null, Buffer.concat(chunks).toString('utf8')));
+          res.on('error', finish);
+        });
+        req.on('error', finish);
+        req.setTimeout(FETCH_TIMEOUT, () => req.destroy(new Error('Request timed out')));
+      } catch (e) {
+        // Unsupported protocols and malformed URLs throw synchronously
+        finish(e);
       }
+    };
 
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
-      res.on('error', reject);
-    }).on('error', reject);
+    get(url, 0);
   });
 }
 
@@ -143,11 +278,11 @@ function parseDailyMailHeadlines(html) {
 }
 
 /**
- * Parse Stretty News RSS feed (primary source)
+ * Parse the team's RSS feed (primary source)
  * @param {string} xml - RSS XML content
  * @returns {Array} - Array of headline objects with title, description, and URL
  */
-function parseStrettyNewsRSS(xml) {
+function parseNewsRSS(xml) {
   const items = [];
   const seenTitles = new Set();
 
@@ -196,11 +331,11 @@ function parseStrettyNewsRSS(xml) {
       raw: title,
       description: description,
       url: url,
-      source: 'strettynews'
+      source: 'rss'
     });
   }
 
-  console.log(`[NewsScraper] Found ${items.length} items from Stretty News RSS`);
+  console.log(`[NewsScraper] Found ${items.length} items from RSS`);
   return items.slice(0, 15);
 }
 
@@ -274,6 +409,8 @@ async function fetchArticleContent(url) {
  * @returns {string} - A deductive title (max 20 chars)
  */
 function generateWittyTitle(headline, content) {
+  const team = getProfile();
+  const boss = currentManager(team);
   const text = headline + ' ' + content;
   const lower = text.toLowerCase();
   const headlineLower = headline.toLowerCase();
@@ -295,11 +432,12 @@ function generateWittyTitle(headline, content) {
   // SPECIFIC STORY PATTERNS - Check headline first for the core story
   // ============================================================================
 
-  // RIVALRY/COMPETITION stories - when rivals are involved (only in headline for specificity)
-  if (headlineLower.includes('man city') || headlineLower.includes('manchester city') || headlineLower.includes('city launch')) {
-    if (lower.includes('race') || lower.includes('battle') || lower.includes('onslaught')) return 'CITY BATTLE';
-    if (lower.includes('beat') || lower.includes('ahead')) return 'CITY THREAT';
-    return 'CITY RIVAL';
+  // RIVALRY/COMPETITION stories - when the derby rival is involved (only in headline for specificity)
+  const derbyRival = team.rivals.find(rival => rival.derby);
+  if (derbyRival && mentions(headlineLower, derbyRival.aliases)) {
+    if (lower.includes('race') || lower.includes('battle') || lower.includes('onslaught')) return `${derbyRival.label} BATTLE`;
+    if (lower.includes('beat') || lower.includes('ahead')) return `${derbyRival.label} THREAT`;
+    return `${derbyRival.label} RIVAL`;
   }
 
   // "THINKING ABOUT" / CONSIDERING stories
@@ -316,7 +454,7 @@ function generateWittyTitle(headline, content) {
 
   // REJECTION/REFUSAL stories - but check if player is still interested
   if (headlineLower.includes('reject') || headlineLower.includes('refuse') || headlineLower.includes('turn down')) {
-    // If they rejected OTHER offers but interested in United
+    // If they rejected OTHER offers but interested in us
     if (lower.includes('interested in joining') || lower.includes('keen')) return 'PLAYER KEEN';
     if (lower.includes('bid') || lower.includes('offer')) return 'BID REJECTED';
     if (lower.includes('contract')) return 'DEAL REJECTED';
@@ -334,11 +472,11 @@ function generateWittyTitle(headline, content) {
     return 'DEPARTURE SET';
   }
 
-  // MICHAEL CARRICK specific (Middlesbrough manager, United legend) - check early
-  if (headlineLower.includes('carrick')) {
-    if (lower.includes('without') || lower.includes('miss') || lower.includes('absent')) return 'CARRICK BLOW';
-    if (lower.includes('win') || lower.includes('victory')) return 'CARRICK WIN';
-    return 'CARRICK NEWS';
+  // CURRENT MANAGER in the headline - check early
+  if (boss && mentions(headlineLower, boss.aliases)) {
+    if (lower.includes('without') || lower.includes('miss') || lower.includes('absent')) return `${boss.label} BLOW`;
+    if (lower.includes('win') || lower.includes('victory')) return `${boss.label} WIN`;
+    return `${boss.label} NEWS`;
   }
 
   // CONFIRMATION stories - "Just in", "Official", "Breaking"
@@ -419,10 +557,8 @@ function generateWittyTitle(headline, content) {
 
   // COMPETITION for player
   if (lower.includes('race') || lower.includes('battle') || lower.includes('compete')) {
-    if (lower.includes('arsenal')) return 'ARSENAL RACE';
-    if (lower.includes('chelsea')) return 'CHELSEA RACE';
-    if (lower.includes('city')) return 'CITY RACE';
-    if (lower.includes('liverpool')) return 'POOL RACE';
+    const rival = team.rivals.find(club => mentions(lower, club.aliases));
+    if (rival) return `${rival.label} RACE`;
     return 'TRANSFER RACE';
   }
 
@@ -475,14 +611,11 @@ function generateWittyTitle(headline, content) {
   }
 
   // PUNDIT/LEGEND commentary - what they're saying about
-  const pundits = ['rooney', 'keane', 'neville', 'scholes', 'ferdinand', 'rio', 'carragher', 'henry'];
-  for (const pundit of pundits) {
-    if (lower.includes(pundit)) {
-      if (lower.includes('back') || lower.includes('defend')) return 'PUNDIT BACKS';
-      if (lower.includes('slam') || lower.includes('blast') || lower.includes('critic')) return 'PUNDIT SLAMS';
-      if (lower.includes('warn')) return 'PUNDIT WARNS';
-      return 'PUNDIT VIEW';
-    }
+  if (peopleWithRole(team, 'legend').some(pundit => mentions(lower, pundit.aliases))) {
+    if (lower.includes('back') || lower.includes('defend')) return 'PUNDIT BACKS';
+    if (lower.includes('slam') || lower.includes('blast') || lower.includes('critic')) return 'PUNDIT SLAMS';
+    if (lower.includes('warn')) return 'PUNDIT WARNS';
+    return 'PUNDIT VIEW';
   }
 
   // CLUB BUSINESS/FINANCES
@@ -493,10 +626,10 @@ function generateWittyTitle(headline, content) {
   }
 
   // MANAGER stories
-  if (lower.includes('amorim')) {
-    if (lower.includes('want') && (lower.includes('sign') || lower.includes('target'))) return 'AMORIM TARGET';
+  if (boss && mentions(lower, boss.aliases)) {
+    if (lower.includes('want') && (lower.includes('sign') || lower.includes('target'))) return `${boss.label} TARGET`;
     if (lower.includes('decision')) return 'BOSS DECIDES';
-    if (lower.includes('plan')) return 'AMORIM PLAN';
+    if (lower.includes('plan')) return `${boss.label} PLAN`;
     return 'BOSS SPEAKS';
   }
 
@@ -517,83 +650,18 @@ function generateWittyTitle(headline, content) {
   // ============================================================================
   // FALLBACK: Use old subject extraction for general stories
   // ============================================================================
-  const subject = extractSubject(headline, headlineLower);
+  const subject = extractSubject(headline, headlineLower, team);
   const angle = determineAngle(lower);
   const sentiment = detectSentiment(lower);
 
-  return generateTitle(subject, angle, sentiment, lower);
+  return generateTitle(subject, angle, sentiment, lower, team);
 }
 
 /**
  * Extract the primary subject of the story
  */
-function extractSubject(text, lower) {
-  // Check for specific players (current squad)
-  const players = {
-    'rashford': 'RASHFORD', 'marcus rashford': 'RASHFORD',
-    'maguire': 'MAGUIRE', 'harry maguire': 'MAGUIRE',
-    'bruno': 'BRUNO', 'fernandes': 'BRUNO',
-    'mainoo': 'MAINOO', 'kobbie': 'MAINOO',
-    'garnacho': 'GARNACHO', 'alejandro garnacho': 'GARNACHO',
-    'hojlund': 'HOJLUND', 'højlund': 'HOJLUND', 'rasmus': 'HOJLUND',
-    'amad': 'AMAD', 'diallo': 'AMAD',
-    'mount': 'MOUNT', 'mason mount': 'MOUNT',
-    'onana': 'ONANA', 'andre onana': 'ONANA',
-    'martinez': 'MARTINEZ', 'lisandro': 'MARTINEZ', 'licha': 'MARTINEZ',
-    'dalot': 'DALOT', 'diogo dalot': 'DALOT',
-    'shaw': 'SHAW', 'luke shaw': 'SHAW',
-    'casemiro': 'CASEMIRO',
-    'antony': 'ANTONY',
-    'sancho': 'SANCHO', 'jadon': 'SANCHO',
-    'eriksen': 'ERIKSEN',
-    'zirkzee': 'ZIRKZEE',
-    'amass': 'AMASS', 'harry amass': 'AMASS',
-    'diego leon': 'LEON', 'leon': 'LEON',
-  };
-
-  // Check for transfer targets
-  const targets = {
-    'ndidi': 'NDIDI', 'wilfred ndidi': 'NDIDI',
-    'valverde': 'VALVERDE', 'federico valverde': 'VALVERDE',
-    'greenwood': 'GREENWOOD', 'mason greenwood': 'GREENWOOD',
-    'dorgu': 'DORGU', 'patrick dorgu': 'DORGU',
-    'gyokeres': 'GYOKERES', 'viktor gyokeres': 'GYOKERES',
-    'osimhen': 'OSIMHEN',
-    'isak': 'ISAK',
-    'oyarzabal': 'OYARZABAL',
-    'casado': 'CASADO',
-    'neves': 'NEVES', 'ruben neves': 'NEVES',
-    'loftus-cheek': 'LOFTUS-CHEEK', 'loftus cheek': 'LOFTUS-CHEEK',
-    'anderson': 'ANDERSON', 'elliot anderson': 'ANDERSON',
-    'palmer': 'PALMER', 'cole palmer': 'PALMER',
-    'mateta': 'MATETA', 'jean-philippe mateta': 'MATETA',
-    'ugarte': 'UGARTE', 'manuel ugarte': 'UGARTE',
-    'de ligt': 'DE LIGT', 'matthijs de ligt': 'DE LIGT',
-    'mazraoui': 'MAZRAOUI', 'noussair mazraoui': 'MAZRAOUI',
-  };
-
-  // Check for legends/pundits
-  const legends = {
-    'rooney': 'ROONEY', 'wayne rooney': 'ROONEY',
-    'scholes': 'SCHOLES', 'paul scholes': 'SCHOLES',
-    'ferdinand': 'RIO', 'rio ferdinand': 'RIO',
-    'keane': 'KEANE', 'roy keane': 'KEANE',
-    'neville': 'NEVILLE', 'gary neville': 'NEVILLE',
-    'carragher': 'CARRAGHER',
-    'henry': 'HENRY', 'thierry': 'HENRY',
-  };
-
-  // Check for managers
-  const managers = {
-    'carrick': 'CARRICK', 'michael carrick': 'CARRICK',
-    'amorim': 'AMORIM', 'ruben amorim': 'AMORIM',
-    'ten hag': 'TEN HAG', 'erik ten hag': 'TEN HAG',
-    'de zerbi': 'DE ZERBI',
-    'tuchel': 'TUCHEL',
-    'pochettino': 'POCHETTINO',
-  };
-
-  // Check for clubs (as subject of transfer stories)
+function extractSubject(text, lower, team) {
+  // Clubs (as subject of transfer stories)
   const clubs = {
     'barcelona': 'BARCA', 'barca': 'BARCA',
     'real madrid': 'REAL MADRID',
@@ -607,40 +675,30 @@ function extractSubject(text, lower) {
     'west ham': 'WEST HAM',
   };
 
-  // Check for women's team
-  const womens = {
-    'terland': 'TERLAND', 'elisabeth terland': 'TERLAND',
-    'women': 'WOMEN',
-    'wsl': 'WOMEN',
-  };
-
-  // Find the FIRST mentioned subject by checking position in text
+  // Find the FIRST mentioned person by checking position in text
   // This ensures we get the primary subject, not just any mentioned name
+  const subjectTypes = { squad: 'player', target: 'target', legend: 'pundit', manager: 'manager' };
   let firstMatch = { type: null, name: null, position: Infinity };
 
-  const checkSubjects = (dict, type) => {
-    for (const [key, value] of Object.entries(dict)) {
-      const pos = lower.indexOf(key);
+  for (const person of team.people) {
+    const type = subjectTypes[person.role];
+    if (!type) continue;
+    for (const alias of person.aliases) {
+      const pos = findAlias(lower, alias);
       if (pos !== -1 && pos < firstMatch.position) {
-        firstMatch = { type, name: value, position: pos };
+        firstMatch = { type, name: person.label, position: pos };
       }
     }
-  };
-
-  // Check all categories - priority only matters if positions are equal
-  checkSubjects(players, 'player');
-  checkSubjects(targets, 'target');
-  checkSubjects(legends, 'pundit');
-  checkSubjects(managers, 'manager');
+  }
 
   if (firstMatch.type) {
     return { type: firstMatch.type, name: firstMatch.name };
   }
 
   // Check remaining categories with lower priority (clubs/womens less important than people)
-  for (const [key, value] of Object.entries(womens)) {
-    if (lower.includes(key)) return { type: 'womens', name: value };
-  }
+  const womensPlayer = peopleWithRole(team, 'womens').find(person => mentions(lower, person.aliases));
+  if (womensPlayer) return { type: 'womens', name: womensPlayer.label };
+  if (lower.includes('women') || lower.includes('wsl')) return { type: 'womens', name: 'WOMEN' };
   for (const [key, value] of Object.entries(clubs)) {
     if (lower.includes(key)) return { type: 'club', name: value };
   }
@@ -650,22 +708,20 @@ function extractSubject(text, lower) {
   if (lower.includes('financial') || lower.includes('deloitte') || lower.includes('revenue')) {
     return { type: 'topic', name: 'FINANCES' };
   }
-  // Only use INEOS/GLAZERS if the story is ABOUT ownership, not just mentioning it
-  if ((lower.includes('ineos') || lower.includes('ratcliffe')) &&
-      (lower.includes('ownership') || lower.includes('takeover') || lower.includes('stake') || lower.includes('board'))) {
+  // Only use OWNERSHIP if the story is ABOUT ownership, not just mentioning the owners
+  if (mentions(lower, team.owners) &&
+      (lower.includes('ownership') || lower.includes('takeover') || lower.includes('stake') || lower.includes('board') || lower.includes('sell'))) {
     return { type: 'topic', name: 'OWNERSHIP' };
   }
-  if (lower.includes('glazer') && (lower.includes('ownership') || lower.includes('sell') || lower.includes('stake'))) {
-    return { type: 'topic', name: 'GLAZERS' };
-  }
-  if (lower.includes('old trafford') && (lower.includes('stadium') || lower.includes('redevelop') || lower.includes('renovation'))) {
-    return { type: 'topic', name: 'OLD TRAFFORD' };
+  if (team.stadium.name && lower.includes(team.stadium.name.toLowerCase()) &&
+      (lower.includes('stadium') || lower.includes('redevelop') || lower.includes('renovation'))) {
+    return { type: 'topic', name: 'STADIUM' };
   }
   if (lower.includes('academy') || lower.includes('youth')) {
     return { type: 'topic', name: 'ACADEMY' };
   }
 
-  return { type: 'general', name: 'UNITED' };
+  return { type: 'general', name: team.shortName.toUpperCase() };
 }
 
 /**
@@ -809,9 +865,10 @@ function detectSentiment(lower) {
 /**
  * Generate the final title based on analysis
  */
-function generateTitle(subject, angle, sentiment, lower) {
+function generateTitle(subject, angle, sentiment, lower, team) {
   const name = subject.name;
   const type = subject.type;
+  const nickname = nicknameTitle(team);
 
   // ============================================================================
   // Player stories
@@ -899,7 +956,7 @@ function generateTitle(subject, angle, sentiment, lower) {
       case 'won': return `${name} WIN`;
       case 'positive_quote': return `${name} JOY`;
       case 'impressive_form': return `${name} STAR`;
-      default: return `WOMEN'S REDS`;
+      default: return `WOMEN'S ${nickname}`;
     }
   }
 
@@ -927,17 +984,15 @@ function generateTitle(subject, angle, sentiment, lower) {
     }
     if (name === 'OWNERSHIP') {
       if (lower.includes('takeover')) return 'TAKEOVER NEWS';
+      if (lower.includes('sell') || lower.includes('sale')) return 'SALE TALK';
       if (lower.includes('board')) return 'BOARDROOM';
-      if (lower.includes('decision') || lower.includes('approve')) return 'INEOS DECISION';
+      if (lower.includes('decision') || lower.includes('approve')) return 'OWNERS DECIDE';
       return 'OWNERSHIP NEWS';
     }
-    if (name === 'GLAZERS') {
-      if (lower.includes('sell') || lower.includes('sale')) return 'GLAZERS OUT?';
-      return 'GLAZER NEWS';
-    }
-    if (name === 'OLD TRAFFORD') {
-      if (lower.includes('redevelop') || lower.includes('new stadium')) return 'OT REBUILD';
-      return 'OT NEWS';
+    if (name === 'STADIUM') {
+      const stadium = team.stadium.label || 'STADIUM';
+      if (lower.includes('redevelop') || lower.includes('new stadium')) return `${stadium} REBUILD`;
+      return `${stadium} NEWS`;
     }
     if (name === 'ACADEMY') {
       if (lower.includes('promot') || lower.includes('debut')) return 'YOUTH RISING';
@@ -961,8 +1016,8 @@ function generateTitle(subject, angle, sentiment, lower) {
     case 'var_controversy': return 'VAR DRAMA';
     case 'wrong_decision': return 'ROBBED';
     case 'controversy': return 'CONTROVERSY';
-    case 'won': return 'REDS WIN';
-    case 'lost': return 'REDS LOSE';
+    case 'won': return `${nickname} WIN`;
+    case 'lost': return `${nickname} LOSE`;
     case 'confirmed': return 'CONFIRMED';
     case 'report': return 'REPORT';
     case 'transfer_race': return 'TRANSFER RACE';
@@ -984,100 +1039,30 @@ function generateTitle(subject, angle, sentiment, lower) {
   if (lower.includes('injury') || lower.includes('injured') || lower.includes('ruled out')) {
     return 'INJURY NEWS';
   }
-  if (lower.includes('arsenal')) {
-    return 'ARSENAL CLASH';
-  }
-  if (lower.includes('city') && !lower.includes('norwich')) {
-    return 'DERBY NEWS';
-  }
-  if (lower.includes('liverpool')) {
-    return 'RIVALRY NEWS';
+  const rival = team.rivals.find(club => mentions(lower, club.aliases));
+  if (rival) {
+    return rival.derby ? 'DERBY NEWS' : `${rival.label} CLASH`;
   }
 
   // ============================================================================
   // Final fallback
   // ============================================================================
-  return 'UNITED NEWS';
+  return `${team.shortName.toUpperCase()} NEWS`;
 }
 
 /**
- * Extract a contextual title from headline text with Man United puns and flair
+ * Extract a contextual title from headline text with club puns and flair
  * @param {string} text - The headline text
+ * @param {string} fallback - Title when nothing in the headline stands out (default "<TEAM> NEWS")
  * @returns {string} - A short, punny, descriptive title
  */
-function extractContextualTitle(text) {
+function extractContextualTitle(text, fallback) {
+  const team = getProfile();
+  const nickname = nicknameTitle(team);
   const lowerText = text.toLowerCase();
 
-  // Player-specific punny titles
-  const playerTitles = {
-    'Rashford': { default: 'RASHFORD WATCH', goal: 'RASHY MAGIC', transfer: 'RASHFORD SAGA', injury: 'RASHY BLOW' },
-    'Bruno': { default: 'BRUNO BRILLIANCE', goal: 'BRUNO MAGIC', transfer: 'BRUNO NEWS', speaks: 'BRUNO SPEAKS' },
-    'Fernandes': { default: 'BRUNO BRILLIANCE', goal: 'BRUNO MAGIC', transfer: 'BRUNO NEWS', speaks: 'BRUNO SPEAKS' },
-    'Martinez': { default: 'LICHA WATCH', goal: 'LICHA MAGIC', speaks: 'LICHA SPEAKS', injury: 'LICHA BLOW' },
-    'Lisandro': { default: 'LICHA WATCH', goal: 'LICHA MAGIC', speaks: 'LICHA SPEAKS', injury: 'LICHA BLOW' },
-    'Mainoo': { default: 'MAINOO MAGIC', goal: 'KOBBIE SCORES', transfer: 'MAINOO FUTURE', injury: 'MAINOO BLOW' },
-    'Garnacho': { default: 'GARNACHO SZN', goal: 'GARNACHO GOLAZO', transfer: 'GARNACHO SAGA', injury: 'GARNACHO BLOW' },
-    'Mount': { default: 'MOUNT WATCH', goal: 'MOUNT MAGIC', injury: 'MOUNT UPDATE' },
-    'Hojlund': { default: 'HOJLUND WATCH', goal: 'HOJLUND SCORES', injury: 'HOJLUND BLOW' },
-    'Zirkzee': { default: 'ZIRKZEE SZN', goal: 'ZIRKZEE MAGIC', transfer: 'ZIRKZEE NEWS' },
-    'Dalot': { default: 'DALOT WATCH', goal: 'DALOT SCORES', speaks: 'DALOT SPEAKS' },
-    'Shaw': { default: 'SHAW WATCH', injury: 'SHAW UPDATE', goal: 'SHAW MAGIC' },
-    'Maguire': { default: 'SLABHEAD SZN', goal: 'MAGUIRE SCORES', injury: 'MAGUIRE BLOW', speaks: 'HARRY SPEAKS' },
-    'Casemiro': { default: 'CASE CLOSED', goal: 'CASEMIRO MAGIC', transfer: 'CASE SAGA' },
-    'Eriksen': { default: 'ERIKSEN WATCH', goal: 'ERIKSEN MAGIC', transfer: 'ERIKSEN NEWS' },
-    'Onana': { default: 'ONANA WATCH', save: 'ONANA SAVES', speaks: 'ONANA SPEAKS' },
-    'Antony': { default: 'ANTONY WATCH', goal: 'ANTONY MAGIC', transfer: 'ANTONY SAGA' },
-    'Sancho': { default: 'SANCHO WATCH', goal: 'SANCHO MAGIC', transfer: 'SANCHO SAGA' },
-    'Amad': { default: 'AMAD SZN', goal: 'AMAD MAGIC', transfer: 'AMAD NEWS' },
-    'Dorgu': { default: 'DORGU SZN', goal: 'DORGU SCORES', transfer: 'DORGU NEWS' },
-    'Mbeumo': { default: 'MBEUMO MAGIC', goal: 'MBEUMO SCORES', transfer: 'MBEUMO NEWS' },
-    'Palmer': { default: 'PALMER WATCH', transfer: 'PALMER LINK', goal: 'PALMER MAGIC' },
-    'Rooney': { default: 'ROONEY REACTS', speaks: 'ROONEY SPEAKS', goal: 'ROONEY LEGEND' },
-    'Scholes': { default: 'SCHOLESY SPEAKS', speaks: 'SCHOLES BLAST' },
-    'Ferdinand': { default: 'RIO REACTS', speaks: 'RIO SPEAKS' },
-    'Keane': { default: 'KEANO SAYS', speaks: 'KEANE BLAST' },
-    'Butt': { default: 'BUTT SPEAKS', speaks: 'NICKY BLAST' },
-    'Carragher': { default: 'CARRA SPEAKS', speaks: 'CARRA VERDICT' },
-    'Henry': { default: 'HENRY VERDICT', speaks: 'HENRY SPEAKS' },
-    'Neville': { default: 'NEVILLE SPEAKS', speaks: 'GARY BLAST' },
-  };
-
-  // Manager-specific titles
-  const managerTitles = {
-    'Carrick': { default: 'CARRICK ERA', win: 'CARRICK MAGIC', exit: 'CARRICK NEWS', link: 'CARRICK WATCH' },
-    'Amorim': { default: 'AMORIM ERA', exit: 'AMORIM GONE', sack: 'AMORIM SACKED' },
-    'Ten Hag': { default: 'TEN HAG NEWS', exit: 'ETH GONE', sack: 'TEN HAG OUT' },
-    'De Zerbi': { default: 'DE ZERBI LINK', link: 'DE ZERBI WATCH' },
-    'Kovac': { default: 'KOVAC LINK', link: 'KOVAC WATCH' },
-    'Tuchel': { default: 'TUCHEL LINK', link: 'TUCHEL WATCH' },
-    'Pochettino': { default: 'POCH LINK', link: 'POCH WATCH' },
-  };
-
-  // Rival-specific punny titles
-  const rivalTitles = {
-    'city': 'NOISY NEIGHBOURS',
-    'man city': 'NOISY NEIGHBOURS',
-    'manchester city': 'NOISY NEIGHBOURS',
-    'derby': 'DERBY DAY',
-    'liverpool': 'SCOUSERS WATCH',
-    'arsenal': 'ARSENAL WATCH',
-    'chelsea': 'CHELSEA WATCH',
-    'tottenham': 'SPURS WATCH',
-    'spurs': 'SPURS WATCH',
-    'leeds': 'LEEDS SCUM',
-    'haaland': 'HAALAND WHO?',
-    'foden': 'FODEN WATCH',
-    'salah': 'SALAH WATCH',
-    'pep': 'PEP WATCH',
-    'guardiola': 'PEP WATCH',
-    'klopp': 'KLOPP WATCH',
-    'arteta': 'ARTETA WATCH',
-  };
-
-  // Topic-based punny titles
+  // General topic titles
   const topicTitles = {
-    'old trafford': 'THEATRE OF DREAMS',
-    'stretford end': 'STRETFORD END',
     'academy': 'ACADEMY WATCH',
     'youth': 'YOUTH RISING',
     'wonderkid': 'WONDERKID ALERT',
@@ -1087,9 +1072,6 @@ function extractContextualTitle(text) {
     'yellow card': 'BOOKING',
     'var': 'VAR DRAMA',
     'referee': 'REF WATCH',
-    'ineos': 'INEOS WATCH',
-    'ratcliffe': 'SIR JIM WATCH',
-    'glazer': 'GLAZERS OUT',
     'fixture': 'FIXTURE NEWS',
     'schedule': 'FIXTURE NEWS',
     'premier league': 'PREMIER LEAGUE',
@@ -1104,10 +1086,10 @@ function extractContextualTitle(text) {
 
   // Action-based titles
   const actionTitles = {
-    'win': 'REDS WIN',
-    'victory': 'GLORY GLORY',
-    'beat': 'REDS TRIUMPH',
-    'defeat': 'UNITED FALL',
+    'win': `${nickname} WIN`,
+    'victory': `${nickname} VICTORY`,
+    'beat': `${nickname} TRIUMPH`,
+    'defeat': `${team.shortName.toUpperCase()} FALL`,
     'loss': 'HEARTBREAK',
     'draw': 'DRAW MERCHANTS',
     'goal': 'GET IN',
@@ -1129,47 +1111,59 @@ function extractContextualTitle(text) {
     'official': 'OFFICIAL',
   };
 
-  // Check for player names first
-  for (const [player, titles] of Object.entries(playerTitles)) {
-    if (text.includes(player)) {
-      if (lowerText.includes('transfer') || lowerText.includes('sign') || lowerText.includes('move') || lowerText.includes('bid')) {
-        return titles.transfer || titles.default;
-      }
-      if (lowerText.includes('injur') || lowerText.includes('ruled out') || lowerText.includes('doubt') || lowerText.includes('blow')) {
-        return titles.injury || titles.default;
-      }
-      if (lowerText.includes('goal') || lowerText.includes('score') || lowerText.includes('winner')) {
-        return titles.goal || titles.default;
-      }
-      if (lowerText.includes('says') || lowerText.includes('hits back') || lowerText.includes('slams') || lowerText.includes('responds') || lowerText.includes('blast')) {
-        return titles.speaks || titles.default;
-      }
-      return titles.default;
+  // Check for player and pundit names first (only people given titles in the profile)
+  for (const person of team.people) {
+    if (person.role === 'manager' || !person.titles.default || !mentions(lowerText, person.aliases)) continue;
+    const titles = person.titles;
+    const fallbackTitle = titles.default;
+    if (lowerText.includes('transfer') || lowerText.includes('sign') || lowerText.includes('move') || lowerText.includes('bid')) {
+      return titles.transfer || fallbackTitle;
     }
+    if (lowerText.includes('injur') || lowerText.includes('ruled out') || lowerText.includes('doubt') || lowerText.includes('blow')) {
+      return titles.injury || fallbackTitle;
+    }
+    if (lowerText.includes('goal') || lowerText.includes('score') || lowerText.includes('winner')) {
+      return titles.goal || fallbackTitle;
+    }
+    if (lowerText.includes('says') || lowerText.includes('hits back') || lowerText.includes('slams') || lowerText.includes('responds') || lowerText.includes('blast')) {
+      return titles.speaks || fallbackTitle;
+    }
+    return fallbackTitle;
   }
 
   // Check for manager names
-  for (const [manager, titles] of Object.entries(managerTitles)) {
-    if (lowerText.includes(manager.toLowerCase())) {
-      if (lowerText.includes('sack') || lowerText.includes('fired') || lowerText.includes('axed')) {
-        return titles.sack || titles.exit || titles.default;
-      }
-      if (lowerText.includes('leave') || lowerText.includes('exit') || lowerText.includes('gone') || lowerText.includes('depart')) {
-        return titles.exit || titles.default;
-      }
-      if (lowerText.includes('target') || lowerText.includes('want') || lowerText.includes('shortlist') || lowerText.includes('link')) {
-        return titles.link || titles.default;
-      }
-      if (lowerText.includes('win') || lowerText.includes('victory') || lowerText.includes('beat')) {
-        return titles.win || titles.default;
-      }
-      return titles.default;
+  for (const manager of peopleWithRole(team, 'manager')) {
+    if (!mentions(lowerText, manager.aliases)) continue;
+    const titles = manager.titles;
+    const fallbackTitle = titles.default || `${manager.label} NEWS`;
+    if (lowerText.includes('sack') || lowerText.includes('fired') || lowerText.includes('axed')) {
+      return titles.sack || titles.exit || fallbackTitle;
+    }
+    if (lowerText.includes('leave') || lowerText.includes('exit') || lowerText.includes('gone') || lowerText.includes('depart')) {
+      return titles.exit || fallbackTitle;
+    }
+    if (lowerText.includes('target') || lowerText.includes('want') || lowerText.includes('shortlist') || lowerText.includes('link')) {
+      return titles.link || fallbackTitle;
     }
+    if (lowerText.includes('win') || lowerText.includes('victory') || lowerText.includes('beat')) {
+      return titles.win || fallbackTitle;
+    }
+    return fallbackTitle;
   }
 
   // Check for rival mentions
-  for (const [rival, title] of Object.entries(rivalTitles)) {
-    if (lowerText.includes(rival)) {
+  for (const rival of team.rivals) {
+    if (mentions(lowerText, rival.aliases)) {
+      return rival.title;
+    }
+  }
+
+  // Check for the stadium and club-specific topics
+  if (team.stadium.name && lowerText.includes(team.stadium.name.toLowerCase())) {
+    return (team.stadium.nickname || team.stadium.name).toUpperCase();
+  }
+  for (const [topic, title] of Object.entries(team.topics)) {
+    if (lowerText.includes(topic)) {
       return title;
     }
   }
@@ -1199,14 +1193,15 @@ function extractContextualTitle(text) {
   }
 
   // Extract first notable word as fallback
+  const teamWords = [...team.name.split(/\s+/), ...team.shortName.split(/\s+/)];
   const words = text.split(/[\s:,]+/).slice(0, 3);
   for (const word of words) {
-    if (word.length > 3 && /^[A-Z]/.test(word) && !['The', 'Man', 'Why', 'How', 'What', 'Who', 'When', 'United', 'Premier'].includes(word)) {
+    if (word.length > 3 && /^[A-Z]/.test(word) && !['The', 'Man', 'Why', 'How', 'What', 'Who', 'When', 'Premier', ...teamWords].includes(word)) {
       return word.toUpperCase() + ' NEWS';
     }
   }
 
-  return 'UNITED NEWS';
+  return fallback || `${team.shortName.toUpperCase()} NEWS`;
 }
 
 /**
@@ -1216,6 +1211,8 @@ function extractContextualTitle(text) {
  * @returns {string} - Clean content with emoji
  */
 function transformToPassionateContent(text, title) {
+  const team = getProfile();
+  const boss = currentManager(team);
   const lowerText = text.toLowerCase();
 
   // Clean up the text
@@ -1225,24 +1222,16 @@ function transformToPassionateContent(text, title) {
     .replace(/\s*[-–—]\s*[A-Z][A-Za-z\s]+$/g, '')
     .replace(/\s*\|\s*[A-Za-z\s]+$/g, '')
     .replace(/,?\s*reports?\s+[A-Za-z\s]+$/gi, '')
-    // Team name shortcuts
-    .replace(/Man Utd/gi, 'United')
-    .replace(/Manchester United/gi, 'United')
-    .replace(/MUFC/gi, 'United')
-    .replace(/Manchester United FC/gi, 'United')
-    .replace(/Man United's/gi, "United's")
-    .replace(/Man United/gi, 'United')
     // Clean up wordy phrases
     .replace(/it has been revealed/gi, '')
     .replace(/it has emerged that/gi, '')
     .replace(/according to reports/gi, '')
-    .replace(/Premier League/gi, 'PL')
-    .replace(/Champions League/gi, 'UCL')
-    .replace(/Europa League/gi, 'UEL')
     .trim();
+  // Team name shortcuts and competition abbreviations
+  content = applyTerminology(content, team);
 
   // Pick emoji based on content type (just one simple emoji, no phrases)
-  let emoji = '🔴';
+  let emoji = team.emoji || '⚽';
 
   if (lowerText.includes('win') || lowerText.includes('beat') || lowerText.includes('victory')) {
     emoji = '🔥';
@@ -1254,9 +1243,9 @@ function transformToPassionateContent(text, title) {
     emoji = '👀';
   } else if (lowerText.includes('injur') || lowerText.includes('ruled out')) {
     emoji = '🙏';
-  } else if (lowerText.includes('carrick')) {
+  } else if (boss && mentions(lowerText, boss.aliases)) {
     emoji = '⚡';
-  } else if (lowerText.includes('keane') || lowerText.includes('neville') || lowerText.includes('scholes') || lowerText.includes('ferdinand') || lowerText.includes('rooney')) {
+  } else if (peopleWithRole(team, 'legend').some(legend => mentions(lowerText, legend.aliases))) {
     emoji = '🗣️';
   } else if (lowerText.includes('academy') || lowerText.includes('youth')) {
     emoji = '🌟';
@@ -1376,7 +1365,7 @@ function cleanupGrammar(content) {
     // Fix missing space after period before capital letter
     .replace(/\.([A-Z])/g, '. $1')
     // Remove questions that are clearly article formatting
-    .replace(/"Could United[^"]*\?/gi, '')
+    .replace(new RegExp(`"Could ${escapeRegExp(getProfile().shortName)}[^"]*\\?`, 'gi'), '')
     // Remove talkSPORT and similar source mentions
     .replace(/,?\s*as\s+talkSPORT[^\.]+\./gi, '.')
     // Clean up orphaned quotes at start of sentences
@@ -1401,36 +1390,39 @@ function cleanupGrammar(content) {
 }
 
 /**
- * Fetch and parse Manchester United news
- * Primary: Stretty News RSS (descriptive fan content)
+ * Fetch and parse news for the club in the team profile
+ * Primary: the profile's RSS feed (descriptive fan content)
  * Fallback: Daily Mail, Google News
  * @returns {Promise<Array>} - Array of ticker items with actual article content
  */
-async function fetchManUtdNews() {
+async function fetchTeamNews() {
+  const team = getProfile();
   const allHeadlines = [];
   const fetchTime = new Date();
   console.log('[NewsScraper] Fetch time:', fetchTime.toISOString());
 
-  // PRIMARY: Try Stretty News RSS first (best descriptive content)
-  try {
-    console.log('[NewsScraper] Fetching news from Stretty News RSS...');
-    const rssContent = await fetchUrl('https://strettynews.com/feed/');
-    const rssHeadlines = parseStrettyNewsRSS(rssContent);
-    allHeadlines.push(...rssHeadlines);
-    console.log(`[NewsScraper] Got ${rssHeadlines.length} headlines from Stretty News`);
-
-    if (rssHeadlines.length > 0) {
-      console.log('[NewsScraper] First headline:', rssHeadlines[0].raw.substring(0, 80) + '...');
+  // PRIMARY: Try the team's RSS feed first (best descriptive content)
+  if (team.news.rss) {
+    try {
+      console.log(`[NewsScraper] Fetching news from ${team.news.rss}...`);
+      const rssContent = await fetchUrl(team.news.rss);
+      const rssHeadlines = parseNewsRSS(rssContent);
+      allHeadlines.push(...rssHeadlines);
+      console.log(`[NewsScraper] Got ${rssHeadlines.length} headlines from RSS`);
+
+      if (rssHeadlines.length > 0) {
+        console.log('[NewsScraper] First headline:', rssHeadlines[0].raw.substring(0, 80) + '...');
+      }
+    } catch (error) {
+      console.error('[NewsScraper] RSS error:', error.message);
     }
-  } catch (error) {
-    console.error('[NewsScraper] Stretty News RSS error:', error.message);
   }
 
   // FALLBACK 1: Daily Mail if we need more headlines
-  if (allHeadlines.length < 5) {
+  if (allHeadlines.length < 5 && team.news.dailyMail) {
     try {
       console.log('[NewsScraper] Fetching news from Daily Mail (fallback)...');
-      const dailyMailHtml = await fetchUrl('https://www.dailymail.co.uk/sport/manchester-united/index.html');
+      const dailyMailHtml = await fetchUrl(team.news.dailyMail);
       const dailyMailHeadlines = parseDailyMailHeadlines(dailyMailHtml);
       for (const h of dailyMailHeadlines) {
         if (!allHeadlines.some(existing => existing.raw.toLowerCase().includes(h.raw.toLowerCase().slice(0, 30)))) {
@@ -1447,7 +1439,8 @@ async function fetchManUtdNews() {
   if (allHeadlines.length < 5) {
     try {
       console.log('[NewsScraper] Fetching news from Google News (fallback)...');
-      const googleRss = await fetchUrl('https://news.google.com/rss/search?q=Manchester+United&hl=en-GB&gl=GB&ceid=GB:en');
+      const query = encodeURIComponent(team.news.search || team.name);
+      const googleRss = await fetchUrl(`https://news.google.com/rss/search?q=${query}&hl=en-GB&gl=GB&ceid=GB:en`);
       const googleHeadlines = parseGoogleNewsRSS(googleRss);
       for (const h of googleHeadlines) {
         if (!allHeadlines.some(existing => existing.raw.toLowerCase().includes(h.raw.toLowerCase().slice(0, 30)))) {
@@ -1465,7 +1458,7 @@ async function fetchManUtdNews() {
     return getFallbackNews();
   }
 
-  // Process headlines - Stretty News already has descriptions!
+  // Process headlines - RSS items already have descriptions!
   const headlinesToProcess = allHeadlines.slice(0, 10);
   console.log(`[NewsScraper] Processing ${headlinesToProcess.length} articles...`);
 
@@ -1475,7 +1468,7 @@ async function fetchManUtdNews() {
     let rawContent = '';
 
     // Get raw content based on source
-    if (h.source === 'strettynews' && h.description && h.description.length > 30) {
+    if (h.source === 'rss' && h.description && h.description.length > 30) {
       rawContent = h.description
         .replace(/The post .* appeared first on.*$/i, '')
         .trim();
@@ -1504,12 +1497,7 @@ async function fetchManUtdNews() {
     }
 
     // FALLBACK: Rule-based generation
-    let cleanContent = rawContent
-      .replace(/Man Utd/gi, 'United')
-      .replace(/Manchester United/gi, 'United')
-      .replace(/Premier League/gi, 'PL')
-      .replace(/Champions League/gi, 'UCL')
-      .trim();
+    let cleanContent = applyTerminology(rawContent, team).trim();
 
     // Clean up grammar and syntax
     cleanContent = cleanupGrammar(cleanContent);
@@ -1581,18 +1569,13 @@ function parseGoogleNewsRSS(xml) {
  * @returns {Array} - Array of ticker items
  */
 function getFallbackNews() {
-  return [
-    { title: 'MANCHESTER IS RED', content: 'United DESTROY City 2-0 at Old Trafford – Carrick\'s dream start, the noisy neighbours SILENCED!' },
-    { title: 'CARRICK MAGIC', content: 'First game as head coach, first derby WIN – couldn\'t have scripted it better!' },
-    { title: 'MBEUMO MAGIC', content: 'Bryan Mbeumo breaks the deadlock on 65\' – vintage United counter-attack, Bruno\'s silky assist!' },
-    { title: 'DORGU DOES IT AGAIN', content: 'Patrick Dorgu makes it 2-0 on 76\' – Cunha cross, back post finish, Old Trafford ERUPTS!' },
-    { title: 'DOMINANCE', content: '3 goals ruled out for offside (Amad, Bruno, Mount), hit woodwork TWICE – could\'ve been 6-0!' },
-    { title: 'CLEAN SHEET', content: 'Lammens brilliant, Martinez commanding, defence SOLID – only 31.9% possession but who cares!' },
-    { title: 'UP TO 4TH', content: 'United now on 35 points, INTO the Champions League places – what a turnaround!' },
-  ];
+  return getProfile().fallbackNews.map(item => ({ ...item }));
 }
 
 module.exports = {
-  fetchManUtdNews,
-  getFallbackNews
+  fetchTeamNews,
+  getFallbackNews,
+  fetchUrl,
+  decodeHtmlEntities,
+  extractContextualTitle
 };
@@ -0,0 +1,244 @@
+/**
+ * State Persistence
+ * Writes throttled, atomic snapshots of application state to disk
+ * and restores them on startup so a crash or relaunch mid-show
+ * doesn't wipe the graphics setup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const SNAPSHOT_FILE = path.join(DATA_DIR, 'state.json');
+
+// Bump when the snapshot shape changes and add a migration below
+const SCHEMA_VERSION = 1;
+
+// Debounce window for saves after a mutation
+const SAVE_DELAY = 500; // ms
+
+// State keys that survive a restart (connection status is runtime-only)
+const PERSISTED_KEYS = [
+  'queue',
+  'heldMessages',
+  'pinnedMessage',
+  'pinExpiresAt',
+  'pinPlaylist',
+  'donations',
+  'donors',
+  'poll',
+  'pollVoters',
+  'questions',
+  'tickerItems',
+  'tickerSpeed',
+  'showTicker',
+  'tickerFeeds',
+  'tickerBreaking',
+  'tickerStyle',
+  'sportsTicker',
+  'slideshow',
+  'nametags',
+  'socialAccounts',
+  'socialRotationSpeed',
+  'showSocials',
+  'lowerThird',
+  'agendaItems',
+  'agendaTitle',
+  'showAgenda',
+  'topicCard'
+];
+
+/**
+ * Snapshot migrations, keyed by the version they upgrade FROM.
+ * Each receives a snapshot and returns one at version + 1.
+ */
+const migrations = {
+  // v0: bare state object written before snapshots were versioned
+  0: (snapshot) => ({
+    version: 1,
+    savedAt: null,
+    state: snapshot
+  })
+};
+
+let saveTimeout = null;
+let pendingState = null;
+
+/**
+ * Ensure the data directory exists
+ */
+function ensureDataDir() {
+  if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    console.log('[Persistence] Created data directory');
+  }
+}
+
+/**
+ * Write a JSON file atomically (temp file + rename)
+ * @param {string} filePath - Destination path
+ * @param {object} data - JSON-serializable data
+ * @param {object} options
+ * @param {boolean} options.compact - Skip pretty-printing (large files)
+ */
+function writeJsonAtomic(filePath, data, { compact = false } = {}) {
+  ensureDataDir();
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, compact ? JSON.stringify(data) : JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Write a large JSON file atomically without blocking on disk I/O
+ * Output is compact. Callers must not start a second write to the same file
+ * before the first settles (they share the temp file).
+ * @param {string} filePath - Destination path
+ * @param {object} data - JSON-serializable data
+ * @returns {Promise<void>}
+ */
+async function writeJsonAtomicAsync(filePath, data) {
+  ensureDataDir();
+  const tempPath = `${filePath}.${process.pid}.async.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(data));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Read a JSON file, returning null if missing or unreadable
+ * @param {string} filePath - Path to read
+ * @returns {object|null}
+ */
+function readJson(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`[Persistence] Failed to read ${path.basename(filePath)}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Pick the persisted keys out of the live state
+ * @param {object} state - Application state
+ * @returns {object}
+ */
+function pickPersisted(state) {
+  const picked = {};
+  for (const key of PERSISTED_KEYS) {
+    if (state[key] !== undefined) {
+      picked[key] = state[key];
+    }
+  }
+  return picked;
+}
+
+/**
+ * Bring an older snapshot up to SCHEMA_VERSION
+ * @param {object} snapshot - Snapshot as read from disk
+ * @returns {object|null} - Migrated snapshot, or null if unsupported
+ */
+function migrate(snapshot) {
+  let current = snapshot;
+  let version = typeof current.version === 'number' ? current.version : 0;
+
+  while (version < SCHEMA_VERSION) {
+    const step = migrations[version];
+    if (!step) {
+      console.error(`[Persistence] No migration from schema v${version}`);
+      return null;
+    }
+    current = step(current);
+    version = current.version;
+    console.log(`[Persistence] Migrated snapshot to schema v${version}`);
+  }
+
+  if (version > SCHEMA_VERSION) {
+    console.error(`[Persistence] Snapshot schema v${version} is newer than supported v${SCHEMA_VERSION}`);
+    return null;
+  }
+
+  return current;
+}
+
+/**
+ * Write a snapshot of the state immediately
+ * @param {object} state - Application state
+ * @returns {boolean} - Whether the write succeeded
+ */
+function saveSnapshot(state) {
+  try {
+    writeJsonAtomic(SNAPSHOT_FILE, {
+      version: SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      state: pickPersisted(state)
+    });
+    return true;
+  } catch (error) {
+    console.error('[Persistence] Failed to save snapshot:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Schedule a snapshot after a mutation
+ * A save already scheduled is left to fire, so steady chat can't keep
+ * pushing it back and the snapshot is at most SAVE_DELAY old
+ * @param {object} state - Application state
+ */
+function scheduleSave(state) {
+  pendingState = state;
+  if (saveTimeout) return;
+  saveTimeout = setTimeout(() => {
+    saveTimeout = null;
+    saveSnapshot(pendingState);
+    pendingState = null;
+  }, SAVE_DELAY);
+}
+
+/**
+ * Write any pending snapshot now (used on shutdown)
+ */
+function flush() {
+  if (!saveTimeout) return;
+  clearTimeout(saveTimeout);
+  saveTimeout = null;
+  saveSnapshot(pendingState);
+  pendingState = null;
+}
+
+/**
+ * Restore the last snapshot into the live state object
+ * @param {object} state - Application state (mutated in place)
+ * @returns {boolean} - Whether a snapshot was restored
+ */
+function loadSnapshot(state) {
+  const raw = readJson(SNAPSHOT_FILE);
+  if (!raw) return false;
+
+  const snapshot = migrate(raw);
+  if (!snapshot || !snapshot.state) return false;
+
+  for (const key of PERSISTED_KEYS) {
+    if (snapshot.state[key] !== undefined) {
+      state[key] = snapshot.state[key];
+    }
+  }
+
+  console.log(`[Persistence] Restored state from ${snapshot.savedAt || 'unversioned snapshot'}`);
+  return true;
+}
+
+module.exports = {
+  DATA_DIR,
+  SCHEMA_VERSION,
+  PERSISTED_KEYS,
+  writeJsonAtomic,
+  writeJsonAtomicAsync,
+  readJson,
+  pickPersisted,
+  saveSnapshot,
+  scheduleSave,
+  flush,
+  loadSnapshot
+};
@@ -0,0 +1,188 @@
+/**
+ * Pin Timers & Playlist
+ * Server-side pin timing so auto-unpin and rotation keep running
+ * when the control panel is closed.
+ *
+ * - Timed pins: pinMessage(state, msg, { duration }) unpins after `duration` seconds
+ * - Pin playlist: a set of messages pinned in turn every `interval` seconds
+ */
+
+const { broadcast } = require('./broadcast');
+const { scheduleSave } = require('./persistence');
+
+const MIN_INTERVAL = 3; // seconds
+
+let expiryTimer = null;
+let playlistTimer = null;
+
+/**
+ * Tell clients about the current pin
+ * @param {object} state - Application state
+ */
+function broadcastPin(state) {
+  broadcast('pin', { message: state.pinnedMessage, expiresAt: state.pinExpiresAt });
+}
+
+/**
+ * Tell clients about the playlist
+ * @param {object} state - Application state
+ */
+function broadcastPlaylist(state) {
+  broadcast('pin_playlist_update', { pinPlaylist: state.pinPlaylist });
+}
+
+/**
+ * Arm the auto-unpin timer for state.pinExpiresAt
+ * @param {object} state - Application state
+ */
+function scheduleExpiry(state) {
+  clearTimeout(expiryTimer);
+  expiryTimer = null;
+  if (!state.pinExpiresAt) return;
+
+  expiryTimer = setTimeout(() => {
+    expiryTimer = null;
+    console.log('[Pin] Pin expired, unpinning');
+    state.pinnedMessage = null;
+    state.pinExpiresAt = null;
+    broadcastPin(state);
+    scheduleSave(state);
+  }, Math.max(0, state.pinExpiresAt - Date.now()));
+}
+
+/**
+ * Pin a message, optionally for a limited time
+ * @param {object} state - Application state
+ * @param {object} msg - Message to pin
+ * @param {object} options
+ * @param {number} options.duration - Seconds before auto-unpin (0/undefined = until unpinned)
+ */
+function pinMessage(state, msg, { duration } = {}) {
+  const seconds = Number(duration) || 0;
+  state.pinnedMessage = msg;
+  state.pinExpiresAt = seconds > 0 ? Date.now() + seconds * 1000 : null;
+  scheduleExpiry(state);
+  broadcastPin(state);
+}
+
+/**
+ * Clear the pin and any expiry timer
+ * @param {object} state - Application state
+ */
+function unpin(state) {
+  state.pinnedMessage = null;
+  state.pinExpiresAt = null;
+  scheduleExpiry(state);
+  broadcastPin(state);
+}
+
+/**
+ * Pin the playlist entry at currentIndex and schedule the next one
+ * @param {object} state - Application state
+ */
+function showPlaylistItem(state) {
+  const playlist = state.pinPlaylist;
+  clearTimeout(playlistTimer);
+  playlistTimer = null;
+
+  if (!playlist.isPlaying || playlist.messages.length === 0) return;
+
+  playlist.currentIndex = playlist.currentIndex % playlist.messages.length;
+  const msg = playlist.messages[playlist.currentIndex];
+  pinMessage(state, msg);
+  broadcastPlaylist(state);
+  console.log(`[Pin] Playlist ${playlist.currentIndex + 1}/${playlist.messages.length}: ${msg.author}`);
+
+  playlistTimer = setTimeout(() => {
+    playlist.currentIndex = (playlist.currentIndex + 1) % playlist.messages.length;
+    showPlaylistItem(state);
+    scheduleSave(state);
+  }, Math.max(MIN_INTERVAL, playlist.interval) * 1000);
+}
+
+/**
+ * Replace the playlist contents and/or interval
+ * Messages are copied out of the queue so rotation survives queue trimming
+ * @param {object} state - Application state
+ * @param {object} options
+ * @param {Array<string>} options.messageIds - Queue message ids, in order
+ * @param {number} options.interval - Seconds each message stays pinned
+ */
+function setPlaylist(state, { messageIds, interval } = {}) {
+  const playlist = state.pinPlaylist;
+
+  if (Array.isArray(messageIds)) {
+    const known = new Map(playlist.messages.map(m => [m.id, m]));
+    for (const msg of state.queue) known.set(msg.id, msg);
+    playlist.messages = messageIds.map(id => known.get(id)).filter(Boolean);
+    playlist.currentIndex = 0;
+  }
+
+  if (interval !== undefined) {
+    playlist.interval = Math.max(MIN_INTERVAL, Number(interval) || MIN_INTERVAL);
+  }
+
+  if (playlist.isPlaying && playlist.messages.length === 0) {
+    playlist.isPlaying = false;
+  }
+
+  if (playlist.isPlaying) {
+    showPlaylistItem(state);
+  } else {
+    broadcastPlaylist(state);
+  }
+}
+
+/**
+ * Start or stop the playlist
+ * Stopping leaves the current pin on screen
+ * @param {object} state - Application state
+ * @param {boolean} isPlaying
+ */
+function setPlaylistPlaying(state, isPlaying) {
+  const playlist = state.pinPlaylist;
+  playlist.isPlaying = Boolean(isPlaying) && playlist.messages.length > 0;
+
+  if (playlist.isPlaying) {
+    showPlaylistItem(state);
+  } else {
+    clearTimeout(playlistTimer);
+    playlistTimer = null;
+    broadcastPlaylist(state);
+  }
+}
+
+/**
+ * Stop the playlist because the operator took over the pin manually
+ * @param {object} state - Application state
+ */
+function stopPlaylist(state) {
+  if (state.pinPlaylist.isPlaying) {
+    setPlaylistPlaying(state, false);
+  }
+}
+
+/**
+ * Resume timers after state was restored from disk
+ * @param {object} state - Application state
+ */
+function resume(state) {
+  if (state.pinExpiresAt && state.pinExpiresAt <= Date.now()) {
+    state.pinnedMessage = null;
+    state.pinExpiresAt = null;
+  }
+  scheduleExpiry(state);
+
+  if (state.pinPlaylist.isPlaying) {
+    showPlaylistItem(state);
+  }
+}
+
+module.exports = {
+  pinMessage,
+  unpin,
+  setPlaylist,
+  setPlaylistPlaying,
+  stopPlaylist,
+  resume
+};
@@ -0,0 +1,155 @@
+/**
+ * Chat Polls
+ * Polls voted on from chat: "!1", "!2"... counts as a vote for that option.
+ * Each author gets one vote per poll (later votes are ignored).
+ *
+ * state.poll is what the poll overlay renders (question, options, votes);
+ * state.pollVoters maps author id -> option index and is only used for
+ * de-duplication. A poll with a duration closes itself; closed polls stay
+ * on screen with the final result until cleared.
+ */
+
+const { broadcast } = require('./broadcast');
+const { scheduleSave } = require('./persistence');
+const { authorId } = require('./authors');
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 6;
+const MAX_DURATION = 60 * 60; // seconds
+const VOTE_PATTERN = /^!(\d)\b/;
+
+let closeTimer = null;
+
+/**
+ * Tell clients about the poll
+ * @param {object} state - Application state
+ */
+function broadcastPoll(state) {
+  broadcast('poll_update', { poll: state.poll });
+}
+
+/**
+ * Arm the auto-close timer for state.poll.endsAt
+ * @param {object} state - Application state
+ */
+function scheduleClose(state) {
+  clearTimeout(closeTimer);
+  closeTimer = null;
+  const poll = state.poll;
+  if (!poll || poll.status !== 'open' || !poll.endsAt) return;
+
+  closeTimer = setTimeout(() => {
+    closeTimer = null;
+    closePoll(state);
+    scheduleSave(state);
+  }, Math.max(0, poll.endsAt - Date.now()));
+}
+
+/**
+ * Start a poll (replaces any current poll)
+ * @param {object} state - Application state
+ * @param {object} options
+ * @param {string} options.question - Poll question
+ * @param {Array<string>} options.options - Answer texts (2-6)
+ * @param {number} options.duration - Seconds until it closes (0 = until closed)
+ * @returns {object|null} - The poll, or null if invalid
+ */
+function createPoll(state, { question, options, duration } = {}) {
+  const text = String(question || '').trim();
+  const answers = Array.isArray(options) ? options.map(option => String(option || '').trim()).filter(Boolean) : [];
+  const seconds = Math.min(MAX_DURATION, Math.max(0, Number(duration) || 0));
+  if (!text || answers.length < MIN_OPTIONS || answers.length > MAX_OPTIONS) return null;
+
+  const now = Date.now();
+  state.poll = {
+    id: `poll_${now}`,
+    question: text,
+    options: answers.map(answer => ({ text: answer, votes: 0 })),
+    totalVotes: 0,
+    status: 'open',
+    startedAt: now,
+    endsAt: seconds > 0 ? now + seconds * 1000 : null,
+    closedAt: null
+  };
+  state.pollVoters = {};
+  scheduleClose(state);
+  broadcastPoll(state);
+  console.log(`[Poll] Started "${text}" (${answers.length} options${seconds ? `, ${seconds}s` : ''})`);
+  return state.poll;
+}
+
+/**
+ * Stop accepting votes
+ * @param {object} state - Application state
+ * @returns {object|null} - The closed poll, or null if none was open
+ */
+function closePoll(state) {
+  const poll = state.poll;
+  if (!poll || poll.status !== 'open') return null;
+
+  poll.status = 'closed';
+  poll.closedAt = Date.now();
+  scheduleClose(state);
+  broadcastPoll(state);
+  const winner = [...poll.options].sort((a, b) => b.votes - a.votes)[0];
+  console.log(`[Poll] Closed "${poll.question}" (${poll.totalVotes} votes, leading: ${winner.text})`);
+  return poll;
+}
+
+/**
+ * Take the poll off screen
+ * @param {object} state - Application state
+ */
+function clearPoll(state) {
+  state.poll = null;
+  state.pollVoters = {};
+  scheduleClose(state);
+  broadcastPoll(state);
+}
+
+/**
+ * Count a chat message as a vote if it is one
+ * @param {object} state - Application state
+ * @param {object} msg - Normalized chat message
+ * @returns {boolean} - Whether a vote was counted
+ */
+function handleMessage(state, msg) {
+  const poll = state.poll;
+  if (!poll || poll.status !== 'open') return false;
+
+  const match = String(msg.message || '').trim().match(VOTE_PATTERN);
+  if (!match) return false;
+
+  const option = poll.options[Number(match[1]) - 1];
+  const voter = authorId(msg);
+  if (!option || voter in state.pollVoters) return false;
+
+  state.pollVoters[voter] = Number(match[1]) - 1;
+  option.votes++;
+  poll.totalVotes++;
+  broadcastPoll(state);
+  return true;
+}
+
+/**
+ * Re-arm the auto-close timer after a restart
+ * @param {object} state - Application state
+ */
+function resume(state) {
+  if (!state.poll) return;
+  state.pollVoters = state.pollVoters || {};
+  if (state.poll.status === 'open' && state.poll.endsAt && state.poll.endsAt <= Date.now()) {
+    closePoll(state);
+    return;
+  }
+  scheduleClose(state);
+}
+
+module.exports = {
+  MAX_OPTIONS,
+  createPoll,
+  closePoll,
+  clearPoll,
+  handleMessage,
+  resume
+};
@@ -0,0 +1,168 @@
+/**
+ * Show Profiles
+ * Named snapshots of a complete graphics setup (ticker, nametags,
+ * socials, agenda, slideshow...) that can be saved and switched between
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, writeJsonAtomic, readJson } = require('./persistence');
+
+const PROFILES_DIR = path.join(DATA_DIR, 'profiles');
+
+// State keys captured in a profile (chat queue and connection are per-session)
+const PROFILE_KEYS = [
+  'tickerItems',
+  'tickerSpeed',
+  'showTicker',
+  'tickerFeeds',
+  'tickerStyle',
+  'sportsTicker',
+  'slideshow',
+  'nametags',
+  'socialAccounts',
+  'socialRotationSpeed',
+  'showSocials',
+  'lowerThird',
+  'agendaItems',
+  'agendaTitle',
+  'showAgenda',
+  'topicCard'
+];
+
+/**
+ * Convert a profile name to a safe file id
+ * @param {string} name - Display name (e.g. "Matchday Live")
+ * @returns {string|null} - Slug (e.g. "matchday-live") or null if invalid
+ */
+function toProfileId(name) {
+  if (typeof name !== 'string') return null;
+  const id = name.trim().toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 64);
+  return id || null;
+}
+
+/**
+ * Get the file path for a profile id
+ * @param {string} id - Profile id
+ * @returns {string}
+ */
+function profilePath(id) {
+  return path.join(PROFILES_DIR, `${id}.json`);
+}
+
+/**
+ * List saved profiles (metadata only)
+ * @returns {Array<{id: string, name: string, savedAt: string}>}
+ */
+function listProfiles() {
+  if (!fs.existsSync(PROFILES_DIR)) return [];
+
+  return fs.readdirSync(PROFILES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => readJson(path.join(PROFILES_DIR, file)))
+    .filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string')
+    .map(profile => ({ id: profile.id, name: profile.name, savedAt: profile.savedAt }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Read a single profile
+ * @param {string} id - Profile id
+ * @returns {object|null}
+ */
+function getProfile(id) {
+  if (!id) return null;
+  return readJson(profilePath(id));
+}
+
+/**
+ * Find a saved profile whose name is different but slugs to the same id
+ * ("Matchday Live!" and "matchday live" would share a file)
+ * @param {string} name - Profile display name
+ * @returns {object|null} - The profile saving under `name` would overwrite
+ */
+function findConflict(name) {
+  const existing = getProfile(toProfileId(name));
+  return existing && typeof existing.name === 'string' && existing.name !== name.trim() ? existing : null;
+}
+
+/**
+ * Capture the current state under a name
+ * @param {string} name - Profile display name
+ * @param {object} state - Application state
+ * @returns {object|null} - Saved profile, or null if the name is invalid
+ */
+function saveProfile(name, state) {
+  const id = toProfileId(name);
+  if (!id) return null;
+
+  const snapshot = {};
+  for (const key of PROFILE_KEYS) {
+    snapshot[key] = state[key];
+  }
+
+  const profile = {
+    id,
+    name: name.trim(),
+    savedAt: new Date().toISOString(),
+    state: JSON.parse(JSON.stringify(snapshot))
+  };
+
+  if (!fs.existsSync(PROFILES_DIR)) {
+    fs.mkdirSync(PROFILES_DIR, { recursive: true });
+  }
+  writeJsonAtomic(profilePath(id), profile);
+  console.log(`[Profiles] Saved profile "${profile.name}"`);
+  return profile;
+}
+
+/**
+ * Delete a profile
+ * @param {string} id - Profile id
+ * @returns {boolean} - Whether a profile was deleted
+ */
+function deleteProfile(id) {
+  if (!id) return false;
+  const filePath = profilePath(id);
+  if (!fs.existsSync(filePath)) return false;
+  fs.unlinkSync(filePath);
+  console.log(`[Profiles] Deleted profile "${id}"`);
+  return true;
+}
+
+/**
+ * Apply a profile to the live state. Every key is copied out first and
+ * then assigned in one step, so overlays never see a half-loaded profile.
+ * @param {object} state - Application state (mutated in place)
+ * @param {object} profile - Profile as returned by getProfile
+ * @returns {boolean} - Whether the profile was applied
+ */
+function applyProfile(state, profile) {
+  if (!profile || !profile.state || typeof profile.state !== 'object') return false;
+
+  const next = {};
+  for (const key of PROFILE_KEYS) {
+    if (profile.state[key] !== undefined) {
+      next[key] = JSON.parse(JSON.stringify(profile.state[key]));
+    }
+  }
+
+  Object.assign(state, next);
+  console.log(`[Profiles] Loaded profile "${profile.name}"`);
+  return true;
+}
+
+module.exports = {
+  PROFILES_DIR,
+  PROFILE_KEYS,
+  toProfileId,
+  listProfiles,
+  getProfile,
+  findConflict,
+  saveProfile,
+  deleteProfile,
+  applyProfile
+};
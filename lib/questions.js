@@ -0,0 +1,262 @@
+/**
+ * Q&A Questions
+ * Collects viewer questions from chat into their own list, separate from
+ * the 100-message queue, so they last the whole show.
+ *
+ * A message is a question when it starts with the configured prefix
+ * ("Q: ...") or, if enabled, ends with "?". Asking (nearly) the same thing
+ * again upvotes the existing question instead - once per author.
+ *
+ * state.questions is persisted with the rest of the show state:
+ *   { config: { prefix, questionMark, minLength }, items: [...], currentId }
+ */
+
+const { broadcast, broadcastLowerThirdUpdate, broadcastTopicCardUpdate } = require('./broadcast');
+const { authorId } = require('./authors');
+
+const MAX_QUESTIONS = 500;
+const SIMILARITY = 0.6; // Share of words two questions need in common to count as the same
+const STATUSES = ['open', 'answered', 'dismissed'];
+const TARGETS = ['lower_third', 'topic_card'];
+
+const DEFAULT_CONFIG = {
+  enabled: true,
+  prefix: 'Q:',
+  questionMark: true,
+  minLength: 10
+};
+
+/**
+ * Fresh Q&A state
+ * @param {object} config - Config to keep
+ * @returns {object}
+ */
+function emptyQuestions(config) {
+  return { config: { ...DEFAULT_CONFIG, ...config }, items: [], currentId: null };
+}
+
+/**
+ * Tell clients about the question list
+ * @param {object} state - Application state
+ */
+function broadcastQuestions(state) {
+  broadcast('questions_update', { questions: state.questions });
+}
+
+/**
+ * Pull the question out of a chat message, if it is one
+ * @param {string} message - Message text
+ * @param {object} config - Q&A config
+ * @returns {string|null} - Question text
+ */
+function detectQuestion(message, config) {
+  const text = String(message || '').trim();
+  if (!text || text.startsWith('!')) return null;
+
+  const prefix = config.prefix.trim();
+  if (prefix && text.toLowerCase().startsWith(prefix.toLowerCase())) {
+    const question = text.slice(prefix.length).trim();
+    return question.length > 0 ? question : null;
+  }
+
+  if (config.questionMark && text.endsWith('?') && text.length >= config.minLength) {
+    return text;
+  }
+  return null;
+}
+
+/**
+ * Words used to compare questions
+ * @param {string} text - Question text
+ * @returns {Set<string>}
+ */
+function wordsOf(text) {
+  return new Set(text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 3));
+}
+
+/**
+ * Whether two questions ask the same thing (Jaccard overlap of their words)
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {boolean}
+ */
+function isSimilar(a, b) {
+  if (a.size === 0 || b.size === 0) return false;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared) >= SIMILARITY;
+}
+
+/**
+ * Collect a chat message if it is a question
+ * @param {object} state - Application state
+ * @param {object} msg - Normalized chat message
+ * @returns {object|null} - The new or upvoted question
+ */
+function handleMessage(state, msg) {
+  const { config, items } = state.questions;
+  if (!config.enabled) return null;
+
+  const text = detectQuestion(msg.message, config);
+  if (!text) return null;
+
+  const asker = authorId(msg);
+  const words = wordsOf(text);
+  const existing = items.find(item => item.status === 'open' && isSimilar(words, wordsOf(item.text)));
+
+  if (existing) {
+    if (existing.askers.includes(asker)) return null;
+    existing.askers.push(asker);
+    existing.upvotes++;
+    broadcastQuestions(state);
+    return existing;
+  }
+
+  const question = {
+    id: `q_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    messageId: msg.id,
+    author: msg.author,
+    authorChannelId: msg.authorChannelId || null,
+    authorPhoto: msg.authorPhoto || '',
+    platform: msg.platform,
+    text: text.slice(0, 500),
+    askedAt: msg.timestamp || Date.now(),
+    upvotes: 0,
+    askers: [asker],
+    status: 'open',
+    answeredAt: null
+  };
+  items.push(question);
+
+  // Drop the oldest finished questions first when the list is full
+  if (items.length > MAX_QUESTIONS) {
+    const index = items.findIndex(item => item.status !== 'open');
+    items.splice(index === -1 ? 0 : index, 1);
+  }
+
+  broadcastQuestions(state);
+  console.log(`[Q&A] ${msg.author}: ${question.text}`);
+  return question;
+}
+
+/**
+ * Set a question's status
+ * @param {object} state - Application state
+ * @param {string} id - Question id
+ * @param {string} status - 'open', 'answered' or 'dismissed'
+ * @returns {object|null} - The question, or null if not found / invalid status
+ */
+function setStatus(state, id, status) {
+  const question = state.questions.items.find(item => item.id === id);
+  if (!question || !STATUSES.includes(status)) return null;
+
+  question.status = status;
+  question.answeredAt = status === 'answered' ? Date.now() : null;
+  if (status !== 'open' && state.questions.currentId === id) {
+    state.questions.currentId = null;
+  }
+  broadcastQuestions(state);
+  return question;
+}
+
+/**
+ * Put a question on air in the lower third or topic card
+ * @param {object} state - Application state
+ * @param {string} id - Question id
+ * @param {string} target - 'lower_third' or 'topic_card'
+ * @returns {object|null} - The question, or null if not found / unknown target
+ */
+function showQuestion(state, id, target = 'lower_third') {
+  const question = state.questions.items.find(item => item.id === id);
+  if (!question || !TARGETS.includes(target)) return null;
+
+  if (target === 'topic_card') {
+    state.topicCard = { ...state.topicCard, visible: true, title: question.text, subtitle: `Asked by ${question.author}` };
+    broadcastTopicCardUpdate(state.topicCard);
+  } else {
+    state.lowerThird = { ...state.lowerThird, visible: true, headline: `${question.author} asks`, description: question.text };
+    broadcastLowerThirdUpdate(state.lowerThird);
+  }
+
+  state.questions.currentId = id;
+  broadcastQuestions(state);
+  console.log(`[Q&A] On air (${target}): ${question.text}`);
+  return question;
+}
+
+/**
+ * Delete a question
+ * @param {object} state - Application state
+ * @param {string} id - Question id
+ * @returns {boolean} - Whether it existed
+ */
+function removeQuestion(state, id) {
+  const { items } = state.questions;
+  const index = items.findIndex(item => item.id === id);
+  if (index === -1) return false;
+  items.splice(index, 1);
+  if (state.questions.currentId === id) state.questions.currentId = null;
+  broadcastQuestions(state);
+  return true;
+}
+
+/**
+ * Delete the questions collected from a chat message (e.g. one a moderator rejected)
+ * @param {object} state - Application state
+ * @param {string} messageId - Chat message id
+ * @returns {boolean} - Whether any were removed
+ */
+function removeByMessage(state, messageId) {
+  const ids = state.questions.items.filter(item => item.messageId === messageId).map(item => item.id);
+  ids.forEach(id => removeQuestion(state, id));
+  return ids.length > 0;
+}
+
+/**
+ * Update detection settings
+ * @param {object} state - Application state
+ * @param {object} patch - { enabled?, prefix?, questionMark?, minLength? }
+ * @returns {object} - New config
+ */
+function updateConfig(state, patch = {}) {
+  const config = state.questions.config;
+  if (typeof patch.enabled === 'boolean') config.enabled = patch.enabled;
+  if (typeof patch.prefix === 'string') config.prefix = patch.prefix.slice(0, 10);
+  if (typeof patch.questionMark === 'boolean') config.questionMark = patch.questionMark;
+  if (patch.minLength !== undefined) config.minLength = Math.max(1, Math.min(200, Number(patch.minLength) || DEFAULT_CONFIG.minLength));
+  broadcastQuestions(state);
+  return config;
+}
+
+/**
+ * Clear the list (everything, or only answered/dismissed questions)
+ * @param {object} state - Application state
+ * @param {object} options
+ * @param {boolean} options.finishedOnly - Keep open questions
+ */
+function clear(state, { finishedOnly = false } = {}) {
+  if (finishedOnly) {
+    state.questions.items = state.questions.items.filter(item => item.status === 'open');
+    if (!state.questions.items.some(item => item.id === state.questions.currentId)) {
+      state.questions.currentId = null;
+    }
+  } else {
+    state.questions = emptyQuestions(state.questions.config);
+  }
+  broadcastQuestions(state);
+}
+
+module.exports = {
+  TARGETS,
+  emptyQuestions,
+  detectQuestion,
+  handleMessage,
+  setStatus,
+  showQuestion,
+  removeQuestion,
+  removeByMessage,
+  updateConfig,
+  clear
+};
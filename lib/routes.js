@@ -11,7 +11,22 @@ const http = require('http');
 const multer = require('multer');
 const imageOptimizer = require('./imageOptimizer');
 const broadcast = require('./broadcast');
-const { fetchManUtdNews } = require('./newsScraper');
+const persistence = require('./persistence');
+const profiles = require('./profiles');
+const auth = require('./auth');
+const moderation = require('./moderation');
+const donations = require('./donations');
+const analytics = require('./analytics');
+const polls = require('./polls');
+const commands = require('./commands');
+const questions = require('./questions');
+const ticker = require('./ticker');
+const feeds = require('./feeds');
+const currency = require('./currency');
+const chatRecorder = require('./chatRecorder');
+const authors = require('./authors');
+const teamProfile = require('./teamProfile');
+const { fetchTeamNews } = require('./newsScraper');
 const claudeApi = require('./claudeApi');
 
 const router = express.Router();
@@ -203,11 +218,11 @@ router.get('/uploads', (req, res) => {
 // News Scraper API
 // ============================================================================
 
-// Fetch Manchester United news from multiple sources
-router.get('/news/manutd', async (req, res) => {
+// Fetch news for the club in the team profile from multiple sources (/news/manutd kept for older panels)
+router.get(['/news/team', '/news/manutd'], async (req, res) => {
   try {
-    console.log('[API] Fetching Man United news...');
-    const news = await fetchManUtdNews();
+    console.log(`[API] Fetching ${teamProfile.getProfile().name} news...`);
+    const news = await fetchTeamNews();
     res.json({
       success: true,
       count: news.length,
@@ -1009,12 +1024,22 @@ router.post('/upload-url', express.json(), async (req, res) => {
 function createStateRoutes(state) {
   const stateRouter = express.Router();
 
+  // Snapshot state after every mutating request
+  stateRouter.use((req, res, next) => {
+    if (req.method !== 'GET') {
+      res.on('finish', () => persistence.scheduleSave(state));
+    }
+    next();
+  });
+
   // Health check
   stateRouter.get('/health', (req, res) => {
     res.json({
       status: 'ok',
       connected: state.isConnected,
       videoId: state.videoId,
+      streams: Object.values(state.streams),
+      chatSources: state.chatSources,
       queueSize: state.queue.length,
       clients: broadcast.getClientCount()
     });
@@ -1027,9 +1052,12 @@ function createStateRoutes(state) {
       pinnedMessage: state.pinnedMessage,
       isConnected: state.isConnected,
       videoId: state.videoId,
+      streams: state.streams,
       tickerItems: state.tickerItems,
+      activeTickerItems: state.activeTickerItems,
       tickerSpeed: state.tickerSpeed,
       showTicker: state.showTicker,
+      tickerFeeds: state.tickerFeeds,
       tickerStyle: state.tickerStyle,
       sportsTicker: state.sportsTicker,
       slideshow: state.slideshow,
@@ -1300,6 +1328,222 @@ function createStateRoutes(state) {
     res.json({ success: true, agendaItems: state.agendaItems });
   });
 
+  // ============================================================================
+  // Poll Routes
+  // ============================================================================
+
+  // Current poll and results
+  stateRouter.get('/poll', (req, res) => {
+    res.json({ poll: state.poll });
+  });
+
+  // Start a poll ({ question, options: [...], duration: seconds }); chat votes with !1, !2...
+  stateRouter.post('/poll', express.json(), (req, res) => {
+    const poll = polls.createPoll(state, req.body || {});
+    if (!poll) {
+      return res.status(400).json({ error: `A question and 2-${polls.MAX_OPTIONS} options are required` });
+    }
+    res.json({ success: true, poll });
+  });
+
+  // Stop voting (results stay on screen)
+  stateRouter.post('/poll/close', (req, res) => {
+    const poll = polls.closePoll(state);
+    if (!poll) {
+      return res.status(404).json({ error: 'No open poll' });
+    }
+    res.json({ success: true, poll });
+  });
+
+  // Take the poll off screen
+  stateRouter.delete('/poll', (req, res) => {
+    polls.clearPoll(state);
+    res.json({ success: true });
+  });
+
+  // ============================================================================
+  // Q&A Routes
+  // ============================================================================
+
+  // Collected questions and detection settings
+  stateRouter.get('/questions', (req, res) => {
+    res.json(state.questions);
+  });
+
+  // Detection settings ({ enabled, prefix, questionMark, minLength })
+  stateRouter.put('/questions/config', express.json(), (req, res) => {
+    res.json({ success: true, config: questions.updateConfig(state, req.body || {}) });
+  });
+
+  // Clear the list (?finished=true keeps open questions)
+  stateRouter.post('/questions/clear', (req, res) => {
+    questions.clear(state, { finishedOnly: req.query.finished === 'true' });
+    res.json({ success: true });
+  });
+
+  // Mark answered / dismissed / open again ({ status })
+  stateRouter.post('/questions/:id/status', express.json(), (req, res) => {
+    const question = questions.setStatus(state, req.params.id, req.body.status);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found (status must be open, answered or dismissed)' });
+    }
+    res.json({ success: true, question });
+  });
+
+  // Put a question on air ({ target: 'lower_third' | 'topic_card' })
+  stateRouter.post('/questions/:id/show', express.json(), (req, res) => {
+    const target = req.body.target || 'lower_third';
+    if (!questions.TARGETS.includes(target)) {
+      return res.status(400).json({ error: `Target must be one of: ${questions.TARGETS.join(', ')}` });
+    }
+    const question = questions.showQuestion(state, req.params.id, target);
+    if (!question) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ success: true, question });
+  });
+
+  // Delete a question
+  stateRouter.delete('/questions/:id', (req, res) => {
+    if (!questions.removeQuestion(state, req.params.id)) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+    res.json({ success: true });
+  });
+
+  // ============================================================================
+  // Breaking News Routes
+  // ============================================================================
+
+  // Current interrupt (null when none)
+  stateRouter.get('/breaking', (req, res) => {
+    res.json({ breaking: state.tickerBreaking });
+  });
+
+  // Take over every ticker ({ content, title?, duration? seconds })
+  stateRouter.post('/breaking', express.json(), (req, res) => {
+    const breaking = ticker.startBreaking(state, req.body || {});
+    if (!breaking) {
+      return res.status(400).json({ error: 'content is required' });
+    }
+    res.json({ success: true, breaking });
+  });
+
+  // End the interrupt early
+  stateRouter.delete('/breaking', (req, res) => {
+    if (!ticker.stopBreaking(state)) {
+      return res.status(404).json({ error: 'No breaking news on air' });
+    }
+    res.json({ success: true });
+  });
+
+  // ============================================================================
+  // News Feed Routes
+  // ============================================================================
+
+  // Registered RSS/Atom/JSON feeds and the review queue
+  stateRouter.get('/feeds', (req, res) => {
+    res.json(feeds.listFeeds());
+  });
+
+  // Register a feed ({ url, name?, keywords?, exclude?, interval?, titleRule?, title?, mode?, tickerFeed?, ... })
+  stateRouter.post('/feeds', express.json(), (req, res) => {
+    const feed = feeds.addFeed(req.body);
+    if (!feed) {
+      return res.status(400).json({ error: 'A valid http(s) feed URL and ticker feed name are required' });
+    }
+    res.json({ success: true, feed });
+  });
+
+  // Send a review item to its ticker feed ({ title?, content? } to edit it first)
+  stateRouter.post('/feeds/review/:id/approve', express.json(), (req, res) => {
+    const item = feeds.approveReview(state, req.params.id, req.body || {});
+    if (!item) {
+      return res.status(404).json({ error: 'Review item not found (or its ticker feed is invalid)' });
+    }
+    res.json({ success: true, item });
+  });
+
+  // Drop a review item
+  stateRouter.delete('/feeds/review/:id', (req, res) => {
+    if (!feeds.rejectReview(req.params.id)) {
+      return res.status(404).json({ error: 'Review item not found' });
+    }
+    res.json({ success: true });
+  });
+
+  // Change a feed's settings
+  stateRouter.put('/feeds/:id', express.json(), (req, res) => {
+    const feed = feeds.updateFeed(req.params.id, req.body);
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed not found (or invalid URL or ticker feed)' });
+    }
+    res.json({ success: true, feed });
+  });
+
+  // Remove a feed
+  stateRouter.delete('/feeds/:id', (req, res) => {
+    if (!feeds.removeFeed(req.params.id)) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+    res.json({ success: true });
+  });
+
+  // Fetch a feed now instead of waiting for its interval
+  stateRouter.post('/feeds/:id/poll', async (req, res) => {
+    try {
+      const added = await feeds.pollFeed(state, req.params.id);
+      res.json({ success: true, added });
+    } catch (error) {
+      res.status(error.message === 'Feed not found' ? 404 : 502).json({ error: error.message });
+    }
+  });
+
+  // ============================================================================
+  // Ticker Feed Routes
+  // ============================================================================
+
+  // All feeds ({ feeds: { default: {...}, scores: {...} } })
+  stateRouter.get('/ticker', (req, res) => {
+    const tickerFeeds = {};
+    for (const feed of ticker.listFeeds(state)) {
+      tickerFeeds[feed] = ticker.feedPayload(state, feed);
+    }
+    res.json({ feeds: tickerFeeds });
+  });
+
+  // One feed
+  stateRouter.get('/ticker/:feed', (req, res) => {
+    if (!ticker.getFeed(state, req.params.feed)) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+    res.json(ticker.feedPayload(state, req.params.feed));
+  });
+
+  // Update a feed, creating it if needed ({ items?, speed?, show? })
+  stateRouter.put('/ticker/:feed', express.json(), (req, res) => {
+    const { items, speed, show } = req.body || {};
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({ error: 'items must be an array' });
+    }
+    if (!ticker.updateFeed(state, req.params.feed, { items, speed, show })) {
+      return res.status(400).json({ error: 'Feed ids are lowercase letters, numbers, - and _' });
+    }
+    ticker.broadcastTicker(state, req.params.feed);
+    res.json({ success: true, ...ticker.feedPayload(state, req.params.feed) });
+  });
+
+  // Delete a named feed
+  stateRouter.delete('/ticker/:feed', (req, res) => {
+    if (req.params.feed === ticker.DEFAULT_FEED) {
+      return res.status(400).json({ error: 'The default feed cannot be deleted' });
+    }
+    if (!ticker.removeFeed(state, req.params.feed)) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+    res.json({ success: true });
+  });
+
   // ============================================================================
   // Topic Card Routes
   // ============================================================================
@@ -1353,6 +1597,414 @@ function createStateRoutes(state) {
     res.json({ success: true });
   });
 
+  // ============================================================================
+  // Show Profile Routes
+  // ============================================================================
+
+  // List saved profiles
+  stateRouter.get('/profiles', (req, res) => {
+    res.json({ profiles: profiles.listProfiles() });
+  });
+
+  // Get a single profile
+  stateRouter.get('/profiles/:id', (req, res) => {
+    const profile = profiles.getProfile(profiles.toProfileId(req.params.id));
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json({ profile });
+  });
+
+  // Save current state as a profile (creates or overwrites)
+  stateRouter.post('/profiles', express.json(), (req, res) => {
+    const { name } = req.body;
+    const conflict = typeof name === 'string' && profiles.findConflict(name);
+    if (conflict) {
+      return res.status(409).json({ error: `"${name.trim()}" would overwrite the profile "${conflict.name}" - choose a different name` });
+    }
+    const profile = profiles.saveProfile(name, state);
+    if (!profile) {
+      return res.status(400).json({ error: 'A profile name is required' });
+    }
+    res.json({ success: true, profile: { id: profile.id, name: profile.name, savedAt: profile.savedAt } });
+  });
+
+  // Overwrite an existing profile with the current state
+  stateRouter.put('/profiles/:id', (req, res) => {
+    const existing = profiles.getProfile(profiles.toProfileId(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    const profile = profiles.saveProfile(existing.name, state);
+    res.json({ success: true, profile: { id: profile.id, name: profile.name, savedAt: profile.savedAt } });
+  });
+
+  // Load a profile and switch every overlay in one step
+  stateRouter.post('/profiles/:id/load', (req, res) => {
+    const profile = profiles.getProfile(profiles.toProfileId(req.params.id));
+    if (!profile || !profiles.applyProfile(state, profile)) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    ticker.start(state);
+    broadcast.broadcastAllWidgets(state);
+    console.log(`[API] Profile loaded: "${profile.name}"`);
+    res.json({ success: true, profile: { id: profile.id, name: profile.name, savedAt: profile.savedAt } });
+  });
+
+  // Delete a profile
+  stateRouter.delete('/profiles/:id', (req, res) => {
+    if (!profiles.deleteProfile(profiles.toProfileId(req.params.id))) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    res.json({ success: true });
+  });
+
+  // ============================================================================
+  // Auth Routes
+  // ============================================================================
+
+  // Current account and role
+  stateRouter.get('/auth/me', (req, res) => {
+    res.json({
+      authEnabled: auth.isEnabled(),
+      account: req.account
+    });
+  });
+
+  // List tokens (producer only)
+  stateRouter.get('/auth/tokens', auth.requirePermission('admin'), (req, res) => {
+    res.json({ tokens: auth.listTokens(), roles: Object.keys(auth.ROLES) });
+  });
+
+  // Create a token for an operator or overlay
+  stateRouter.post('/auth/tokens', express.json(), auth.requirePermission('admin'), (req, res) => {
+    const { name, role } = req.body;
+    if (!auth.ROLES[role]) {
+      return res.status(400).json({ error: `Role must be one of: ${Object.keys(auth.ROLES).join(', ')}` });
+    }
+    const token = auth.createToken(name, role);
+    if (!token) {
+      return res.status(400).json({ error: 'The first token must be a producer token' });
+    }
+    res.json({ success: true, token });
+  });
+
+  // Revoke a token
+  stateRouter.delete('/auth/tokens/:id', auth.requirePermission('admin'), (req, res) => {
+    if (!auth.revokeToken(req.params.id)) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    // Sockets authenticated with it would otherwise keep their role until they reconnect
+    const closed = broadcast.closeClients(client => client.account && client.account.id === req.params.id, 4401, 'Token revoked');
+    if (closed > 0) console.log(`[Auth] Closed ${closed} connection(s) using the revoked token`);
+    res.json({ success: true });
+  });
+
+  // ============================================================================
+  // Chat Recording Routes
+  // ============================================================================
+
+  // Recorder status and saved recordings
+  stateRouter.get('/recordings', (req, res) => {
+    res.json({ recording: chatRecorder.getStatus(), recordings: chatRecorder.list() });
+  });
+
+  // Recorded events of one session
+  stateRouter.get('/recordings/:name', (req, res) => {
+    try {
+      res.json({ name: req.params.name, events: chatRecorder.load(req.params.name) });
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // Delete a saved recording (not the one being recorded)
+  stateRouter.delete('/recordings/:name', (req, res) => {
+    if (!chatRecorder.remove(req.params.name)) {
+      return res.status(404).json({ error: 'Recording not found or still recording' });
+    }
+    state.recordings = chatRecorder.list();
+    broadcast.broadcast('recording_update', { recording: state.recording, recordings: state.recordings });
+    res.json({ success: true });
+  });
+
+  // ============================================================================
+  // Author Routes
+  // ============================================================================
+
+  // Search indexed chat authors (?q=name&vip=true&sort=recent|messages|spend&limit=50)
+  stateRouter.get('/authors', (req, res) => {
+    res.json({
+      authors: authors.listAuthors({
+        q: req.query.q,
+        vip: req.query.vip === 'true',
+        sort: req.query.sort,
+        limit: req.query.limit
+      })
+    });
+  });
+
+  // One author's profile and message history
+  stateRouter.get('/authors/:id', (req, res) => {
+    const author = authors.getAuthor(req.params.id);
+    if (!author) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+    res.json({ author });
+  });
+
+  // Operator notes and VIP flag ({ notes?, vip? })
+  stateRouter.put('/authors/:id', express.json(), (req, res) => {
+    const { notes, vip } = req.body || {};
+    if (notes === undefined && vip === undefined) {
+      return res.status(400).json({ error: 'notes or vip is required' });
+    }
+    const author = authors.updateAuthor(state, req.params.id, { notes, vip });
+    if (!author) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+    persistence.scheduleSave(state);
+    res.json({ success: true, author });
+  });
+
+  // Forget an author's profile and history
+  stateRouter.delete('/authors/:id', (req, res) => {
+    if (!authors.forgetAuthor(req.params.id)) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+    res.json({ success: true });
+  });
+
+  // ============================================================================
+  // Moderation Routes
+  // ============================================================================
+
+  // Route segment -> config rule for the list-based rules
+  const MODERATION_LISTS = { words: 'words', blocked: 'blockedAuthors' };
+
+  // Current rules, held messages and recently hidden messages
+  stateRouter.get('/moderation', (req, res) => {
+    res.json({
+      config: moderation.getConfig(),
+      actions: moderation.ACTIONS,
+      heldMessages: state.heldMessages,
+      hidden: moderation.getHidden()
+    });
+  });
+
+  // Update rules (partial, e.g. { caps: { enabled: true } })
+  stateRouter.put('/moderation', express.json(), (req, res) => {
+    if (!req.body || typeof req.body !== 'object') {
+      return res.status(400).json({ error: 'A config object is required' });
+    }
+    res.json({ success: true, config: moderation.updateConfig(req.body) });
+  });
+
+  // Dry-run a message against the rules
+  stateRouter.post('/moderation/test', express.json(), (req, res) => {
+    const { author, message, badges, platform, authorChannelId } = req.body;
+    const verdict = moderation.moderate(
+      { author: author || 'Test', message: message || '', badges: badges || [], platform, authorChannelId },
+      { record: false }
+    );
+    res.json(verdict);
+  });
+
+  // Approve a held message into the queue ({ trust: true } skips review for the author from now on)
+  stateRouter.post('/moderation/held/:id/approve', express.json(), (req, res) => {
+    const msg = moderation.approveHeld(state, req.params.id, { trust: req.body.trust === true });
+    if (!msg) {
+      return res.status(404).json({ error: 'Held message not found' });
+    }
+    questions.handleMessage(state, msg);
+    res.json({ success: true, message: msg });
+  });
+
+  // Reject a held message (?block=true also blocks the author)
+  stateRouter.delete('/moderation/held/:id', (req, res) => {
+    if (!moderation.rejectHeld(state, req.params.id, { block: req.query.block === 'true' })) {
+      return res.status(404).json({ error: 'Held message not found' });
+    }
+    res.json({ success: true });
+  });
+
+  // Authors remembered from approvals
+  stateRouter.get('/moderation/approved-authors', (req, res) => {
+    res.json({ authors: moderation.listApprovedAuthors() });
+  });
+
+  // Forget an approved author so they are reviewed again
+  stateRouter.delete('/moderation/approved-authors/:key', (req, res) => {
+    if (!moderation.forgetApprovedAuthor(req.params.key)) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+    res.json({ success: true });
+  });
+
+  // Add a banned word (`*` wildcards allowed) or a blocked author
+  // (by author id, 'platform:channelId', with an optional display name label)
+  stateRouter.post('/moderation/:list', express.json(), (req, res) => {
+    const rule = MODERATION_LISTS[req.params.list];
+    if (!rule) {
+      return res.status(404).json({ error: 'Unknown moderation list' });
+    }
+    const value = req.body.value ?? req.body.word ?? req.body.authorId;
+    if (!moderation.addToList(rule, value, req.body.author)) {
+      return res.status(400).json({ error: 'Entry is empty or already listed' });
+    }
+    res.json({ success: true, list: moderation.getConfig()[rule].list });
+  });
+
+  // Remove a banned word or unblock an author
+  stateRouter.delete('/moderation/:list/:value', (req, res) => {
+    const rule = MODERATION_LISTS[req.params.list];
+    if (!rule) {
+      return res.status(404).json({ error: 'Unknown moderation list' });
+    }
+    if (!moderation.removeFromList(rule, req.params.value)) {
+      return res.status(404).json({ error: 'Entry not found' });
+    }
+    res.json({ success: true, list: moderation.getConfig()[rule].list });
+  });
+
+  // ============================================================================
+  // Donation Routes
+  // ============================================================================
+
+  // Totals, goal progress, leaderboard and recent superchats
+  stateRouter.get('/donations', (req, res) => {
+    res.json(donations.getSummary(state));
+  });
+
+  // Top donors in the goal currency
+  stateRouter.get('/donations/leaderboard', (req, res) => {
+    res.json({ leaderboard: state.donations.leaderboard });
+  });
+
+  // Update the goal ({ title, target, currency })
+  stateRouter.put('/donations/goal', express.json(), (req, res) => {
+    const goal = donations.setGoal(state, req.body);
+    if (!goal) {
+      return res.status(400).json({ error: 'Target must be a positive number and currency a 3-letter code' });
+    }
+    res.json({ success: true, goal });
+  });
+
+  // Clear totals and leaderboard (keeps the goal)
+  stateRouter.post('/donations/reset', (req, res) => {
+    donations.reset(state);
+    res.json({ success: true });
+  });
+
+  // ============================================================================
+  // Currency Routes
+  // ============================================================================
+
+  // Base currency and conversion rates (units per 1 base)
+  stateRouter.get('/currency', (req, res) => {
+    res.json(currency.getRates());
+  });
+
+  // Change the base and/or merge rates ({ base, rates, replace })
+  stateRouter.put('/currency', express.json(), (req, res) => {
+    const rates = currency.setRates({ ...req.body, source: 'manual' });
+    if (!rates) {
+      return res.status(400).json({ error: 'Base must be a 3-letter code with a known rate, and rates an object of positive numbers' });
+    }
+    donations.refresh(state);
+    res.json({ success: true, ...rates });
+  });
+
+  // Re-fetch rates from CURRENCY_RATES_URL
+  stateRouter.post('/currency/refresh', async (req, res) => {
+    if (!process.env.CURRENCY_RATES_URL) {
+      return res.status(400).json({ error: 'CURRENCY_RATES_URL is not configured' });
+    }
+    const rates = await currency.refreshRates();
+    if (!rates) {
+      return res.status(502).json({ error: 'Failed to fetch currency rates' });
+    }
+    donations.refresh(state);
+    res.json({ success: true, ...rates });
+  });
+
+  // ============================================================================
+  // Chat Command Routes
+  // ============================================================================
+
+  // Configured commands plus the available actions and roles
+  stateRouter.get('/commands', (req, res) => {
+    res.json({ commands: commands.listCommands(), actions: commands.ACTIONS, roles: commands.ROLES });
+  });
+
+  // Create or replace a command ({ action, reply, role, cooldown, userCooldown, duration, title, subtitle, pin, aliases, enabled })
+  stateRouter.put('/commands/:name', express.json(), (req, res) => {
+    const command = commands.setCommand(req.params.name, req.body);
+    if (!command) {
+      return res.status(400).json({ error: `Name must be letters/digits starting with a letter, action one of: ${commands.ACTIONS.join(', ')} (reply needs reply text)` });
+    }
+    res.json({ success: true, command });
+  });
+
+  // Delete a command
+  stateRouter.delete('/commands/:name', (req, res) => {
+    if (!commands.removeCommand(req.params.name)) {
+      return res.status(404).json({ error: 'Command not found' });
+    }
+    res.json({ success: true });
+  });
+
+  // ============================================================================
+  // Team Profile Routes
+  // ============================================================================
+
+  // Club names, people, rivals, terminology and prompt context used by the news scraper
+  stateRouter.get('/team', (req, res) => {
+    res.json({ profile: teamProfile.getProfile(), roles: teamProfile.ROLES, titleKeys: teamProfile.TITLE_KEYS });
+  });
+
+  // Update the profile (top-level fields left out keep their value)
+  stateRouter.put('/team', express.json(), (req, res) => {
+    const profile = teamProfile.updateProfile(req.body);
+    if (!profile) {
+      return res.status(400).json({ error: 'A team name is required' });
+    }
+    res.json({ success: true, profile });
+  });
+
+  // Go back to the default profile
+  stateRouter.delete('/team', (req, res) => {
+    res.json({ success: true, profile: teamProfile.resetProfile() });
+  });
+
+  // ============================================================================
+  // Analytics Routes
+  // ============================================================================
+
+  // Live message rate, unique chatters, revenue and trending terms
+  stateRouter.get('/analytics', (req, res) => {
+    res.json(analytics.getSnapshot());
+  });
+
+  // Session report so far (?format=csv for a spreadsheet)
+  stateRouter.get('/analytics/report', (req, res) => {
+    const report = analytics.getReport();
+    const filename = `chat-report-${report.startedAt.slice(0, 16).replace(/:/g, '-')}`;
+    if (req.query.format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.type('text/csv').send(analytics.reportToCsv(report));
+    }
+    if (req.query.download === 'true') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    }
+    res.json(report);
+  });
+
+  // End the session and start counting from zero (returns the final report)
+  stateRouter.post('/analytics/reset', (req, res) => {
+    res.json({ success: true, report: analytics.reset(state) });
+  });
+
   return stateRouter;
 }
 
@@ -6,13 +6,51 @@
 const state = {
   queue: [],           // Chat message queue
   pinnedMessage: null, // Currently pinned message
-  isConnected: false,  // YouTube connection status
-  videoId: null,       // Current YouTube video ID
+  pinExpiresAt: null,  // When a timed pin auto-unpins (ms timestamp)
+  pinPlaylist: {       // Messages the server rotates through the pin
+    messages: [],
+    interval: 15,      // Seconds per message
+    isPlaying: false,
+    currentIndex: 0
+  },
+  heldMessages: [],    // Messages held by moderation until released
+  isConnected: false,  // YouTube connection status (any stream)
+  videoId: null,       // First connected YouTube video ID
+  streams: {},         // Connected YouTube streams, keyed by video ID
+  chatSources: {       // Connection status per chat platform
+    youtube: { connected: false, target: null },
+    twitch: { connected: false, target: null },
+    replay: { connected: false, target: null }
+  },
+  recording: {         // Chat session recording status (runtime only)
+    active: false, name: null, startedAt: null, events: 0
+  },
+  recordings: [],      // Saved chat recordings: [{ name, size, modifiedAt }]
+  donations: {         // Superchat totals shown on the donation overlay
+    goal: { title: 'Superchat Goal', target: 100, currency: 'USD' },
+    totals: {},        // Per currency: { USD: 42.5 }
+    streams: {},       // Per stream: { totals, count }
+    count: 0,
+    leaderboard: [],   // Top donors in the goal currency
+    recent: []
+  },
+  donors: {},          // Per-author totals behind the leaderboard
+  analytics: null,     // Latest chat analytics snapshot (runtime only)
+  poll: null,          // Chat poll shown on the poll overlay
+  pollVoters: {},      // Author id -> option index for the current poll
+  questions: {         // Viewer questions collected for Q&A
+    config: { enabled: true, prefix: 'Q:', questionMark: true, minLength: 10 },
+    items: [],         // [{ id, author, text, upvotes, askers, status, ... }]
+    currentId: null    // Question currently on air
+  },
   tickerItems: [       // Ticker content
     { title: 'BREAKING', content: 'Welcome to the broadcast' }
   ],
+  activeTickerItems: [], // Scheduled rotation the ticker overlays play (runtime only)
   tickerSpeed: 100,
   showTicker: true,
+  tickerFeeds: {},     // Named ticker feeds ("scores", "sponsors"...) besides the default one above
+  tickerBreaking: null, // Breaking-news interrupt shown on every ticker { title, content, endsAt }
   tickerStyle: 'sports', // Always use sports broadcast style
   // Sports ticker specific settings
   sportsTicker: {
@@ -0,0 +1,323 @@
+/**
+ * Team Profile
+ * Everything club-specific the news scraper and the Claude prompts need:
+ * what the club is called (and what to rewrite to that), the people the
+ * title rules recognise, rivals, club keywords, terminology substitutions,
+ * news sources and the "current context" the prompts are given.
+ *
+ * people[].role decides how a name is treated:
+ *   squad   - current player          target  - transfer target
+ *   legend  - ex-player / pundit      manager - current, former or linked boss
+ *   womens  - women's team
+ * `titles` holds punny ticker labels per story type (default, goal,
+ * transfer, injury, speaks for players; win, exit, link, sack for managers);
+ * players without a default title are only used to find a story's subject.
+ * Aliases are matched as whole words, topics as plain substrings.
+ *
+ * The profile lives in data/team.json and is managed through the API; the
+ * default is the Manchester United profile the scraper was built around.
+ */
+
+const path = require('path');
+const { DATA_DIR, writeJsonAtomic, readJson } = require('./persistence');
+
+const TEAM_FILE = path.join(DATA_DIR, 'team.json');
+
+const ROLES = ['squad', 'target', 'legend', 'manager', 'womens'];
+const TITLE_KEYS = ['default', 'goal', 'transfer', 'injury', 'speaks', 'win', 'exit', 'link', 'sack'];
+
+const DEFAULT_PROFILE = {
+  name: 'Manchester United',
+  shortName: 'United',
+  nicknames: ['Reds', 'Red Devils'],
+  aliases: ['Manchester United FC', 'Manchester United', 'Man United', 'Man Utd', 'MUFC'],
+  emoji: '🔴',
+  stadium: { name: 'Old Trafford', label: 'OT', nickname: 'Theatre of Dreams' },
+  manager: 'Michael Carrick',
+  owners: ['ineos', 'ratcliffe', 'glazers', 'glazer'],
+  people: [
+    { name: 'Marcus Rashford', role: 'squad', note: 'Academy product', titles: { default: 'RASHFORD WATCH', goal: 'RASHY MAGIC', transfer: 'RASHFORD SAGA', injury: 'RASHY BLOW' } },
+    { name: 'Harry Maguire', role: 'squad', titles: { default: 'SLABHEAD SZN', goal: 'MAGUIRE SCORES', injury: 'MAGUIRE BLOW', speaks: 'HARRY SPEAKS' } },
+    { name: 'Bruno Fernandes', label: 'BRUNO', aliases: ['bruno', 'fernandes'], role: 'squad', note: 'Captain', titles: { default: 'BRUNO BRILLIANCE', goal: 'BRUNO MAGIC', transfer: 'BRUNO NEWS', speaks: 'BRUNO SPEAKS' } },
+    { name: 'Kobbie Mainoo', aliases: ['mainoo', 'kobbie'], role: 'squad', note: 'Academy star, Napoli interested', titles: { default: 'MAINOO MAGIC', goal: 'KOBBIE SCORES', transfer: 'MAINOO FUTURE', injury: 'MAINOO BLOW' } },
+    { name: 'Alejandro Garnacho', role: 'squad', titles: { default: 'GARNACHO SZN', goal: 'GARNACHO GOLAZO', transfer: 'GARNACHO SAGA', injury: 'GARNACHO BLOW' } },
+    { name: 'Rasmus Hojlund', aliases: ['hojlund', 'højlund', 'rasmus'], role: 'squad', titles: { default: 'HOJLUND WATCH', goal: 'HOJLUND SCORES', injury: 'HOJLUND BLOW' } },
+    { name: 'Amad Diallo', label: 'AMAD', aliases: ['amad', 'diallo'], role: 'squad', note: 'Breakthrough season', titles: { default: 'AMAD SZN', goal: 'AMAD MAGIC', transfer: 'AMAD NEWS' } },
+    { name: 'Mason Mount', role: 'squad', titles: { default: 'MOUNT WATCH', goal: 'MOUNT MAGIC', injury: 'MOUNT UPDATE' } },
+    { name: 'Andre Onana', role: 'squad', titles: { default: 'ONANA WATCH', speaks: 'ONANA SPEAKS' } },
+    { name: 'Lisandro Martinez', aliases: ['martinez', 'lisandro', 'licha'], role: 'squad', note: '"The Butcher"', titles: { default: 'LICHA WATCH', goal: 'LICHA MAGIC', speaks: 'LICHA SPEAKS', injury: 'LICHA BLOW' } },
+    { name: 'Diogo Dalot', role: 'squad', titles: { default: 'DALOT WATCH', goal: 'DALOT SCORES', speaks: 'DALOT SPEAKS' } },
+    { name: 'Luke Shaw', role: 'squad', titles: { default: 'SHAW WATCH', injury: 'SHAW UPDATE', goal: 'SHAW MAGIC' } },
+    { name: 'Casemiro', role: 'squad', note: 'Aging, likely leaving', titles: { default: 'CASE CLOSED', goal: 'CASEMIRO MAGIC', transfer: 'CASE SAGA' } },
+    { name: 'Antony', role: 'squad', titles: { default: 'ANTONY WATCH', goal: 'ANTONY MAGIC', transfer: 'ANTONY SAGA' } },
+    { name: 'Jadon Sancho', aliases: ['sancho', 'jadon'], role: 'squad', titles: { default: 'SANCHO WATCH', goal: 'SANCHO MAGIC', transfer: 'SANCHO SAGA' } },
+    { name: 'Christian Eriksen', role: 'squad', titles: { default: 'ERIKSEN WATCH', goal: 'ERIKSEN MAGIC', transfer: 'ERIKSEN NEWS' } },
+    { name: 'Joshua Zirkzee', role: 'squad', titles: { default: 'ZIRKZEE SZN', goal: 'ZIRKZEE MAGIC', transfer: 'ZIRKZEE NEWS' } },
+    { name: 'Patrick Dorgu', role: 'squad', titles: { default: 'DORGU SZN', goal: 'DORGU SCORES', transfer: 'DORGU NEWS' } },
+    { name: 'Bryan Mbeumo', role: 'squad', titles: { default: 'MBEUMO MAGIC', goal: 'MBEUMO SCORES', transfer: 'MBEUMO NEWS' } },
+    { name: 'Harry Amass', role: 'squad' },
+    { name: 'Diego Leon', role: 'squad' },
+
+    { name: 'Wilfred Ndidi', role: 'target' },
+    { name: 'Federico Valverde', role: 'target' },
+    { name: 'Mason Greenwood', role: 'target' },
+    { name: 'Viktor Gyokeres', role: 'target' },
+    { name: 'Victor Osimhen', role: 'target' },
+    { name: 'Alexander Isak', role: 'target' },
+    { name: 'Mikel Oyarzabal', role: 'target' },
+    { name: 'Marc Casado', role: 'target' },
+    { name: 'Ruben Neves', role: 'target' },
+    { name: 'Ruben Loftus-Cheek', label: 'LOFTUS-CHEEK', aliases: ['loftus-cheek', 'loftus cheek'], role: 'target' },
+    { name: 'Elliot Anderson', aliases: ['anderson', 'elliott anderson'], role: 'target' },
+    { name: 'Cole Palmer', role: 'target', titles: { default: 'PALMER WATCH', transfer: 'PALMER LINK', goal: 'PALMER MAGIC' } },
+    { name: 'Jean-Philippe Mateta', label: 'MATETA', aliases: ['mateta'], role: 'target' },
+    { name: 'Manuel Ugarte', role: 'target' },
+    { name: 'Matthijs de Ligt', label: 'DE LIGT', aliases: ['de ligt'], role: 'target' },
+    { name: 'Noussair Mazraoui', role: 'target' },
+
+    { name: 'Wayne Rooney', role: 'legend', titles: { default: 'ROONEY REACTS', speaks: 'ROONEY SPEAKS', goal: 'ROONEY LEGEND' } },
+    { name: 'Paul Scholes', role: 'legend', titles: { default: 'SCHOLESY SPEAKS', speaks: 'SCHOLES BLAST' } },
+    { name: 'Rio Ferdinand', label: 'RIO', aliases: ['ferdinand', 'rio'], role: 'legend', titles: { default: 'RIO REACTS', speaks: 'RIO SPEAKS' } },
+    { name: 'Roy Keane', role: 'legend', titles: { default: 'KEANO SAYS', speaks: 'KEANE BLAST' } },
+    { name: 'Nicky Butt', role: 'legend', titles: { default: 'BUTT SPEAKS', speaks: 'NICKY BLAST' } },
+    { name: 'Gary Neville', role: 'legend', titles: { default: 'NEVILLE SPEAKS', speaks: 'GARY BLAST' } },
+    { name: 'Jamie Carragher', role: 'legend', titles: { default: 'CARRA SPEAKS', speaks: 'CARRA VERDICT' } },
+    { name: 'Thierry Henry', aliases: ['henry', 'thierry'], role: 'legend', titles: { default: 'HENRY VERDICT', speaks: 'HENRY SPEAKS' } },
+
+    { name: 'Michael Carrick', role: 'manager', titles: { default: 'CARRICK ERA', win: 'CARRICK MAGIC', exit: 'CARRICK NEWS', link: 'CARRICK WATCH' } },
+    { name: 'Ruben Amorim', role: 'manager', titles: { default: 'AMORIM ERA', exit: 'AMORIM GONE', sack: 'AMORIM SACKED' } },
+    { name: 'Erik ten Hag', label: 'TEN HAG', aliases: ['ten hag'], role: 'manager', titles: { default: 'TEN HAG NEWS', exit: 'ETH GONE', sack: 'TEN HAG OUT' } },
+    { name: 'Roberto De Zerbi', label: 'DE ZERBI', aliases: ['de zerbi'], role: 'manager', titles: { default: 'DE ZERBI LINK', link: 'DE ZERBI WATCH' } },
+    { name: 'Niko Kovac', role: 'manager', titles: { default: 'KOVAC LINK', link: 'KOVAC WATCH' } },
+    { name: 'Thomas Tuchel', role: 'manager', titles: { default: 'TUCHEL LINK', link: 'TUCHEL WATCH' } },
+    { name: 'Mauricio Pochettino', aliases: ['pochettino', 'poch'], role: 'manager', titles: { default: 'POCH LINK', link: 'POCH WATCH' } },
+
+    { name: 'Elisabeth Terland', role: 'womens' }
+  ],
+  rivals: [
+    { name: 'Manchester City', label: 'CITY', aliases: ['manchester city', 'man city', 'city'], title: 'NOISY NEIGHBOURS', derby: true },
+    { name: 'Liverpool', label: 'POOL', title: 'SCOUSERS WATCH' },
+    { name: 'Arsenal', title: 'ARSENAL WATCH' },
+    { name: 'Chelsea', title: 'CHELSEA WATCH' },
+    { name: 'Tottenham', label: 'SPURS', aliases: ['tottenham', 'spurs'], title: 'SPURS WATCH' },
+    { name: 'Leeds United', label: 'LEEDS', aliases: ['leeds'], title: 'LEEDS SCUM' }
+  ],
+  topics: {
+    'stretford end': 'STRETFORD END',
+    'derby': 'DERBY DAY',
+    'haaland': 'HAALAND WHO?',
+    'foden': 'FODEN WATCH',
+    'salah': 'SALAH WATCH',
+    'guardiola': 'PEP WATCH',
+    'pep': 'PEP WATCH',
+    'klopp': 'KLOPP WATCH',
+    'arteta': 'ARTETA WATCH',
+    'ineos': 'INEOS WATCH',
+    'ratcliffe': 'SIR JIM WATCH',
+    'glazer': 'GLAZERS OUT'
+  },
+  terminology: [
+    { from: 'Premier League', to: 'PL' },
+    { from: 'Champions League', to: 'UCL' },
+    { from: 'Europa League', to: 'UEL' }
+  ],
+  promptContext: [
+    '- Manager: Michael Carrick (interim) after Amorim sacked',
+    '- Recent: Beat City 2-0 in derby',
+    '- Position: Fighting for top 4',
+    '- Owners: INEOS/Ratcliffe running football ops',
+    '',
+    '2025 SIGNINGS: Sesko (£65m), Cunha (£60m), Mbeumo (£55m), Lammens (£12m), Dorgu (£30m)',
+    '',
+    'TARGETS: Elliott Anderson (Forest, top choice), Adam Wharton (Palace), Ruben Neves'
+  ].join('\n'),
+  news: {
+    rss: 'https://strettynews.com/feed/',
+    dailyMail: 'https://www.dailymail.co.uk/sport/manchester-united/index.html',
+    search: 'Manchester United'
+  },
+  fallbackNews: [
+    { title: 'MANCHESTER IS RED', content: 'United DESTROY City 2-0 at Old Trafford – Carrick\'s dream start, the noisy neighbours SILENCED!' },
+    { title: 'CARRICK MAGIC', content: 'First game as head coach, first derby WIN – couldn\'t have scripted it better!' },
+    { title: 'MBEUMO MAGIC', content: 'Bryan Mbeumo breaks the deadlock on 65\' – vintage United counter-attack, Bruno\'s silky assist!' },
+    { title: 'DORGU DOES IT AGAIN', content: 'Patrick Dorgu makes it 2-0 on 76\' – Cunha cross, back post finish, Old Trafford ERUPTS!' },
+    { title: 'DOMINANCE', content: '3 goals ruled out for offside (Amad, Bruno, Mount), hit woodwork TWICE – could\'ve been 6-0!' },
+    { title: 'CLEAN SHEET', content: 'Lammens brilliant, Martinez commanding, defence SOLID – only 31.9% possession but who cares!' },
+    { title: 'UP TO 4TH', content: 'United now on 35 points, INTO the Champions League places – what a turnaround!' }
+  ]
+};
+
+let profile = null;
+
+/**
+ * Trimmed, length-capped string
+ * @param {*} value - Input
+ * @param {number} max - Maximum length
+ * @returns {string}
+ */
+function text(value, max = 100) {
+  return String(value ?? '').trim().slice(0, max);
+}
+
+/**
+ * List of trimmed strings (accepts an array or a comma-separated string)
+ * @param {*} value - Input
+ * @param {boolean} lower - Lowercase every entry
+ * @returns {Array<string>}
+ */
+function list(value, lower = false) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items
+    .map(item => text(lower ? String(item).toLowerCase() : item))
+    .filter(Boolean);
+}
+
+/**
+ * Validate a person entry
+ * @param {object} input - { name, label?, role?, aliases?, titles?, note? }
+ * @returns {object|null}
+ */
+function normalizePerson(input) {
+  const name = text(input && input.name);
+  if (!name) return null;
+  const lastName = name.split(/\s+/).pop();
+
+  const titles = {};
+  for (const key of TITLE_KEYS) {
+    const title = text(input.titles && input.titles[key], 30);
+    if (title) titles[key] = title;
+  }
+
+  const aliases = list(input.aliases, true);
+  return {
+    name,
+    label: text(input.label, 20).toUpperCase() || lastName.toUpperCase(),
+    role: ROLES.includes(input.role) ? input.role : 'squad',
+    aliases: aliases.length > 0 ? aliases : [...new Set([name.toLowerCase(), lastName.toLowerCase()])],
+    titles,
+    note: text(input.note, 200)
+  };
+}
+
+/**
+ * Validate a rival entry
+ * @param {object} input - { name, label?, aliases?, title?, derby? }
+ * @returns {object|null}
+ */
+function normalizeRival(input) {
+  const name = text(input && input.name);
+  if (!name) return null;
+  const label = text(input.label, 20).toUpperCase() || name.toUpperCase();
+  const aliases = list(input.aliases, true);
+  return {
+    name,
+    label,
+    aliases: aliases.length > 0 ? aliases : [name.toLowerCase()],
+    title: text(input.title, 30) || `${label} WATCH`,
+    derby: input.derby === true
+  };
+}
+
+/**
+ * Validate and fill in a team profile
+ * @param {object} input - Profile fields (see DEFAULT_PROFILE)
+ * @returns {object|null} - Normalized profile, or null without a name
+ */
+function normalizeProfile(input) {
+  if (!input || typeof input !== 'object') return null;
+  const name = text(input.name);
+  if (!name) return null;
+
+  const stadium = input.stadium && typeof input.stadium === 'object' ? input.stadium : {};
+  const news = input.news && typeof input.news === 'object' ? input.news : {};
+  const topics = {};
+  for (const [keyword, title] of Object.entries(input.topics && typeof input.topics === 'object' ? input.topics : {})) {
+    if (text(keyword) && text(title)) topics[text(keyword).toLowerCase()] = text(title, 30);
+  }
+
+  return {
+    name,
+    shortName: text(input.shortName) || name,
+    nicknames: list(input.nicknames),
+    // Longest first so "Manchester United FC" is rewritten before "Manchester United"
+    aliases: list(input.aliases).sort((a, b) => b.length - a.length),
+    emoji: text(input.emoji, 8),
+    stadium: { name: text(stadium.name), label: text(stadium.label, 20).toUpperCase(), nickname: text(stadium.nickname) },
+    manager: text(input.manager),
+    owners: list(input.owners, true),
+    people: (Array.isArray(input.people) ? input.people : []).map(normalizePerson).filter(Boolean),
+    rivals: (Array.isArray(input.rivals) ? input.rivals : []).map(normalizeRival).filter(Boolean),
+    topics,
+    terminology: (Array.isArray(input.terminology) ? input.terminology : [])
+      .filter(rule => rule && text(rule.from))
+      .map(rule => ({ from: text(rule.from), to: text(rule.to) })),
+    promptContext: text(input.promptContext, 4000),
+    news: { rss: text(news.rss, 500), dailyMail: text(news.dailyMail, 500), search: text(news.search) },
+    fallbackNews: (Array.isArray(input.fallbackNews) ? input.fallbackNews : [])
+      .filter(item => item && text(item.content, 300))
+      .map(item => ({ title: text(item.title, 30), content: text(item.content, 300) }))
+  };
+}
+
+/**
+ * Load the profile from disk (the default on first run)
+ */
+function loadProfile() {
+  profile = normalizeProfile(readJson(TEAM_FILE)) || normalizeProfile(DEFAULT_PROFILE);
+}
+
+/**
+ * Current team profile
+ * @returns {object}
+ */
+function getProfile() {
+  return profile;
+}
+
+/**
+ * Update the profile; top-level fields that are left out keep their value
+ * @param {object} input - Profile fields
+ * @returns {object|null} - Saved profile, or null if invalid
+ */
+function updateProfile(input) {
+  if (!input || typeof input !== 'object') return null;
+  const updated = normalizeProfile({ ...profile, ...input });
+  if (!updated) return null;
+  profile = updated;
+  writeJsonAtomic(TEAM_FILE, profile);
+  console.log(`[TeamProfile] Saved profile for ${profile.name}`);
+  return profile;
+}
+
+/**
+ * Go back to the default profile
+ * @returns {object}
+ */
+function resetProfile() {
+  profile = normalizeProfile(DEFAULT_PROFILE);
+  writeJsonAtomic(TEAM_FILE, profile);
+  console.log('[TeamProfile] Reset to the default profile');
+  return profile;
+}
+
+/**
+ * The current manager's entry in people (or one built from the name)
+ * @param {object} team - Team profile
+ * @returns {object|null}
+ */
+function currentManager(team) {
+  if (!team.manager) return null;
+  return team.people.find(person => person.role === 'manager' && person.name === team.manager) ||
+    normalizePerson({ name: team.manager, role: 'manager' });
+}
+
+loadProfile();
+
+module.exports = {
+  ROLES,
+  TITLE_KEYS,
+  getProfile,
+  updateProfile,
+  resetProfile,
+  currentManager
+};
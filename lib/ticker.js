@@ -0,0 +1,350 @@
+/**
+ * Ticker Scheduler
+ * state.tickerItems is everything the operator has queued up; items may carry
+ * an optional schedule:
+ *   startAt / endAt - ms timestamps (or ISO strings); outside them the item is off air
+ *   priority        - 'normal', 'high' or 'breaking'; higher plays first
+ *   weight          - 1-5, how many times the item comes round per rotation
+ *
+ * state.activeTickerItems is the rotation the overlays actually play. It is
+ * recomputed whenever the items change and again at the next start/end time,
+ * and broadcast only when it differs - so "Kickoff in 30 minutes" drops off
+ * by itself and a breaking item restarts the rotation at the front.
+ *
+ * Besides the default feed (the top-level ticker keys above, which older
+ * clients read) there can be named feeds such as "scores" or "sponsors" in
+ * state.tickerFeeds, each with its own items, rotation, speed and visibility
+ * under the same key names. Overlays pick one with ?feed=; `ticker_update`
+ * carries the feed id. Style and sports branding are shared by all feeds.
+ *
+ * A breaking-news interrupt (state.tickerBreaking) takes over every ticker
+ * overlay with one urgent item for a fixed time, then the rotation resumes.
+ * It is sent as `ticker_breaking` on its own "breaking" topic.
+ */
+
+const { broadcast } = require('./broadcast');
+const { scheduleSave } = require('./persistence');
+
+const DEFAULT_FEED = 'default';
+const FEED_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const PRIORITIES = ['normal', 'high', 'breaking'];
+const MAX_WEIGHT = 5;
+const MAX_TIMER_DELAY = 60 * 1000; // Re-check at least once a minute
+const BREAKING_DURATION = { default: 20, min: 5, max: 600 }; // seconds
+
+// Feed id -> timer for its next start/end time
+const timers = new Map();
+let breakingTimer = null;
+
+/**
+ * Parse a schedule time
+ * @param {number|string} value - ms timestamp or date string
+ * @returns {number|null}
+ */
+function toTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Fill in an item's schedule fields (other fields are kept as-is)
+ * @param {object} item - Ticker item
+ * @returns {object}
+ */
+function normalizeItem(item) {
+  const weight = Math.round(Number(item.weight) || 1);
+  return {
+    ...item,
+    startAt: toTime(item.startAt),
+    endAt: toTime(item.endAt),
+    priority: PRIORITIES.includes(item.priority) ? item.priority : 'normal',
+    weight: Math.min(MAX_WEIGHT, Math.max(1, weight))
+  };
+}
+
+/**
+ * Whether an item is on air at a given time
+ * @param {object} item - Normalized ticker item
+ * @param {number} now - ms timestamp
+ * @returns {boolean}
+ */
+function isLive(item, now) {
+  return (item.startAt === null || item.startAt <= now) && (item.endAt === null || item.endAt > now);
+}
+
+/**
+ * Build the rotation from the live items: by priority (list order within a
+ * priority), each item repeated `weight` times, spread over the rotation
+ * @param {Array<object>} items - Normalized ticker items
+ * @param {number} now - ms timestamp
+ * @returns {Array<object>}
+ */
+function computeRotation(items, now) {
+  const live = items
+    .filter(item => isLive(item, now))
+    .sort((a, b) => PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority));
+
+  const rounds = Math.max(0, ...live.map(item => item.weight));
+  const rotation = [];
+  for (let round = 0; round < rounds; round++) {
+    for (const item of live) {
+      if (item.weight > round) rotation.push(item);
+    }
+  }
+  return rotation;
+}
+
+/**
+ * Next time any item starts or ends
+ * @param {Array<object>} items - Normalized ticker items
+ * @param {number} now - ms timestamp
+ * @returns {number|null}
+ */
+function nextChange(items, now) {
+  const times = items
+    .flatMap(item => [item.startAt, item.endAt])
+    .filter(time => time !== null && time > now);
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+// ============================================================================
+// Feeds
+// ============================================================================
+
+/**
+ * Look up a feed (the default feed is the top-level state)
+ * @param {object} state - Application state
+ * @param {string} feed - Feed id
+ * @returns {object|null} - { tickerItems, activeTickerItems, tickerSpeed, showTicker }
+ */
+function getFeed(state, feed = DEFAULT_FEED) {
+  if (feed === DEFAULT_FEED) return state;
+  return Object.prototype.hasOwnProperty.call(state.tickerFeeds, feed) ? state.tickerFeeds[feed] : null;
+}
+
+/**
+ * List feed ids, default first
+ * @param {object} state - Application state
+ * @returns {Array<string>}
+ */
+function listFeeds(state) {
+  return [DEFAULT_FEED, ...Object.keys(state.tickerFeeds)];
+}
+
+/**
+ * What a `ticker_update` for a feed carries
+ * @param {object} state - Application state
+ * @param {string} feed - Feed id
+ * @returns {object}
+ */
+function feedPayload(state, feed) {
+  const data = getFeed(state, feed) || { tickerItems: [], activeTickerItems: [] };
+  return {
+    feed,
+    tickerItems: data.tickerItems,
+    activeTickerItems: data.activeTickerItems,
+    tickerSpeed: data.tickerSpeed,
+    showTicker: data.showTicker,
+    tickerStyle: state.tickerStyle,
+    sportsTicker: state.sportsTicker
+  };
+}
+
+/**
+ * Tell clients about a feed
+ * @param {object} state - Application state
+ * @param {string} feed - Feed id
+ */
+function broadcastTicker(state, feed = DEFAULT_FEED) {
+  broadcast('ticker_update', feedPayload(state, feed));
+}
+
+/**
+ * Recompute a feed's active rotation and re-arm its timer for the next start/end
+ * @param {object} state - Application state
+ * @param {string} feed - Feed id
+ * @returns {boolean} - Whether the rotation changed
+ */
+function refresh(state, feed = DEFAULT_FEED) {
+  clearTimeout(timers.get(feed));
+  timers.delete(feed);
+  const data = getFeed(state, feed);
+  if (!data) return false;
+
+  const now = Date.now();
+  const rotation = computeRotation(data.tickerItems, now);
+  const changed = JSON.stringify(rotation) !== JSON.stringify(data.activeTickerItems);
+  data.activeTickerItems = rotation;
+
+  const next = nextChange(data.tickerItems, now);
+  const timer = setTimeout(() => {
+    if (refresh(state, feed)) {
+      console.log(`[Ticker] Schedule changed (${feed}): ${getFeed(state, feed).activeTickerItems.length} items in rotation`);
+      broadcastTicker(state, feed);
+    }
+  }, next === null ? MAX_TIMER_DELAY : Math.min(MAX_TIMER_DELAY, next - now));
+  timer.unref();
+  timers.set(feed, timer);
+
+  return changed;
+}
+
+/**
+ * Replace a feed's items
+ * @param {object} state - Application state
+ * @param {Array<object>} items - Ticker items
+ * @param {string} feed - Feed id (must exist)
+ */
+function setItems(state, items, feed = DEFAULT_FEED) {
+  getFeed(state, feed).tickerItems = items.filter(item => item && typeof item === 'object').map(normalizeItem);
+  refresh(state, feed);
+}
+
+/**
+ * Update a feed, creating named feeds on first use
+ * @param {object} state - Application state
+ * @param {string} feed - Feed id
+ * @param {object} changes - { items?, speed?, show? }
+ * @returns {object|null} - The feed, or null if the id is invalid
+ */
+function updateFeed(state, feed, { items, speed, show } = {}) {
+  if (!FEED_PATTERN.test(feed)) return null;
+  if (!getFeed(state, feed)) {
+    state.tickerFeeds[feed] = { tickerItems: [], activeTickerItems: [], tickerSpeed: state.tickerSpeed, showTicker: true };
+    console.log(`[Ticker] Created feed "${feed}"`);
+  }
+
+  const data = getFeed(state, feed);
+  if (speed !== undefined && Number.isFinite(Number(speed))) data.tickerSpeed = Number(speed);
+  if (typeof show === 'boolean') data.showTicker = show;
+  if (Array.isArray(items)) {
+    setItems(state, items, feed);
+  } else {
+    refresh(state, feed);
+  }
+  return data;
+}
+
+/**
+ * Delete a named feed (the default feed can only be emptied)
+ * @param {object} state - Application state
+ * @param {string} feed - Feed id
+ * @returns {boolean} - Whether it existed
+ */
+function removeFeed(state, feed) {
+  if (feed === DEFAULT_FEED || !getFeed(state, feed)) return false;
+  delete state.tickerFeeds[feed];
+  refresh(state, feed);
+  broadcast('ticker_update', { ...feedPayload(state, feed), removed: true });
+  console.log(`[Ticker] Removed feed "${feed}"`);
+  return true;
+}
+
+// ============================================================================
+// Breaking News
+// ============================================================================
+
+/**
+ * Tell clients about the breaking-news interrupt (with the server clock,
+ * so overlays on another machine can time endsAt against their own)
+ * @param {object} state - Application state
+ */
+function broadcastBreaking(state) {
+  broadcast('ticker_breaking', { breaking: state.tickerBreaking, serverNow: Date.now() }, { immediate: true });
+}
+
+/**
+ * Arm the timer that ends the interrupt at state.tickerBreaking.endsAt
+ * @param {object} state - Application state
+ */
+function scheduleBreakingEnd(state) {
+  clearTimeout(breakingTimer);
+  breakingTimer = null;
+  if (!state.tickerBreaking) return;
+
+  breakingTimer = setTimeout(() => {
+    breakingTimer = null;
+    stopBreaking(state);
+    scheduleSave(state);
+  }, Math.max(0, state.tickerBreaking.endsAt - Date.now()));
+}
+
+/**
+ * Interrupt every ticker with one urgent item (replaces any current interrupt)
+ * @param {object} state - Application state
+ * @param {object} options
+ * @param {string} options.title - Label, e.g. "BREAKING"
+ * @param {string} options.content - The news
+ * @param {number} options.duration - Seconds to hold it
+ * @returns {object|null} - The interrupt, or null without content
+ */
+function startBreaking(state, { title, content, duration } = {}) {
+  const text = String(content || '').trim();
+  if (!text) return null;
+
+  const seconds = Math.min(BREAKING_DURATION.max, Math.max(BREAKING_DURATION.min, Number(duration) || BREAKING_DURATION.default));
+  const now = Date.now();
+  state.tickerBreaking = {
+    id: `breaking_${now}`,
+    title: String(title || '').trim().slice(0, 40) || 'BREAKING',
+    content: text.slice(0, 300),
+    startedAt: now,
+    endsAt: now + seconds * 1000
+  };
+  scheduleBreakingEnd(state);
+  broadcastBreaking(state);
+  console.log(`[Ticker] Breaking (${seconds}s): ${state.tickerBreaking.content}`);
+  return state.tickerBreaking;
+}
+
+/**
+ * End the interrupt early (or on its timer)
+ * @param {object} state - Application state
+ * @returns {boolean} - Whether one was running
+ */
+function stopBreaking(state) {
+  if (!state.tickerBreaking) return false;
+  state.tickerBreaking = null;
+  scheduleBreakingEnd(state);
+  broadcastBreaking(state);
+  console.log('[Ticker] Breaking ended, rotation resumed');
+  return true;
+}
+
+/**
+ * Normalize persisted items, start the scheduler for every feed and
+ * re-arm (or drop) a breaking interrupt that was running at shutdown
+ * @param {object} state - Application state
+ */
+function start(state) {
+  if (!state.tickerFeeds || typeof state.tickerFeeds !== 'object') state.tickerFeeds = {};
+  for (const feed of listFeeds(state)) {
+    const data = getFeed(state, feed);
+    setItems(state, Array.isArray(data.tickerItems) ? data.tickerItems : [], feed);
+  }
+
+  if (state.tickerBreaking && !(state.tickerBreaking.endsAt > Date.now())) {
+    state.tickerBreaking = null;
+  }
+  scheduleBreakingEnd(state);
+}
+
+module.exports = {
+  DEFAULT_FEED,
+  FEED_PATTERN,
+  PRIORITIES,
+  MAX_WEIGHT,
+  computeRotation,
+  getFeed,
+  listFeeds,
+  feedPayload,
+  broadcastTicker,
+  refresh,
+  setItems,
+  updateFeed,
+  removeFeed,
+  startBreaking,
+  stopBreaking,
+  start
+};
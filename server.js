@@ -3,11 +3,21 @@
  * Express + WebSocket server with YouTube Chat Scraper
  *
  * Modular architecture - see /lib/ for individual modules:
+ * - ChatSource: Base class for chat platforms
  * - YouTubeChatScraper: YouTube live chat integration
+ * - TwitchChatSource: Twitch IRC chat integration
+ * - ReplayChatSource: Plays recorded chat sessions back
+ * - chatRecorder: Records chat sessions to JSONL
+ * - moderation: Chat filtering before messages reach the queue
+ * - pinning: Timed pins and the pin playlist
+ * - donations: Superchat totals, goal and leaderboard
+ * - currency: Superchat amount parsing and base-currency conversion
  * - state: Centralized application state
  * - broadcast: WebSocket message batching and broadcasting
  * - rateLimit: Rate limiting for WebSocket connections
  * - imageOptimizer: Sharp-based image optimization
+ * - persistence: State snapshots on disk
+ * - auth: Token authentication and roles
  * - routes: Express API routes
  */
 
@@ -18,10 +28,27 @@ const path = require('path');
 const compression = require('compression');
 
 // Import modular components
+const ChatSource = require('./lib/ChatSource');
 const YouTubeChatScraper = require('./lib/YouTubeChatScraper');
+const TwitchChatSource = require('./lib/TwitchChatSource');
+const ReplayChatSource = require('./lib/ReplayChatSource');
+const chatRecorder = require('./lib/chatRecorder');
+const authors = require('./lib/authors');
 const state = require('./lib/state');
-const { broadcast, addClient, removeClient, getClientCount, broadcastNametagUpdate, broadcastSocialUpdate, broadcastLowerThirdUpdate, broadcastAgendaUpdate } = require('./lib/broadcast');
+const { broadcast, addClient, removeClient, getClientCount, setSubscriptions, buildInitData, broadcastNametagUpdate, broadcastSocialUpdate, broadcastLowerThirdUpdate, broadcastAgendaUpdate } = require('./lib/broadcast');
 const { checkRateLimit, startCleanupInterval } = require('./lib/rateLimit');
+const persistence = require('./lib/persistence');
+const moderation = require('./lib/moderation');
+const pinning = require('./lib/pinning');
+const donations = require('./lib/donations');
+const analytics = require('./lib/analytics');
+const polls = require('./lib/polls');
+const commands = require('./lib/commands');
+const questions = require('./lib/questions');
+const ticker = require('./lib/ticker');
+const feeds = require('./lib/feeds');
+const currency = require('./lib/currency');
+const auth = require('./lib/auth');
 const { router: apiRouter, createStateRoutes, UPLOADS_DIR } = require('./lib/routes');
 
 // ============================================================================
@@ -34,6 +61,17 @@ const wss = new WebSocket.Server({ server });
 
 const PORT = process.env.PORT || 8888;
 
+// Restore the last saved show state before anything reads it
+persistence.loadSnapshot(state);
+pinning.resume(state);
+polls.resume(state);
+ticker.start(state);
+donations.refresh(state);
+// Goal progress and the leaderboard follow automatic rate updates
+currency.startAutoRefresh(() => donations.refresh(state));
+analytics.start(state);
+feeds.start(state);
+
 // ============================================================================
 // Performance Optimizations
 // ============================================================================
@@ -68,6 +106,29 @@ app.use((req, res, next) => {
 // Express Routes
 // ============================================================================
 
+// Remember ?token= from page URLs so the page's API calls are authenticated
+app.use(auth.rememberToken);
+
+// The static root is the repo itself: keep saved state (tokens, authors,
+// recordings), dotfiles, source and dependencies out of it
+const INTERNAL_DIRS = ['node_modules', 'lib', 'electron', 'scripts'];
+const dataDirRelative = path.relative(__dirname, persistence.DATA_DIR);
+if (dataDirRelative && !dataDirRelative.startsWith('..') && !path.isAbsolute(dataDirRelative)) {
+  INTERNAL_DIRS.push(dataDirRelative.split(path.sep)[0].toLowerCase());
+}
+app.use((req, res, next) => {
+  let segments;
+  try {
+    segments = decodeURIComponent(req.path).toLowerCase().split(/[\\/]+/).filter(Boolean);
+  } catch (e) {
+    return res.status(400).end();
+  }
+  if (segments.some(segment => segment.startsWith('.')) || INTERNAL_DIRS.includes(segments[0])) {
+    return res.status(404).end();
+  }
+  next();
+});
+
 // Serve static files
 app.use(express.static(path.join(__dirname)));
 
@@ -77,37 +138,219 @@ app.use('/uploads', express.static(UPLOADS_DIR));
 // Serve public assets (logos, etc.) - these are committed to git and deployed
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
-// API routes
+// API routes (token + role checks first)
+app.use('/api', auth.apiMiddleware);
 app.use('/api', apiRouter);
 app.use('/api', createStateRoutes(state));
 
 // ============================================================================
-// YouTube Chat Scraper
+// Chat Sources
 // ============================================================================
 
-const scraper = new YouTubeChatScraper();
+const twitch = new TwitchChatSource();
+const replay = new ReplayChatSource();
+
+// Non-YouTube chat platforms, keyed by platform id
+const chatSources = {
+  twitch,
+  replay
+};
 
-// Set up scraper callbacks
-scraper.onMessage((msg) => {
-  console.log(`[Chat] ${msg.author}: ${msg.message}`);
-  state.queue.push(msg);
-  // Keep queue to last 100 messages
-  if (state.queue.length > 100) {
-    state.queue = state.queue.slice(-100);
+// YouTube scrapers, keyed by video ID (several streams can feed one queue)
+const scrapers = new Map();
+
+/**
+ * Record a source's connection status and tell the control panel
+ */
+function updateChatSourceStatus(platform, connected, target) {
+  state.chatSources[platform] = { connected, target: connected ? target : null };
+  broadcast('chat_sources_update', { chatSources: state.chatSources });
+}
+
+/**
+ * Recompute the YouTube connection summary from the running streams
+ * state.isConnected / state.videoId keep describing the first stream for
+ * pages that only know about one video
+ * @param {object} change - Optional { stream, reason, ... } describing what changed
+ */
+function updateYouTubeStatus(change = {}) {
+  const videoIds = Object.keys(state.streams);
+  state.isConnected = videoIds.length > 0;
+  state.videoId = videoIds[0] || null;
+  broadcast('status', { connected: state.isConnected, videoId: state.videoId, streams: state.streams, ...change });
+  updateChatSourceStatus('youtube', state.isConnected, state.videoId);
+}
+
+/**
+ * Tell the control panel about the recorder and saved recordings
+ */
+function updateRecordingStatus() {
+  state.recording = chatRecorder.getStatus();
+  state.recordings = chatRecorder.list();
+  broadcast('recording_update', { recording: state.recording, recordings: state.recordings });
+}
+
+/**
+ * Drop chat messages from the queue, the held list, the pin, the pin playlist
+ * and the Q&A list
+ * Used when a platform deletes a message or removes an author.
+ * @param {Function} matches - (msg) => boolean
+ * @param {string} reason - Event type that caused the removal
+ */
+function removeChatMessages(matches, reason) {
+  const removedIds = new Set();
+  const keep = (msg) => {
+    if (!matches(msg)) return true;
+    removedIds.add(msg.id);
+    return false;
+  };
+
+  const queueLength = state.queue.length;
+  state.queue = state.queue.filter(keep);
+  if (state.queue.length !== queueLength) {
+    broadcast('queue_update', { queue: state.queue });
   }
-  broadcast('message', { message: msg });
-  broadcast('queue_update', { queue: state.queue });
-});
 
-scraper.onSuperchat((superchat) => {
-  console.log(`[Superchat] ${superchat.author} sent ${superchat.amountFormatted}: ${superchat.message}`);
-  broadcast('superchat', { superchat });
-});
+  const heldLength = state.heldMessages.length;
+  state.heldMessages = state.heldMessages.filter(keep);
+  if (state.heldMessages.length !== heldLength) {
+    broadcast('held_update', { heldMessages: state.heldMessages });
+  }
 
-scraper.onError((error) => {
-  console.error('[Scraper Error]', error.message);
-  broadcast('error', { message: error.message });
-});
+  if (state.pinnedMessage && matches(state.pinnedMessage)) {
+    removedIds.add(state.pinnedMessage.id);
+    pinning.unpin(state);
+  }
+
+  const playlistIds = state.pinPlaylist.messages.filter(keep).map(msg => msg.id);
+  if (playlistIds.length !== state.pinPlaylist.messages.length) {
+    pinning.setPlaylist(state, { messageIds: playlistIds });
+  }
+
+  // Deleted text mustn't stay one click away from the lower third; questions
+  // outlive the queue, so they are checked against the message they came from
+  for (const item of state.questions.items) {
+    if (matches({ ...item, id: item.messageId })) removedIds.add(item.messageId);
+  }
+  removedIds.forEach(id => questions.removeByMessage(state, id));
+
+  if (removedIds.size > 0) {
+    console.log(`[Chat] Removed ${removedIds.size} message(s) (${reason})`);
+    broadcast('message_deleted', { messageIds: [...removedIds], reason });
+    persistence.scheduleSave(state);
+  }
+}
+
+/**
+ * Platform events other than chat messages
+ * Deletions are applied to the queue; memberships, gifts and polls are
+ * passed straight on to overlays as their own message types.
+ * @param {object} event - { type, platform, stream, ... }
+ */
+function handleChatEvent(event) {
+  switch (event.type) {
+    case 'message_deleted':
+      removeChatMessages(msg => event.messageIds.includes(msg.id), event.type);
+      break;
+
+    case 'author_removed':
+      removeChatMessages(msg => msg.platform === event.platform && msg.authorChannelId === event.authorChannelId, event.type);
+      break;
+
+    case 'membership':
+    case 'membership_gift':
+    case 'gift_redemption':
+    case 'youtube_poll':
+      console.log(`[Event:${event.platform}] ${event.type}${event.author ? ` - ${event.author}` : ''}`);
+      broadcast(event.type, { event }, { immediate: true });
+      break;
+
+    default:
+      console.log(`[Event:${event.platform}] Unhandled event type:`, event.type);
+  }
+}
+
+/**
+ * Set up callbacks - every source feeds the same queue
+ * Live sources are recorded and indexed by author as they arrive
+ * (replays aren't re-recorded and don't count towards author profiles,
+ * analytics or donation totals)
+ */
+function attachChatSource(source) {
+  const recordable = source.platform !== 'replay';
+
+  source.onMessage((msg) => {
+    console.log(`[Chat:${msg.platform}] ${msg.author}: ${msg.message}`);
+    if (recordable) chatRecorder.record('message', msg);
+    authors.tagMessage(msg);
+    if (recordable) authors.recordMessage(msg);
+    if (recordable) analytics.recordMessage(msg);
+    const verdict = moderation.processMessage(state, msg);
+    if (verdict.action !== 'hide') polls.handleMessage(state, msg);
+    // Hidden or held text must not reach the overlay through a command reply or
+    // the Q&A list (held questions are collected once a moderator approves them)
+    if (verdict.action !== 'hide' && verdict.action !== 'hold') {
+      questions.handleMessage(state, msg);
+      commands.handleMessage(state, msg);
+    }
+    // Replayed messages keep their original platform, so don't let them count as live stream traffic
+    const stream = recordable && msg.platform === 'youtube' ? state.streams[msg.stream] : null;
+    if (stream) {
+      stream.messageCount++;
+      stream.lastMessageAt = msg.timestamp;
+    }
+    persistence.scheduleSave(state);
+  });
+
+  source.onSuperchat((superchat) => {
+    console.log(`[Superchat:${superchat.platform}] ${superchat.author} sent ${superchat.amountFormatted}: ${superchat.message}`);
+    if (recordable) chatRecorder.record('superchat', superchat);
+    authors.tagMessage(superchat);
+    if (recordable) authors.recordSuperchat(superchat);
+    // Replayed superchats are shown again but aren't new money
+    if (recordable) analytics.recordSuperchat(superchat);
+    broadcast('superchat', { superchat });
+    if (recordable) donations.recordSuperchat(state, superchat);
+    persistence.scheduleSave(state);
+  });
+
+  source.onEvent((event) => {
+    if (recordable) chatRecorder.record('event', event);
+    handleChatEvent(event);
+  });
+
+  source.onError((error) => {
+    console.error(`[${source.platform} Error]`, error.message);
+    const stream = source.platform === 'youtube' ? state.streams[source.target] : null;
+    if (stream) {
+      stream.lastError = error.message;
+    }
+    broadcast('error', { message: error.message });
+  });
+
+  source.onStatus(({ platform, connected, target, reason, ...detail }) => {
+    // YouTube streams report health per video (backoff, re-initializing...)
+    if (platform === 'youtube') {
+      const stream = state.streams[target];
+      if (!stream) return;
+      stream.connected = connected;
+      stream.status = reason;
+      stream.retryAt = detail.retryInMs ? Date.now() + detail.retryInMs : null;
+      if (connected) stream.lastError = null;
+      console.log(`[YouTube] ${target}: ${reason}`);
+      updateYouTubeStatus({ stream: target, reason, ...detail });
+      return;
+    }
+
+    updateChatSourceStatus(platform, connected, target);
+  });
+}
+
+for (const source of Object.values(chatSources)) {
+  attachChatSource(source);
+}
+
+state.recordings = chatRecorder.list();
 
 // ============================================================================
 // WebSocket Server
@@ -118,37 +361,39 @@ startCleanupInterval();
 
 let clientIdCounter = 0;
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
   const clientId = ++clientIdCounter;
   ws.clientId = clientId;
 
-  console.log(`[WebSocket] Client ${clientId} connected`);
+  // Authenticate from ?token= in the socket URL (or the page cookie)
+  let account = null;
+  try {
+    account = auth.resolveToken(auth.getRequestToken(req));
+  } catch (error) {
+    console.error(`[WebSocket] Client ${clientId} sent an unreadable token:`, error.message);
+  }
+  if (!account) {
+    console.log(`[WebSocket] Client ${clientId} rejected - invalid or missing token`);
+    ws.send(JSON.stringify({ type: 'error', data: { message: 'Authentication required' } }));
+    ws.close(4401, 'Authentication required');
+    return;
+  }
+  ws.account = account;
+
+  console.log(`[WebSocket] Client ${clientId} connected (${account.role})`);
   addClient(ws);
 
-  // Send initial state
+  // Overlays can subscribe up front with ?topics=chat,pin (or nametag:3)
+  const topics = new URL(req.url, 'http://localhost').searchParams.get('topics');
+  if (topics) {
+    setSubscriptions(ws, topics);
+    console.log(`[WebSocket] Client ${clientId} subscribed to:`, [...(ws.topics || ['*'])].join(', '));
+  }
+
+  // Send initial state (only the subscribed slices)
   ws.send(JSON.stringify({
     type: 'init',
-    data: {
-      queue: state.queue,
-      pinnedMessage: state.pinnedMessage,
-      isConnected: state.isConnected,
-      videoId: state.videoId,
-      tickerItems: state.tickerItems,
-      tickerSpeed: state.tickerSpeed,
-      showTicker: state.showTicker,
-      tickerStyle: state.tickerStyle,
-      sportsTicker: state.sportsTicker,
-      // New widget states
-      nametags: state.nametags,
-      socialAccounts: state.socialAccounts,
-      socialRotationSpeed: state.socialRotationSpeed,
-      showSocials: state.showSocials,
-      lowerThird: state.lowerThird,
-      agendaItems: state.agendaItems,
-      agendaTitle: state.agendaTitle,
-      showAgenda: state.showAgenda,
-      topicCard: state.topicCard
-    }
+    data: buildInitData(state, ws.topics)
   }));
 
   ws.on('message', async (data) => {
@@ -165,7 +410,7 @@ wss.on('connection', (ws) => {
       const message = JSON.parse(data);
       console.log(`[WebSocket] Client ${clientId}:`, message.type);
 
-      await handleWebSocketMessage(ws, message, scraper);
+      await handleWebSocketMessage(ws, message);
     } catch (error) {
       console.error('[WebSocket] Error processing message:', error);
     }
@@ -186,36 +431,66 @@ wss.on('connection', (ws) => {
 // WebSocket Message Handler
 // ============================================================================
 
-async function handleWebSocketMessage(ws, message, scraper) {
+// Message types that only read state (no snapshot needed)
+const READ_ONLY_MESSAGE_TYPES = ['slideshow_get', 'sports_ticker_get', 'subscribe'];
+
+async function handleWebSocketMessage(ws, message) {
+  const permission = auth.permissionForMessage(message.type);
+  if (!auth.hasPermission(ws.account.role, permission)) {
+    console.log(`[WebSocket] Client ${ws.clientId} (${ws.account.role}) denied:`, message.type);
+    ws.send(JSON.stringify({
+      type: 'error',
+      data: { message: `Role "${ws.account.role}" cannot send ${message.type}` }
+    }));
+    return;
+  }
+
   switch (message.type) {
     case 'connect':
-      // Connect to YouTube video
-      try {
-        console.log('[YouTube] Connect request for URL:', message.url);
-        const videoId = scraper.setVideoId(message.url);
-        console.log('[YouTube] Extracted video ID:', videoId);
-        const success = await scraper.start();
-        console.log('[YouTube] Start result:', success);
-        if (success) {
-          state.isConnected = true;
-          state.videoId = videoId;
-          broadcast('status', { connected: true, videoId });
-          console.log('[YouTube] Successfully connected to video:', videoId);
-        } else {
-          console.log('[YouTube] Failed to connect - start() returned false');
-          broadcast('error', { message: 'Failed to connect to video. Make sure it is a live stream with chat enabled.' });
-        }
-      } catch (error) {
-        console.error('[YouTube] Connection error:', error.message);
-        broadcast('error', { message: error.message });
+      // Other platforms (e.g. Twitch) connect independently of YouTube
+      if (message.platform && message.platform !== 'youtube') {
+        await connectChatSource(message.platform, message.url);
+        break;
       }
+
+      await connectYouTubeStream(message.url);
       break;
 
     case 'disconnect':
-      scraper.stop();
-      state.isConnected = false;
-      state.videoId = null;
-      broadcast('status', { connected: false, videoId: null });
+      if (message.platform && message.platform !== 'youtube') {
+        disconnectChatSource(message.platform);
+        break;
+      }
+
+      // Without a video ID every YouTube stream is stopped
+      if (message.videoId) {
+        disconnectYouTubeStream(message.videoId);
+      } else {
+        for (const videoId of [...scrapers.keys()]) {
+          disconnectYouTubeStream(videoId);
+        }
+      }
+      break;
+
+    // ============== RECORD / REPLAY ==============
+    case 'recording_start':
+      chatRecorder.start(message.name);
+      updateRecordingStatus();
+      break;
+
+    case 'recording_stop':
+      chatRecorder.stop();
+      updateRecordingStatus();
+      break;
+
+    case 'replay_start':
+      // Play a saved recording through the normal chat pipeline
+      replay.setOptions({ speed: message.speed, loop: message.loop });
+      await connectChatSource('replay', message.name);
+      break;
+
+    case 'replay_stop':
+      disconnectChatSource('replay');
       break;
 
     case 'pin_message':
@@ -225,17 +500,28 @@ async function handleWebSocketMessage(ws, message, scraper) {
       console.log('[Pin] Queue IDs:', state.queue.map(m => m.id));
       const msgToPin = state.queue.find(m => m.id === message.messageId);
       if (msgToPin) {
-        state.pinnedMessage = msgToPin;
-        broadcast('pin', { message: state.pinnedMessage });
-        console.log('[Pin] Successfully pinned message from:', msgToPin.author);
+        // A manual pin takes over from the playlist
+        pinning.stopPlaylist(state);
+        pinning.pinMessage(state, msgToPin, { duration: message.duration });
+        console.log('[Pin] Successfully pinned message from:', msgToPin.author,
+          message.duration ? `for ${message.duration}s` : '');
       } else {
         console.log('[Pin] Message not found in queue');
       }
       break;
 
     case 'unpin':
-      state.pinnedMessage = null;
-      broadcast('pin', { message: null });
+      pinning.stopPlaylist(state);
+      pinning.unpin(state);
+      break;
+
+    case 'pin_playlist_update':
+      // Set which queue messages rotate through the pin, and how often
+      pinning.setPlaylist(state, { messageIds: message.messageIds, interval: message.interval });
+      break;
+
+    case 'pin_playlist_play':
+      pinning.setPlaylistPlaying(state, message.isPlaying);
       break;
 
     case 'add_to_queue':
@@ -243,15 +529,17 @@ async function handleWebSocketMessage(ws, message, scraper) {
       const newMsg = {
         id: `manual_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
         type: message.isSuperchat ? 'superchat' : 'message',
+        platform: 'manual',
         author: message.author || 'Anonymous',
         authorPhoto: '',
         message: message.message || '',
+        runs: ChatSource.textRuns(message.message),
         timestamp: Date.now(),
         badges: [],
         isSuperchat: message.isSuperchat || false,
-        amount: message.amount || 0,
+        ...ChatSource.superchatAmount(message.amount || 0, 'USD'),
         amountFormatted: message.amount ? `$${message.amount.toFixed(2)}` : '',
-        tier: message.isSuperchat ? scraper.getSuperchatTier(message.amount || 0) : null
+        tier: message.isSuperchat ? ChatSource.getSuperchatTier(message.amount || 0) : null
       };
       state.queue.push(newMsg);
       // Keep queue to last 100 messages
@@ -259,6 +547,9 @@ async function handleWebSocketMessage(ws, message, scraper) {
         state.queue = state.queue.slice(-100);
       }
       broadcast('queue_update', { queue: state.queue });
+      if (newMsg.isSuperchat) {
+        donations.recordSuperchat(state, newMsg);
+      }
       break;
 
     case 'remove_from_queue':
@@ -271,24 +562,40 @@ async function handleWebSocketMessage(ws, message, scraper) {
       broadcast('queue_update', { queue: state.queue });
       break;
 
-    case 'update_ticker':
-      if (message.items) state.tickerItems = message.items;
-      if (message.speed !== undefined) state.tickerSpeed = message.speed;
-      if (message.show !== undefined) state.showTicker = message.show;
+    case 'approve_message': {
+      // Approve a held message into the queue
+      const approved = moderation.approveHeld(state, message.messageId, { trust: message.trust === true });
+      if (!approved) {
+        console.log('[Moderation] Held message not found:', message.messageId);
+        break;
+      }
+      questions.handleMessage(state, approved);
+      break;
+    }
+
+    case 'reject_message':
+      // Reject a held message (optionally blocking its author)
+      if (!moderation.rejectHeld(state, message.messageId, { block: message.block === true })) {
+        console.log('[Moderation] Held message not found:', message.messageId);
+      }
+      break;
+
+    case 'update_ticker': {
+      // Items, speed and visibility belong to a feed; style and branding are shared
+      const feed = message.feed || ticker.DEFAULT_FEED;
+      if (!ticker.updateFeed(state, feed, { items: message.items, speed: message.speed, show: message.show })) {
+        console.log('[Ticker] Invalid feed:', feed);
+        break;
+      }
       if (message.style) state.tickerStyle = message.style;
       if (message.sportsTicker) {
         if (message.sportsTicker.brand !== undefined) state.sportsTicker.brand = message.sportsTicker.brand;
         if (message.sportsTicker.category !== undefined) state.sportsTicker.category = message.sportsTicker.category;
         if (message.sportsTicker.logoUrl !== undefined) state.sportsTicker.logoUrl = message.sportsTicker.logoUrl;
       }
-      broadcast('ticker_update', {
-        tickerItems: state.tickerItems,
-        tickerSpeed: state.tickerSpeed,
-        showTicker: state.showTicker,
-        tickerStyle: state.tickerStyle,
-        sportsTicker: state.sportsTicker
-      });
+      ticker.broadcastTicker(state, feed);
       break;
+    }
 
     // ============== SLIDESHOW MESSAGES ==============
     case 'slideshow_sync':
@@ -341,11 +648,146 @@ async function handleWebSocketMessage(ws, message, scraper) {
       }));
       break;
 
+    // ============== SUBSCRIPTIONS ==============
+    case 'subscribe':
+      // Limit broadcasts to the given topics and resend init for them
+      setSubscriptions(ws, message.topics);
+      console.log(`[WebSocket] Client ${ws.clientId} subscribed to:`, [...(ws.topics || ['*'])].join(', '));
+      ws.send(JSON.stringify({
+        type: 'init',
+        data: buildInitData(state, ws.topics)
+      }));
+      break;
+
     default:
       console.log('[WebSocket] Unknown message type:', message.type);
+      return;
+  }
+
+  if (!READ_ONLY_MESSAGE_TYPES.includes(message.type)) {
+    persistence.scheduleSave(state);
   }
 }
 
+// ============================================================================
+// YouTube Stream Connections
+// ============================================================================
+
+async function connectYouTubeStream(url) {
+  try {
+    console.log('[YouTube] Connect request for URL:', url);
+    const videoId = YouTubeChatScraper.extractVideoId(url);
+    if (!videoId) {
+      throw new Error('Invalid YouTube URL or video ID');
+    }
+    console.log('[YouTube] Extracted video ID:', videoId);
+
+    if (scrapers.has(videoId)) {
+      broadcast('error', { message: `Already connected to video ${videoId}` });
+      return;
+    }
+
+    // Claim the ID before starting so a double click can't start it twice
+    const scraper = new YouTubeChatScraper();
+    scraper.setVideoId(videoId);
+    attachChatSource(scraper);
+    scrapers.set(videoId, scraper);
+
+    const success = await scraper.start();
+    console.log('[YouTube] Start result:', success);
+
+    // Disconnected while still starting up
+    if (scrapers.get(videoId) !== scraper) {
+      scraper.stop();
+      return;
+    }
+
+    if (success) {
+      state.streams[videoId] = {
+        videoId,
+        connected: true,
+        status: YouTubeChatScraper.STATUS.CONNECTED,
+        retryAt: null,
+        connectedAt: Date.now(),
+        messageCount: 0,
+        lastMessageAt: null,
+        lastError: null
+      };
+      updateYouTubeStatus({ stream: videoId, reason: YouTubeChatScraper.STATUS.CONNECTED });
+      console.log('[YouTube] Successfully connected to video:', videoId);
+    } else {
+      scrapers.delete(videoId);
+      console.log('[YouTube] Failed to connect - start() returned false');
+      broadcast('error', { message: 'Failed to connect to video. Make sure it is a live stream with chat enabled.' });
+    }
+  } catch (error) {
+    console.error('[YouTube] Connection error:', error.message);
+    broadcast('error', { message: error.message });
+  }
+}
+
+function disconnectYouTubeStream(videoId) {
+  const scraper = scrapers.get(videoId);
+  if (!scraper) return;
+  scraper.stop();
+  scrapers.delete(videoId);
+  delete state.streams[videoId];
+  updateYouTubeStatus({ stream: videoId, reason: YouTubeChatScraper.STATUS.STOPPED });
+  console.log('[YouTube] Disconnected from video:', videoId);
+}
+
+// ============================================================================
+// Chat Source Connections (non-YouTube platforms)
+// ============================================================================
+
+async function connectChatSource(platform, target) {
+  const source = chatSources[platform];
+  if (!source) {
+    broadcast('error', { message: `Unknown chat platform: ${platform}` });
+    return;
+  }
+
+  try {
+    if (source.isConnected) {
+      source.stop();
+    }
+    const normalized = source.setTarget(target);
+    const success = await source.start();
+    if (success) {
+      updateChatSourceStatus(platform, true, normalized);
+      console.log(`[${platform}] Connected to:`, normalized);
+    } else {
+      broadcast('error', { message: `Failed to connect to ${platform} chat for ${normalized}` });
+    }
+  } catch (error) {
+    console.error(`[${platform}] Connection error:`, error.message);
+    broadcast('error', { message: error.message });
+  }
+}
+
+function disconnectChatSource(platform) {
+  const source = chatSources[platform];
+  if (!source) return;
+  source.stop();
+  updateChatSourceStatus(platform, false);
+}
+
+// ============================================================================
+// Shutdown
+// ============================================================================
+
+// Write any pending snapshot before exiting
+function shutdown(signal) {
+  console.log(`[Server] ${signal} received, saving state...`);
+  chatRecorder.stop();
+  authors.flush();
+  persistence.flush();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 // ============================================================================
 // Start Server
 // ============================================================================
@@ -368,6 +810,8 @@ server.listen(PORT, '0.0.0.0', () => {
 ║  - Lower Third:   http://localhost:${PORT}/lower_third.html   ║
 ║  - Agenda Panel:  http://localhost:${PORT}/agenda.html        ║
 ║  - Topic Card:    http://localhost:${PORT}/topic_card.html    ║
+║  - Donations:     http://localhost:${PORT}/donation_goal.html ║
+║  - Chat Poll:     http://localhost:${PORT}/poll.html          ║
 ╠════════════════════════════════════════════════════════════╣
 ║  API:                                                       ║
 ║  - Health Check:  http://localhost:${PORT}/api/health         ║
@@ -377,4 +821,4 @@ server.listen(PORT, '0.0.0.0', () => {
 });
 
 // Export for testing
-module.exports = { app, server, wss, state, scraper };
+module.exports = { app, server, wss, state, scrapers, chatSources };
@@ -0,0 +1,39 @@
+/**
+ * Currency amount parsing: symbols, ISO codes and locale-specific separators
+ * Run with `npm test`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./helpers/tempDataDir');
+
+const { parseAmount } = require('../lib/currency');
+
+const CASES = [
+  ['$5.00', 5, 'USD'],
+  ['CA$10.00', 10, 'CAD'],
+  ['£4.99', 4.99, 'GBP'],
+  ['PHP 100.00', 100, 'PHP'],
+  ['$1,000', 1000, 'USD'],
+  ['$1,234,567.89', 1234567.89, 'USD'],
+  ['1.234,56 €', 1234.56, 'EUR'],
+  ['5,50 €', 5.5, 'EUR'],
+  ['€1.000', 1000, 'EUR'],
+  ['¥1,000', 1000, 'JPY'],
+  ['₩10,000', 10000, 'KRW'],
+  ['₹2,00,000', 200000, 'INR'],
+  ['₹1,50,000.50', 150000.5, 'INR'],
+  ['IDR 100.000', 100000, 'IDR'],
+  ['₫50.000', 50000, 'VND'],
+  ['R$ 1.000.000', 1000000, 'BRL'],
+  ['KWD 1.500', 1.5, 'KWD'],
+  ['CHF 1 000.50', 1000.5, 'CHF'],
+  ['', 0, 'USD']
+];
+
+for (const [text, amount, currency] of CASES) {
+  test(`parseAmount("${text}") is ${amount} ${currency}`, () => {
+    assert.deepEqual(parseAmount(text), { amount, currency });
+  });
+}
@@ -0,0 +1,19 @@
+/**
+ * Point DATA_DIR at a throwaway directory for the test file that requires this
+ * Keeps currency/persistence side files out of the repo's data/. Require it
+ * before any lib/ module; the directory is removed once the file's tests finish.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+const DATA_DIR = path.join(os.tmpdir(), `broadcast-test-${process.pid}`);
+process.env.DATA_DIR = DATA_DIR;
+
+after(() => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+module.exports = DATA_DIR;
@@ -0,0 +1,94 @@
+/**
+ * ReplayChatSource playback of a recorded JSONL session (test/fixtures/replay.jsonl)
+ * Run with `npm test`
+ */
+
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./helpers/tempDataDir');
+
+const ReplayChatSource = require('../lib/ReplayChatSource');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'replay.jsonl');
+
+/**
+ * Start a replay and collect everything it emits until playback finishes
+ * @param {object} options - ReplayChatSource options
+ * @returns {Promise<{source: ReplayChatSource, emitted: Array}>}
+ */
+function playToEnd(options) {
+  return new Promise((resolve, reject) => {
+    const source = new ReplayChatSource(options);
+    const emitted = [];
+    source.onMessage(msg => emitted.push({ kind: 'message', msg }));
+    source.onSuperchat(msg => emitted.push({ kind: 'superchat', msg }));
+    source.onEvent(msg => emitted.push({ kind: 'event', msg }));
+    source.onError(reject);
+    source.onStatus(({ connected }) => {
+      if (!connected) resolve({ source, emitted });
+    });
+    source.start();
+  });
+}
+
+test('plays every recorded event through the matching callback, in offset order', async () => {
+  const { emitted } = await playToEnd({ file: FIXTURE, speed: 0 });
+
+  // The truncated last line is skipped; the out-of-order line is sorted by offset
+  assert.deepEqual(emitted.map(({ kind }) => kind), ['message', 'message', 'superchat', 'event']);
+  assert.deepEqual(emitted.map(({ msg }) => msg.author || msg.type), ['Alice', 'carol', 'Bob', 'message_deleted']);
+});
+
+test('replayed messages keep platform and stream but get fresh ids and timestamps', async () => {
+  const before = Date.now();
+  const { source, emitted } = await playToEnd({ file: FIXTURE, speed: 0 });
+  const [alice, carol, bob, deleted] = emitted.map(({ msg }) => msg);
+
+  assert.equal(alice.platform, 'youtube');
+  assert.equal(alice.stream, 'abc123');
+  assert.equal(carol.platform, 'twitch');
+  assert.equal(alice.replayed, true);
+  assert.ok(alice.timestamp >= before);
+
+  assert.equal(alice.id, `replay_${source.runId}.0_m1`);
+  assert.equal(bob.amount, 5);
+  assert.equal(bob.isSuperchat, true);
+  // Deletions point at the replayed ids, not the originals
+  assert.deepEqual(deleted.messageIds, [alice.id]);
+});
+
+test('speed scales the recorded gaps', async () => {
+  const started = Date.now();
+  await playToEnd({ file: FIXTURE, speed: 10 }); // 1.5s of chat in ~150ms
+  const elapsed = Date.now() - started;
+
+  assert.ok(elapsed >= 140, `finished too fast (${elapsed}ms)`);
+  assert.ok(elapsed < 1500, `played at real time (${elapsed}ms)`);
+});
+
+test('looping at max speed pauses between passes', async () => {
+  const source = new ReplayChatSource({ file: FIXTURE, speed: 0, loop: true });
+  let count = 0;
+  source.onMessage(() => count++);
+  source.onSuperchat(() => count++);
+  source.onEvent(() => count++);
+
+  await source.start();
+  await new Promise(resolve => setTimeout(resolve, 300));
+  source.stop();
+
+  assert.equal(count, 4); // One pass, then waiting out the loop pause
+  assert.equal(source.plays, 1);
+});
+
+test('a missing recording reports an error instead of starting', async () => {
+  const source = new ReplayChatSource({ file: path.join(__dirname, 'fixtures', 'missing.jsonl') });
+  const errors = [];
+  source.onError(error => errors.push(error));
+
+  assert.equal(await source.start(), false);
+  assert.equal(source.isRunning, false);
+  assert.equal(errors.length, 1);
+});
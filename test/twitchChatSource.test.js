@@ -0,0 +1,185 @@
+/**
+ * TwitchChatSource IRC parsing (PRIVMSG tags, bits and emotes) and the
+ * connection lifecycle against a local fake IRC server
+ * Run with `npm test`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+require('./helpers/tempDataDir');
+
+const TwitchChatSource = require('../lib/TwitchChatSource');
+
+const PRIVMSG = '@badge-info=subscriber/14;badges=broadcaster/1,subscriber/12;color=#FF0000;' +
+  'display-name=Some\\sStreamer;emotes=;id=abc-123;tmi-sent-ts=1700000000000;user-id=12345678 ' +
+  ':somestreamer!somestreamer@somestreamer.tmi.twitch.tv PRIVMSG #channel :hello @friend';
+
+test('parseLine splits tags, prefix, command, params and trailing text', () => {
+  const parsed = TwitchChatSource.parseLine(PRIVMSG);
+
+  assert.equal(parsed.command, 'PRIVMSG');
+  assert.deepEqual(parsed.params, ['#channel']);
+  assert.equal(parsed.prefix, 'somestreamer!somestreamer@somestreamer.tmi.twitch.tv');
+  assert.equal(parsed.trailing, 'hello @friend');
+  assert.equal(parsed.tags['display-name'], 'Some Streamer'); // \s unescaped
+  assert.equal(parsed.tags['user-id'], '12345678');
+});
+
+test('parseLine handles lines without tags or trailing text', () => {
+  assert.deepEqual(TwitchChatSource.parseLine('PING :tmi.twitch.tv'), {
+    tags: {}, prefix: null, command: 'PING', params: [], trailing: 'tmi.twitch.tv'
+  });
+  assert.equal(TwitchChatSource.parseLine(':tmi.twitch.tv 001 justinfan123').command, '001');
+});
+
+test('PRIVMSG becomes a normalized chat message', () => {
+  const source = new TwitchChatSource();
+  const msg = source.parsePrivmsg(TwitchChatSource.parseLine(PRIVMSG));
+
+  assert.equal(msg.id, 'abc-123');
+  assert.equal(msg.type, 'message');
+  assert.equal(msg.platform, 'twitch');
+  assert.equal(msg.author, 'Some Streamer');
+  assert.equal(msg.authorChannelId, '12345678');
+  assert.equal(msg.message, 'hello @friend');
+  assert.equal(msg.timestamp, 1700000000000);
+  assert.deepEqual(msg.badges, ['owner', 'member']);
+  assert.equal(msg.isSuperchat, false);
+  assert.deepEqual(msg.runs, [
+    { type: 'text', text: 'hello ' },
+    { type: 'mention', text: '@friend' }
+  ]);
+});
+
+test('author falls back to the IRC nick without display-name', () => {
+  const source = new TwitchChatSource();
+  const msg = source.parsePrivmsg(TwitchChatSource.parseLine(':viewer!viewer@viewer.tmi.twitch.tv PRIVMSG #channel :hi'));
+
+  assert.equal(msg.author, 'viewer');
+  assert.equal(msg.authorChannelId, null);
+  assert.deepEqual(msg.badges, []);
+});
+
+test('bits become a superchat at 100 bits to the dollar', () => {
+  const source = new TwitchChatSource();
+  const line = '@bits=500;display-name=Cheerer;id=bits-1;user-id=42 :cheerer!cheerer@cheerer.tmi.twitch.tv PRIVMSG #channel :cheer500 go team';
+  const msg = source.parsePrivmsg(TwitchChatSource.parseLine(line));
+
+  assert.equal(msg.type, 'superchat');
+  assert.equal(msg.isSuperchat, true);
+  assert.equal(msg.bits, 500);
+  assert.equal(msg.amount, 5);
+  assert.equal(msg.currency, 'USD');
+  assert.equal(msg.amountFormatted, '500 bits');
+  assert.equal(msg.tier.name, 'yellow');
+});
+
+test('emote ranges become emoji runs (ranges count characters, not UTF-16 units)', () => {
+  const text = 'Kappa 😀 hi Kappa';
+  const runs = TwitchChatSource.parseRuns(text, '25:0-4,11-15');
+
+  assert.deepEqual(runs.map(run => run.type), ['emoji', 'text', 'emoji']);
+  assert.equal(runs[0].text, 'Kappa');
+  assert.equal(runs[0].url, 'https://static-cdn.jtvnw.net/emoticons/v2/25/default/dark/1.0');
+  assert.equal(runs[1].text, ' 😀 hi ');
+  assert.equal(runs[2].text, 'Kappa');
+  assert.equal(TwitchChatSource.runsToText(runs), text);
+});
+
+test('handleFrame answers PING and emits messages and superchats', () => {
+  const source = new TwitchChatSource();
+  const sent = [];
+  source.socket = { send: line => sent.push(line) };
+  const messages = [];
+  const superchats = [];
+  source.onMessage(msg => messages.push(msg));
+  source.onSuperchat(msg => superchats.push(msg));
+
+  const cheer = '@bits=100;display-name=Cheerer;id=bits-2 :cheerer!cheerer@cheerer.tmi.twitch.tv PRIVMSG #channel :cheer100';
+  source.handleFrame(`PING :tmi.twitch.tv\r\n${PRIVMSG}\r\n${cheer}\r\n`, () => {});
+
+  assert.deepEqual(sent, ['PONG :tmi.twitch.tv']);
+  assert.deepEqual(messages.map(msg => msg.id), ['abc-123', 'bits-2']);
+  assert.deepEqual(superchats.map(msg => msg.id), ['bits-2']);
+});
+
+/**
+ * Start a local IRC-over-WebSocket server
+ * @param {object} options
+ * @param {boolean} options.join - Answer JOIN (false leaves clients joining forever)
+ * @returns {Promise<WebSocket.Server>}
+ */
+function fakeIrcServer({ join = true } = {}) {
+  return new Promise((resolve) => {
+    const server = new WebSocket.Server({ port: 0 }, () => resolve(server));
+    server.on('connection', (socket) => {
+      socket.on('message', (frame) => {
+        const [command, channel] = frame.toString().split(' ');
+        if (command === 'JOIN' && join) {
+          socket.send(`:justinfan1!justinfan1@justinfan1.tmi.twitch.tv JOIN ${channel}\r\n${PRIVMSG}\r\n`);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Twitch source pointed at a fake server, collecting what it emits
+ * @param {WebSocket.Server} server
+ * @returns {{source: TwitchChatSource, messages: Array, errors: Array}}
+ */
+function connectedSource(server) {
+  const source = new TwitchChatSource({ serverUrl: `ws://127.0.0.1:${server.address().port}` });
+  const messages = [];
+  const errors = [];
+  source.onMessage(msg => messages.push(msg));
+  source.onError(error => errors.push(error));
+  source.setTarget('somestreamer');
+  return { source, messages, errors };
+}
+
+test('start() joins the channel and delivers chat, stop() disconnects', async (t) => {
+  const server = await fakeIrcServer();
+  t.after(() => server.close());
+  const { source, messages, errors } = connectedSource(server);
+
+  assert.equal(await source.start(), true);
+  assert.equal(source.isRunning, true);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(messages.map(msg => msg.id), ['abc-123']);
+
+  source.stop();
+  assert.equal(source.isRunning, false);
+  assert.equal(source.socket, null);
+  assert.deepEqual(errors, []);
+});
+
+test('stop() while joining settles start() without reporting an error', async (t) => {
+  const server = await fakeIrcServer({ join: false });
+  t.after(() => server.close());
+  const { source, errors } = connectedSource(server);
+
+  const joining = source.start();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  source.stop();
+
+  assert.equal(await joining, false);
+  assert.equal(source.pendingJoin, null);
+  assert.deepEqual(errors, []);
+});
+
+test('a second start() replaces the join in progress', async (t) => {
+  const server = await fakeIrcServer();
+  t.after(() => server.close());
+  const { source, errors } = connectedSource(server);
+
+  const first = source.start();
+  const second = source.start();
+
+  assert.equal(await first, false);
+  assert.equal(await second, true);
+  source.stop();
+  assert.deepEqual(errors, []);
+});